@@ -0,0 +1,99 @@
+// scripts/check-links.js
+// Build-time link checker. Crawls the HTML in the build output and the links in
+// Directus content (news, pages, lab content blocks, intern details, ...) and
+// reports links to routes that don't exist, to missing files or Directus assets,
+// and to old /KGS/ paths, with the page each one should point at when a
+// redirect rule covers it.
+//
+//   node scripts/check-links.js [--dist dist] [--out link-report.json] [--site https://kygs.uky.edu]
+//
+// Reads PUBLIC_DIRECTUS_URL, PUBLIC_PUBLICATIONS_URL and PUBLIC_SITE_URL from .env.
+// Writes a JSON report (see buildLinkReport in src/lib/link-checker.js) and exits with 1 when it
+// found errors, so it can fail a CI build.
+
+import 'dotenv/config';
+import fs from 'fs/promises';
+import path from 'path';
+import { apiRequest, isDirectusUnavailable } from '../src/lib/api_client.js';
+import { fetchSitemapEntries } from '../src/lib/sitemap.js';
+import { fetchRichTextLinks, toSitePath } from '../src/lib/broken-links.js';
+import { loadRedirectRules, findRedirect } from '../src/lib/redirects.js';
+import {
+  listPageRoutes,
+  createRouteChecker,
+  createAssetChecker,
+  checkLinks,
+  collectDistLinks,
+  buildLinkReport
+} from '../src/lib/link-checker.js';
+
+function readArg(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+const distDir = path.resolve(readArg('dist') || 'dist');
+const outFile = path.resolve(readArg('out') || 'link-report.json');
+const siteUrl = (readArg('site') || process.env.PUBLIC_SITE_URL || '').replace(/\/$/, '') || null;
+const directusUrl = process.env.PUBLIC_DIRECTUS_URL;
+
+async function main() {
+  if (!directusUrl) {
+    console.error('ERROR: Missing PUBLIC_DIRECTUS_URL in .env file');
+    process.exit(2);
+  }
+
+  const sitePath = (href) => toSitePath(href, siteUrl);
+
+  let dist = { root: distDir, pages: 0, links: [] };
+  try {
+    dist = await collectDistLinks(distDir, { toSitePath: sitePath });
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    console.warn(`No build output at ${distDir}; checking Directus content only (run npm run build first)`);
+  }
+
+  const pagesDir = path.resolve('src/pages');
+  const [routes, entries, contentLinks, files, redirects] = await Promise.all([
+    listPageRoutes(pagesDir),
+    listPageRoutes(pagesDir, { endpoints: false }).then(fetchSitemapEntries),
+    fetchRichTextLinks({ siteUrl }),
+    apiRequest('/files', { fields: ['id'], limit: -1 }),
+    loadRedirectRules()
+  ]);
+
+  const links = [
+    ...dist.links,
+    ...contentLinks.map(link => ({ ...link, source: { kind: 'directus', ...link.source } }))
+  ];
+
+  const issues = checkLinks(links, {
+    isKnownRoute: createRouteChecker(entries.map(entry => entry.path), routes),
+    assetExists: createAssetChecker([dist.root, path.resolve('public')]),
+    findRedirect: (pathname) => findRedirect(redirects, pathname),
+    directusUrl,
+    directusFileIds: new Set(files.map(file => file.id))
+  });
+
+  const report = buildLinkReport(issues, { siteUrl, pages: dist.pages, links: links.length });
+  await fs.writeFile(outFile, `${JSON.stringify(report, null, 2)}\n`);
+
+  console.log(`Checked ${links.length} links (${dist.pages} pages, ${contentLinks.length} in Directus content)`);
+  Object.entries(report.summary.byType).forEach(([type, count]) => {
+    if (count) console.log(`  ${type}: ${count}`);
+  });
+  console.log(`${report.summary.errors} errors, ${report.summary.warnings} warnings. Report written to ${path.relative(process.cwd(), outFile)}`);
+
+  if (report.summary.errors > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  if (isDirectusUnavailable(error)) {
+    console.error(`ERROR: Directus is unavailable at ${directusUrl}; links can't be checked without its slugs`);
+  } else {
+    console.error('ERROR:', error);
+  }
+  process.exit(2);
+});
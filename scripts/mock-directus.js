@@ -0,0 +1,669 @@
+// scripts/mock-directus.js
+// Offline stand-in for the Directus REST API, served from JSON fixtures so the
+// site can be developed and tested with no network access.
+//
+//   node scripts/mock-directus.js [--port 8055] [--fixtures fixtures/directus]
+//
+// Fixture layout (see fixtures/directus/README.md):
+//   <fixtures>/<collection>.json   Items for /items/<collection>
+//   <fixtures>/directus_files.json File records for /files
+//   <fixtures>/assets/<id>.<ext>   Binaries for /assets/<id>
+//   <fixtures>/_relations.json     Relational fields, so `department_id.name` style fields resolve
+//   <fixtures>/<name>/             Another Directus instance mounted at /<name> (e.g. /dpub)
+
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import { pathToFileURL } from 'url';
+
+const DEFAULT_PORT = 8055;
+const DEFAULT_FIXTURES_DIR = 'fixtures/directus';
+const DEFAULT_LIMIT = 100;
+
+const CONTENT_TYPES = {
+  '.avif': 'image/avif',
+  '.gif': 'image/gif',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp'
+};
+
+// Served for any asset without a fixture file, so pages still lay out offline
+const PLACEHOLDER_IMAGE = `<svg xmlns="http://www.w3.org/2000/svg" width="400" height="300" viewBox="0 0 400 300">
+  <rect width="400" height="300" fill="#e5e7eb"/>
+  <text x="200" y="155" font-family="sans-serif" font-size="18" fill="#6b7280" text-anchor="middle">Mock asset</text>
+</svg>`;
+
+/**
+ * Error returned to the client in the Directus `{ errors: [...] }` shape
+ */
+class MockDirectusError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Parse a query string the way Directus does, so both `filter={"a":...}` and
+ * `filter[a][_eq]=b`, `fields[]=a` and `aggregate[count]=id` forms work
+ */
+function parseQuery(searchParams) {
+  const query = {};
+
+  for (const [rawKey, value] of searchParams) {
+    const base = rawKey.split('[')[0];
+    // Ignores stray brackets, so `filter[_and][0][[type]][_eq]` reads as _and.0.type._eq
+    const keys = [...rawKey.slice(base.length).matchAll(/\[([^[\]]*)\]/g)].map(match => match[1]);
+    setDeep(query, [base, ...keys], value);
+  }
+
+  for (const key of ['filter', 'aggregate', 'deep']) {
+    if (typeof query[key] === 'string') {
+      try {
+        query[key] = JSON.parse(query[key]);
+      } catch (error) {
+        throw new MockDirectusError(400, 'INVALID_QUERY', `Invalid JSON in "${key}" query parameter`);
+      }
+    }
+  }
+
+  return query;
+}
+
+function setDeep(target, keys, value) {
+  let node = target;
+  keys.forEach((key, index) => {
+    const slot = key === '' ? node.length : key;
+    if (index === keys.length - 1) {
+      node[slot] = value;
+      return;
+    }
+    if (node[slot] === undefined || typeof node[slot] !== 'object') {
+      node[slot] = keys[index + 1] === '' ? [] : {};
+    }
+    node = node[slot];
+  });
+}
+
+/**
+ * Normalise a query value that may be an array, an indexed object or a comma-separated string
+ */
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'object') return Object.values(value);
+  return String(value).split(',').map(part => part.trim()).filter(Boolean);
+}
+
+/**
+ * Load fixtures for one Directus instance (the fixtures root or a mounted subdirectory)
+ */
+function createFixtureStore(dir) {
+  const warned = new Set();
+
+  function readJson(file, fallback) {
+    const filePath = path.join(dir, file);
+    if (!fs.existsSync(filePath)) {
+      return fallback;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  // Read on every request so fixtures can be edited without restarting
+  function load(collection) {
+    if (!/^[\w-]+$/.test(collection)) {
+      throw new MockDirectusError(403, 'FORBIDDEN', `You don't have permission to access collection "${collection}"`);
+    }
+
+    const contents = readJson(`${collection}.json`, null);
+    if (contents === null) {
+      if (!warned.has(collection)) {
+        warned.add(collection);
+        console.warn(`[mock-directus] No fixture for "${collection}" in ${dir}, returning no items`);
+      }
+      return [];
+    }
+
+    // Accept recorded API responses ({ data: [...] }) as well as bare arrays
+    const items = Array.isArray(contents) ? contents : contents.data;
+    return Array.isArray(items) ? items : [items];
+  }
+
+  return {
+    dir,
+    load,
+    relations: () => readJson('_relations.json', {})
+  };
+}
+
+/**
+ * Resolves relational fields using the instance's _relations.json:
+ *   { "staff": { "department_id": "departments" } }                                  many-to-one
+ *   { "lab_projects": { "funding": { "collection": "lab_projects_funding", "field": "lab_projects_id" } } }  one-to-many
+ * Fields without a relation entry fall back to whatever nested object the fixture stores.
+ */
+function createResolver(store) {
+  const relations = store.relations();
+  const loaded = new Map();
+
+  const items = (collection) => {
+    if (!loaded.has(collection)) {
+      loaded.set(collection, store.load(collection));
+    }
+    return loaded.get(collection);
+  };
+
+  const relationFor = (collection, field) => (collection && relations[collection]?.[field]) || null;
+
+  /**
+   * Return the related item(s) for `field`, and the collection they belong to
+   */
+  function related(item, collection, field) {
+    const relation = relationFor(collection, field);
+    const value = item[field];
+
+    if (typeof relation === 'string') {
+      if (value && typeof value === 'object') {
+        return { value, collection: relation };
+      }
+      const match = value === null || value === undefined
+        ? null
+        : items(relation).find(candidate => looseEquals(candidate.id, value)) || null;
+      return { value: match, collection: relation };
+    }
+
+    if (relation && relation.collection) {
+      const rows = items(relation.collection).filter(row => {
+        const key = row[relation.field];
+        return looseEquals(key && typeof key === 'object' ? key.id : key, item.id);
+      });
+      return { value: rows, collection: relation.collection, many: true };
+    }
+
+    return { value: value === undefined ? null : value, collection: null, many: Array.isArray(value) };
+  }
+
+  /**
+   * Follow a dotted path (`department_id.name`) through many-to-one relations
+   */
+  function resolvePath(item, collection, fieldPath) {
+    const [field, ...rest] = fieldPath.split('.');
+    if (rest.length === 0) {
+      return item[field];
+    }
+    const { value, collection: next } = related(item, collection, field);
+    if (!value || Array.isArray(value)) {
+      return null;
+    }
+    return resolvePath(value, next, rest.join('.'));
+  }
+
+  return { items, related, resolvePath, relationFor };
+}
+
+function looseEquals(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a === null || a === undefined) && (b === null || b === undefined);
+  }
+  if (typeof a === typeof b) {
+    return a === b;
+  }
+  return String(a) === String(b);
+}
+
+// Empty values sort before everything else, as Directus returns them for ascending sorts
+function compareValues(a, b) {
+  const aEmpty = a === null || a === undefined;
+  const bEmpty = b === null || b === undefined;
+  if (aEmpty || bEmpty) return aEmpty === bEmpty ? 0 : aEmpty ? -1 : 1;
+
+  const aNumber = Number(a);
+  const bNumber = Number(b);
+  if (typeof a !== 'boolean' && typeof b !== 'boolean' &&
+      a !== '' && b !== '' && !Number.isNaN(aNumber) && !Number.isNaN(bNumber)) {
+    return aNumber - bNumber;
+  }
+  return String(a).localeCompare(String(b));
+}
+
+function resolveDynamicValue(value) {
+  if (value === '$NOW') return new Date().toISOString();
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (value === 'null') return null;
+  return value;
+}
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+function applyOperator(value, operator, rawOperand) {
+  const operand = Array.isArray(rawOperand) || typeof rawOperand === 'object'
+    ? rawOperand
+    : resolveDynamicValue(rawOperand);
+  const text = (v) => (v === null || v === undefined ? '' : String(v));
+
+  switch (operator) {
+    case '_eq': return looseEquals(value, operand);
+    case '_neq': return !looseEquals(value, operand);
+    case '_in': return toList(operand).some(option => looseEquals(value, resolveDynamicValue(option)));
+    case '_nin': return !toList(operand).some(option => looseEquals(value, resolveDynamicValue(option)));
+    case '_null': return (value === null || value === undefined) === (operand !== false);
+    case '_nnull': return (value !== null && value !== undefined) === (operand !== false);
+    case '_empty': return isEmpty(value) === (operand !== false);
+    case '_nempty': return !isEmpty(value) === (operand !== false);
+    case '_lt': return value !== null && value !== undefined && compareValues(value, operand) < 0;
+    case '_lte': return value !== null && value !== undefined && compareValues(value, operand) <= 0;
+    case '_gt': return value !== null && value !== undefined && compareValues(value, operand) > 0;
+    case '_gte': return value !== null && value !== undefined && compareValues(value, operand) >= 0;
+    case '_between':
+    case '_nbetween': {
+      const [low, high] = toList(operand).map(resolveDynamicValue);
+      const inside = value !== null && value !== undefined &&
+        compareValues(value, low) >= 0 && compareValues(value, high) <= 0;
+      return operator === '_between' ? inside : !inside;
+    }
+    case '_contains': return Array.isArray(value) ? value.some(v => looseEquals(v, operand)) : text(value).includes(text(operand));
+    case '_ncontains': return !applyOperator(value, '_contains', operand);
+    case '_icontains': return text(value).toLowerCase().includes(text(operand).toLowerCase());
+    case '_nicontains': return !applyOperator(value, '_icontains', operand);
+    case '_starts_with': return text(value).startsWith(text(operand));
+    case '_nstarts_with': return !text(value).startsWith(text(operand));
+    case '_istarts_with': return text(value).toLowerCase().startsWith(text(operand).toLowerCase());
+    case '_ends_with': return text(value).endsWith(text(operand));
+    case '_nends_with': return !text(value).endsWith(text(operand));
+    case '_iends_with': return text(value).toLowerCase().endsWith(text(operand).toLowerCase());
+    default:
+      throw new MockDirectusError(400, 'INVALID_QUERY', `Invalid filter operator "${operator}"`);
+  }
+}
+
+/**
+ * Test an item against a Directus filter object
+ */
+function matchesFilter(item, filter, collection, resolver) {
+  if (!filter || typeof filter !== 'object') return true;
+
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '_and') {
+      return toList(condition).every(part => matchesFilter(item, part, collection, resolver));
+    }
+    if (key === '_or') {
+      return toList(condition).some(part => matchesFilter(item, part, collection, resolver));
+    }
+    return matchesField(item, key, condition, collection, resolver);
+  });
+}
+
+function matchesField(item, field, condition, collection, resolver) {
+  if (condition === null || typeof condition !== 'object') {
+    return looseEquals(item[field], resolveDynamicValue(condition));
+  }
+
+  const keys = Object.keys(condition);
+  const isRelational = keys.some(key => !key.startsWith('_') || key === '_some' || key === '_none');
+
+  if (!isRelational) {
+    // Scalar operators on a many-to-one compare the foreign key
+    const raw = item[field];
+    const value = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw.id : raw;
+    return keys.every(operator => applyOperator(value, operator, condition[operator]));
+  }
+
+  const { value, collection: next } = resolver.related(item, collection, field);
+
+  if (Array.isArray(value)) {
+    if (condition._none) {
+      return !value.some(row => matchesFilter(row, condition._none, next, resolver));
+    }
+    const rowFilter = condition._some || condition;
+    return value.some(row => row && typeof row === 'object' && matchesFilter(row, rowFilter, next, resolver));
+  }
+
+  if (!value || typeof value !== 'object') {
+    return false;
+  }
+  return matchesFilter(value, condition, next, resolver);
+}
+
+/**
+ * Turn ['id', 'department_id.name', 'team_id.*'] into { id: true, department_id: { name: true }, team_id: { '*': true } }
+ */
+function buildFieldTree(fields) {
+  const tree = {};
+  fields.forEach(fieldPath => {
+    let node = tree;
+    const parts = fieldPath.split('.');
+    parts.forEach((part, index) => {
+      if (index === parts.length - 1) {
+        if (node[part] === undefined) node[part] = true;
+        return;
+      }
+      if (node[part] === undefined || node[part] === true) node[part] = {};
+      node = node[part];
+    });
+  });
+  return tree;
+}
+
+function pickFields(item, tree, collection, resolver) {
+  const output = {};
+
+  if (tree['*']) {
+    Object.entries(item).forEach(([key, value]) => {
+      output[key] = value;
+    });
+  }
+
+  Object.entries(tree).forEach(([field, subtree]) => {
+    if (field === '*') return;
+
+    const relation = resolver.relationFor(collection, field);
+    if (subtree === true) {
+      if (field in item) {
+        output[field] = item[field];
+      } else if (relation && relation.collection) {
+        // Unexpanded one-to-many fields return the related primary keys
+        output[field] = resolver.related(item, collection, field).value.map(row => row.id);
+      } else {
+        output[field] = null;
+      }
+      return;
+    }
+
+    const { value, collection: next } = resolver.related(item, collection, field);
+    if (Array.isArray(value)) {
+      output[field] = value.map(row => (row && typeof row === 'object' ? pickFields(row, subtree, next, resolver) : row));
+    } else if (value && typeof value === 'object') {
+      output[field] = pickFields(value, subtree, next, resolver);
+    } else {
+      output[field] = value;
+    }
+  });
+
+  return output;
+}
+
+function sortItems(items, sort, collection, resolver) {
+  const keys = toList(sort);
+  if (keys.length === 0) return items;
+
+  return [...items].sort((a, b) => {
+    for (const key of keys) {
+      const descending = key.startsWith('-');
+      const fieldPath = descending ? key.slice(1) : key;
+      const result = compareValues(
+        resolver.resolvePath(a, collection, fieldPath),
+        resolver.resolvePath(b, collection, fieldPath)
+      );
+      if (result !== 0) return descending ? -result : result;
+    }
+    return 0;
+  });
+}
+
+function searchItems(items, term) {
+  const needle = String(term).toLowerCase();
+  return items.filter(item => Object.values(item).some(value =>
+    (typeof value === 'string' || typeof value === 'number') &&
+    String(value).toLowerCase().includes(needle)
+  ));
+}
+
+/**
+ * Run Directus aggregate functions (count, countDistinct, sum, avg, min, max),
+ * optionally grouped with groupBy
+ */
+function aggregateItems(items, aggregate, groupBy, collection, resolver) {
+  const groupFields = toList(groupBy);
+  const groups = new Map();
+
+  items.forEach(item => {
+    const groupValues = groupFields.map(field => resolver.resolvePath(item, collection, field) ?? null);
+    const key = JSON.stringify(groupValues);
+    if (!groups.has(key)) groups.set(key, { values: groupValues, items: [] });
+    groups.get(key).items.push(item);
+  });
+
+  if (groups.size === 0 && groupFields.length === 0) {
+    groups.set('[]', { values: [], items: [] });
+  }
+
+  const compute = (fn, values) => {
+    const present = values.filter(value => value !== null && value !== undefined);
+    const numbers = present.map(Number).filter(value => !Number.isNaN(value));
+    switch (fn) {
+      case 'count': return present.length;
+      case 'countDistinct': return new Set(present.map(value => JSON.stringify(value))).size;
+      case 'sum': return numbers.reduce((total, value) => total + value, 0);
+      case 'avg': return numbers.length ? numbers.reduce((total, value) => total + value, 0) / numbers.length : null;
+      case 'min': return present.length ? present.reduce((min, value) => (compareValues(value, min) < 0 ? value : min)) : null;
+      case 'max': return present.length ? present.reduce((max, value) => (compareValues(value, max) > 0 ? value : max)) : null;
+      default:
+        throw new MockDirectusError(400, 'INVALID_QUERY', `Invalid aggregate function "${fn}"`);
+    }
+  };
+
+  return [...groups.values()].map(group => {
+    const row = {};
+    groupFields.forEach((field, index) => {
+      row[field] = group.values[index];
+    });
+
+    Object.entries(aggregate).forEach(([fn, fields]) => {
+      toList(fields).forEach(field => {
+        if (field === '*') {
+          row[fn] = group.items.length;
+          return;
+        }
+        row[fn] = row[fn] && typeof row[fn] === 'object' ? row[fn] : {};
+        row[fn][field] = compute(fn, group.items.map(item => resolver.resolvePath(item, collection, field)));
+      });
+    });
+
+    return row;
+  });
+}
+
+/**
+ * Apply a Directus query (filter, search, sort, fields, limit/offset/page, aggregate, meta)
+ * to a collection and return the response body
+ */
+function queryCollection(store, collection, query) {
+  const resolver = createResolver(store);
+  const all = resolver.items(collection);
+
+  let items = all.filter(item => matchesFilter(item, query.filter, collection, resolver));
+  if (query.search) {
+    items = searchItems(items, query.search);
+  }
+  const filterCount = items.length;
+
+  if (query.aggregate) {
+    return { data: aggregateItems(items, query.aggregate, query.groupBy, collection, resolver) };
+  }
+
+  items = sortItems(items, query.sort, collection, resolver);
+
+  const limit = query.limit !== undefined ? Number(query.limit) : DEFAULT_LIMIT;
+  let offset = Number(query.offset) || 0;
+  if (query.page && limit > 0) {
+    offset = (Number(query.page) - 1) * limit;
+  }
+  items = limit === -1 ? items.slice(offset) : items.slice(offset, offset + limit);
+
+  const fields = toList(query.fields);
+  const tree = buildFieldTree(fields.length > 0 ? fields : ['*']);
+  const body = { data: items.map(item => pickFields(item, tree, collection, resolver)) };
+
+  if (query.meta) {
+    const requested = toList(query.meta);
+    const wantsAll = requested.includes('*');
+    body.meta = {};
+    if (wantsAll || requested.includes('total_count')) body.meta.total_count = all.length;
+    if (wantsAll || requested.includes('filter_count')) body.meta.filter_count = filterCount;
+  }
+
+  return body;
+}
+
+function querySingle(store, collection, id, query) {
+  const resolver = createResolver(store);
+  const item = resolver.items(collection).find(candidate => looseEquals(candidate.id, id));
+  if (!item) {
+    throw new MockDirectusError(403, 'FORBIDDEN', "You don't have permission to access this.");
+  }
+  const fields = toList(query.fields);
+  return { data: pickFields(item, buildFieldTree(fields.length > 0 ? fields : ['*']), collection, resolver) };
+}
+
+/**
+ * Find an asset binary by id, via its directus_files record (filename_disk) or an <id>.<ext> file
+ */
+function findAsset(store, id) {
+  const assetsDir = path.join(store.dir, 'assets');
+  if (!/^[\w-]+$/.test(id) || !fs.existsSync(assetsDir)) {
+    return null;
+  }
+
+  const record = store.load('directus_files').find(file => looseEquals(file.id, id));
+  const candidates = fs.readdirSync(assetsDir);
+  const name = (record?.filename_disk && candidates.includes(record.filename_disk))
+    ? record.filename_disk
+    : candidates.find(file => file === id || path.parse(file).name === id);
+
+  return name ? { filePath: path.join(assetsDir, name), type: record?.type } : null;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Create the mock Directus HTTP server (not yet listening)
+ * @param {Object} options
+ * @param {string} options.fixturesDir - Directory holding the JSON fixtures
+ * @param {boolean} options.log - Log each request to the console
+ * @returns {http.Server}
+ */
+export function createMockDirectusServer(options = {}) {
+  const { fixturesDir = DEFAULT_FIXTURES_DIR, log = false } = options;
+  const root = path.resolve(fixturesDir);
+  const stores = new Map();
+
+  const storeFor = (dir) => {
+    if (!stores.has(dir)) stores.set(dir, createFixtureStore(dir));
+    return stores.get(dir);
+  };
+
+  return http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, { 'Access-Control-Allow-Headers': '*' });
+      res.end();
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    let segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+
+    if (log) {
+      console.log(`[mock-directus] ${req.method} ${url.pathname}${url.search}`);
+    }
+
+    try {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        throw new MockDirectusError(405, 'METHOD_NOT_ALLOWED', 'The mock Directus server is read-only');
+      }
+
+      // A subdirectory of the fixtures root is another instance mounted at /<name>
+      let instanceDir = root;
+      const mounted = segments[0] && segments[0] !== 'assets' && path.join(root, segments[0]);
+      if (mounted && /^[\w-]+$/.test(segments[0]) && fs.existsSync(mounted) && fs.statSync(mounted).isDirectory()) {
+        instanceDir = mounted;
+        segments = segments.slice(1);
+      }
+
+      const store = storeFor(instanceDir);
+      const [resource, collection, id] = segments;
+
+      if (resource === 'server' && collection === 'ping') {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('pong');
+        return;
+      }
+
+      if (resource === 'server' && collection === 'health') {
+        sendJson(res, 200, { status: 'ok' });
+        return;
+      }
+
+      if (resource === 'assets' && collection) {
+        const asset = findAsset(store, collection);
+        if (!asset) {
+          res.writeHead(200, { 'Content-Type': 'image/svg+xml' });
+          res.end(PLACEHOLDER_IMAGE);
+          return;
+        }
+        const type = asset.type || CONTENT_TYPES[path.extname(asset.filePath).toLowerCase()] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': type });
+        fs.createReadStream(asset.filePath).pipe(res);
+        return;
+      }
+
+      const query = parseQuery(url.searchParams);
+
+      if (resource === 'items' && collection) {
+        sendJson(res, 200, id ? querySingle(store, collection, id, query) : queryCollection(store, collection, query));
+        return;
+      }
+
+      if (resource === 'files') {
+        sendJson(res, 200, collection
+          ? querySingle(store, 'directus_files', collection, query)
+          : queryCollection(store, 'directus_files', query));
+        return;
+      }
+
+      throw new MockDirectusError(404, 'ROUTE_NOT_FOUND', `Route ${url.pathname} doesn't exist.`);
+    } catch (error) {
+      const status = error instanceof MockDirectusError ? error.status : 500;
+      const code = error instanceof MockDirectusError ? error.code : 'INTERNAL_SERVER_ERROR';
+      if (status === 500) {
+        console.error('[mock-directus] Error handling request:', error);
+      }
+      sendJson(res, status, { errors: [{ message: error.message, extensions: { code } }] });
+    }
+  });
+}
+
+function readArg(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+// Run as a CLI when executed directly (the server factory is also importable)
+if (process.argv[1] && import.meta.url === pathToFileURL(path.resolve(process.argv[1])).href) {
+  const port = Number(readArg('port') || process.env.MOCK_DIRECTUS_PORT) || DEFAULT_PORT;
+  const fixturesDir = readArg('fixtures') || process.env.MOCK_DIRECTUS_FIXTURES || DEFAULT_FIXTURES_DIR;
+
+  if (!fs.existsSync(fixturesDir)) {
+    console.error(`ERROR: Fixtures directory not found: ${fixturesDir}`);
+    process.exit(1);
+  }
+
+  const server = createMockDirectusServer({ fixturesDir, log: !process.argv.includes('--quiet') });
+  server.listen(port, () => {
+    console.log(`Mock Directus serving ${path.resolve(fixturesDir)} at http://localhost:${port}`);
+    console.log(`Set PUBLIC_DIRECTUS_URL=http://localhost:${port} to use it`);
+  });
+}
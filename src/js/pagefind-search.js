@@ -1,11 +1,20 @@
 // src/js/pagefind-search.js
 //this file handles the search functionality for the site, combining Pagefind results with custom indexed content
+import { createSearchEngine, mergeRankedResults, tokenizeQuery } from './search-ranking.js';
 
-let searchIndex = [];
+let searchEngine = createSearchEngine([]);
 let pagefind = null;
 let pagefindLoaded = false;
 const directusUrl = import.meta.env.PUBLIC_DIRECTUS_URL;
 
+// Pagefind results loaded at a time; each one is a separate fetch, so the rest
+// wait for the "Show more page results" button
+const PAGEFIND_RESULT_LIMIT = 20;
+
+// Fragments already loaded for the current query, by Pagefind result id
+let pagefindData = new Map();
+let pagefindQuery = null;
+
 // Load Pagefind (only works after build in production)
 async function loadPagefind() {
   try {
@@ -44,41 +53,44 @@ async function loadSearchIndex() {
                   String(now.getHours()).padStart(2, '0');
     
     const response = await fetch(`/js/search-index.json?v=${version}`);
-    searchIndex = await response.json();
+    searchEngine = createSearchEngine(await response.json());
   } catch (error) {
     console.error('Failed to load search index:', error);
   }
 }
 
-// Search custom content
+// Search custom content, best matches first (see search-ranking.js)
 function searchContent(query, category = '') {
-  const lowerQuery = query.toLowerCase();
-  return searchIndex.filter(item => {
-    // Add null checks for content and title
-    const itemContent = item.content || '';
-    const itemTitle = item.title || '';
-    
-    const matchesQuery = 
-      itemContent.toLowerCase().includes(lowerQuery) ||
-      itemTitle.toLowerCase().includes(lowerQuery);
-    
-    const matchesCategory = !category || item.category === category;
-    
-    return matchesQuery && matchesCategory;
-  });
+  return searchEngine
+    .search(query, { filter: item => !category || item.category === category })
+    .map(({ entry }) => entry);
+}
+
+// Load a Pagefind result's fragment once per query
+function loadPagefindData(result) {
+  if (!pagefindData.has(result.id)) {
+    pagefindData.set(result.id, result.data());
+  }
+  return pagefindData.get(result.id);
 }
 
-// Search Pagefind static pages
-async function searchPagefind(query) {
+// Search Pagefind static pages, loading the first `limit` results
+// Returns the loaded results and how many matched in all
+async function searchPagefind(query, limit = PAGEFIND_RESULT_LIMIT) {
   if (!pagefind || !pagefindLoaded) {
-    return [];
+    return { results: [], total: 0 };
+  }
+
+  if (query !== pagefindQuery) {
+    pagefindData = new Map();
+    pagefindQuery = query;
   }
   
   try {
     const search = await pagefind.search(query);
     const results = await Promise.all(
-      search.results.map(async (result) => {
-        const data = await result.data();
+      search.results.slice(0, limit).map(async (result) => {
+        const data = await loadPagefindData(result);
         
         // Use the custom category metadata if available, otherwise default to 'Information'
         const category = data.meta?.category || 'Information';
@@ -93,10 +105,10 @@ async function searchPagefind(query) {
         };
       })
     );
-    return results;
+    return { results, total: search.results.length };
   } catch (error) {
     console.error('Pagefind search error:', error);
-    return [];
+    return { results: [], total: 0 };
   }
 }
 
@@ -122,17 +134,21 @@ function getIcon(type) {
 }
 
 function createExcerpt(text, query, length) {
-  const textOnly = text.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+  const textOnly = (text || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
   const lowerText = textOnly.toLowerCase();
-  const lowerQuery = query.toLowerCase();
-  const index = lowerText.indexOf(lowerQuery);
-  
-  if (index === -1) {
+
+  // Start near the first query word found in the text
+  const index = tokenizeQuery(query)
+    .map(word => lowerText.search(new RegExp(`\\b${escapeRegExp(word)}`)))
+    .filter(position => position !== -1)
+    .reduce((first, position) => Math.min(first, position), Infinity);
+
+  if (index === Infinity) {
     return textOnly.substring(0, length) + '...';
   }
-  
+
   const start = Math.max(0, index - 50);
-  const end = Math.min(textOnly.length, index + query.length + 100);
+  const end = Math.min(textOnly.length, index + 150);
   
   let excerpt = textOnly.substring(start, end);
   if (start > 0) excerpt = '...' + excerpt;
@@ -141,46 +157,39 @@ function createExcerpt(text, query, length) {
   return highlightText(excerpt, query);
 }
 
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Mark each query word where a word starts with it
 function highlightText(text, query) {
-  const regex = new RegExp(`(${query})`, 'gi');
+  const words = tokenizeQuery(query).map(escapeRegExp);
+  if (words.length === 0) return text;
+  const regex = new RegExp(`\\b(${words.join('|')})`, 'gi');
   return text.replace(regex, '<mark class="bg-yellow-200">$1</mark>');
 }
 
-// Main search function
-async function performSearch(query, category = '') {
+// Main search function. pagefindLimit grows with each "Show more page results" click.
+async function performSearch(query, category = '', pagefindLimit = PAGEFIND_RESULT_LIMIT) {
   const searchLoading = document.getElementById('search-loading');
   const searchResults = document.getElementById('search-results');
   const noResults = document.getElementById('no-results');
 
   searchLoading.classList.remove('hidden');
-  searchResults.innerHTML = '';
+  if (pagefindLimit === PAGEFIND_RESULT_LIMIT) {
+    searchResults.innerHTML = '';
+  }
   noResults.classList.add('hidden');
 
   // Search both systems in parallel
-  const [customResults, pagefindResults] = await Promise.all([
+  const [customResults, { results: pagefindResults, total: pagefindTotal }] = await Promise.all([
     Promise.resolve(searchContent(query, category)),
-    searchPagefind(query)
+    searchPagefind(query, pagefindLimit)
   ]);
+  const morePagefindResults = pagefindTotal - pagefindResults.length;
 
-  // Merge results, avoiding duplicates by URL
-  const urlSet = new Set();
-  const mergedResults = [];
-
-  // Add custom results first (they're more detailed)
-  customResults.forEach(result => {
-    if (!urlSet.has(result.url)) {
-      urlSet.add(result.url);
-      mergedResults.push(result);
-    }
-  });
-
-  // Add Pagefind results that aren't already in custom results
-  pagefindResults.forEach(result => {
-    if (!urlSet.has(result.url)) {
-      urlSet.add(result.url);
-      mergedResults.push(result);
-    }
-  });
+  // Interleave both rankings; custom records win for pages in both (they're more detailed)
+  const mergedResults = mergeRankedResults([customResults, pagefindResults]);
 
   // Filter by category if needed
   const filteredResults = category 
@@ -251,11 +260,24 @@ async function performSearch(query, category = '') {
 
   searchResults.innerHTML = `
     <div class="mb-4 text-gray-600">
-      Found ${filteredResults.length} result${filteredResults.length !== 1 ? 's' : ''}
+      ${morePagefindResults > 0 ? 'Showing' : 'Found'} ${filteredResults.length} result${filteredResults.length !== 1 ? 's' : ''}
+      ${morePagefindResults > 0 ? `<span class="text-sm text-gray-500">(${morePagefindResults} more page${morePagefindResults !== 1 ? 's' : ''} match; see below)</span>` : ''}
       ${!pagefindLoaded ? ' <span class="text-xs text-gray-500">(static pages not indexed in dev mode)</span>' : ''}
     </div>
     ${resultsHTML}
+    ${morePagefindResults > 0 ? `
+      <div class="text-center mt-6">
+        <button type="button" id="search-load-more" class="px-6 py-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition">
+          Show more page results (${morePagefindResults} more)
+        </button>
+      </div>
+    ` : ''}
   `;
+
+  document.getElementById('search-load-more')?.addEventListener('click', (event) => {
+    event.currentTarget.disabled = true;
+    performSearch(query, category, pagefindLimit + PAGEFIND_RESULT_LIMIT);
+  });
 }
 
 // Initialize search
@@ -0,0 +1,230 @@
+// src/js/search-ranking.js
+// Ranking for the site search (src/js/pagefind-search.js). Entries from
+// /js/search-index.json are scored with BM25 over their title, subtitle and
+// content, with matches in the title counting most. Every query word has to
+// match (as a whole word, a word prefix or with a typo), and the ranked list is
+// merged with Pagefind's results by reciprocal rank fusion.
+
+// BM25 term-frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * How much a match in each field counts
+ */
+export const FIELD_BOOSTS = {
+  title: 4,
+  subtitle: 1.5,
+  content: 1
+};
+
+// How much a word matched by prefix or with a typo counts, next to an exact match
+const PREFIX_WEIGHT = 0.7;
+const TYPO_WEIGHT = 0.5;
+
+// Index words a query word may expand to by prefix or typo
+const MAX_EXPANSIONS = 30;
+
+// Extra weight when a query of several words appears in the title as written
+const TITLE_PHRASE_BOOST = 1.5;
+
+// Ignored in queries unless the query has nothing else
+const STOP_WORDS = new Set(['a', 'an', 'and', 'at', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+/**
+ * Lowercase words of a text, without accents or HTML tags
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .replace(/<[^>]*>/g, ' ')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Words of a query, without stop words unless that would leave none
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function tokenizeQuery(query) {
+  const words = Array.from(new Set(tokenize(query)));
+  const meaningful = words.filter(word => !STOP_WORDS.has(word));
+  return meaningful.length > 0 ? meaningful : words;
+}
+
+// Typos allowed for a query word of this length
+const allowedTypos = (word) => (word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0);
+
+/**
+ * Edit distance between two words, giving up once it passes `max`
+ * @returns {number} The distance, or max + 1 when it's larger than max
+ */
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Count how often each word appears
+function countWords(words) {
+  const counts = new Map();
+  words.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+  return counts;
+}
+
+/**
+ * Index search entries for ranking
+ * @param {Array<{title?: string, subtitle?: string, content?: string}>} entries - From /js/search-index.json
+ */
+export function createSearchEngine(entries) {
+  const fields = Object.keys(FIELD_BOOSTS);
+  const totals = Object.fromEntries(fields.map(field => [field, 0]));
+  const documentFrequency = new Map();
+
+  const documents = entries.map(entry => {
+    // Title words with a leading space, so the title phrase check matches from word starts
+    const document = { entry, fields: {}, titleText: ` ${tokenize(entry.title).join(' ')}` };
+    const words = new Set();
+    fields.forEach(field => {
+      const tokens = tokenize(entry[field]);
+      document.fields[field] = { length: tokens.length, counts: countWords(tokens) };
+      totals[field] += tokens.length;
+      tokens.forEach(token => words.add(token));
+    });
+    words.forEach(word => documentFrequency.set(word, (documentFrequency.get(word) || 0) + 1));
+    return document;
+  });
+
+  const averageLength = Object.fromEntries(fields.map(field => [field, totals[field] / (documents.length || 1)]));
+  const vocabulary = Array.from(documentFrequency.keys());
+
+  // BM25 inverse document frequency, never negative
+  const idf = (word) => {
+    const frequency = documentFrequency.get(word) || 0;
+    return Math.log(1 + (documents.length - frequency + 0.5) / (frequency + 0.5));
+  };
+
+  /**
+   * Index words a query word matches, with how much each match counts
+   * @param {string} word
+   * @returns {Array<{word: string, weight: number}>}
+   */
+  function expand(word) {
+    const typos = allowedTypos(word);
+    const matches = [];
+    vocabulary.forEach(candidate => {
+      if (candidate === word) {
+        matches.push({ word: candidate, weight: 1 });
+      } else if (word.length >= 2 && candidate.startsWith(word)) {
+        matches.push({ word: candidate, weight: PREFIX_WEIGHT });
+      } else if (typos && editDistance(word, candidate, typos) <= typos) {
+        matches.push({ word: candidate, weight: TYPO_WEIGHT });
+      }
+    });
+
+    // Closest matches first, then the most common words
+    return matches
+      .sort((a, b) => b.weight - a.weight || documentFrequency.get(b.word) - documentFrequency.get(a.word))
+      .slice(0, MAX_EXPANSIONS);
+  }
+
+  // BM25F score of one index word in one document
+  function scoreWord(document, word) {
+    let frequency = 0;
+    fields.forEach(field => {
+      const { length, counts } = document.fields[field];
+      const count = counts.get(word);
+      if (!count) return;
+      const norm = 1 - B + B * (length / (averageLength[field] || 1));
+      frequency += (FIELD_BOOSTS[field] * count) / norm;
+    });
+    return frequency === 0 ? 0 : idf(word) * (frequency / (K1 + frequency));
+  }
+
+  /**
+   * Entries matching every query word, best first
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {(entry: Object) => boolean} [options.filter] - e.g. a category filter
+   * @returns {Array<{entry: Object, score: number}>}
+   */
+  function search(query, { filter = () => true } = {}) {
+    const words = tokenizeQuery(query);
+    if (words.length === 0) return [];
+
+    const expansions = words.map(expand);
+    if (expansions.some(matches => matches.length === 0)) return [];
+
+    const queryWords = tokenize(query);
+    const phrase = ` ${queryWords.join(' ')}`;
+    const results = [];
+    documents.forEach(document => {
+      if (!filter(document.entry)) return;
+
+      let score = 0;
+      for (const matches of expansions) {
+        // A query word counts once, by its best match in this document
+        const best = matches.reduce((max, match) => Math.max(max, match.weight * scoreWord(document, match.word)), 0);
+        if (best === 0) return;
+        score += best;
+      }
+
+      if (queryWords.length > 1 && document.titleText.includes(phrase)) {
+        score *= TITLE_PHRASE_BOOST;
+      }
+      results.push({ entry: document.entry, score });
+    });
+
+    return results.sort((a, b) => b.score - a.score);
+  }
+
+  return { search, expand };
+}
+
+/**
+ * Merge ranked result lists by reciprocal rank fusion: each list adds
+ * 1 / (k + rank) for every result in it, so results near the top of either
+ * list, and results in both, come first. Results are matched by URL and the
+ * first list's record is kept.
+ * @param {Array<Array<{url: string}>>} lists - Best first
+ * @param {Object} [options]
+ * @param {number} [options.k] - Higher values flatten the difference between ranks
+ * @returns {Array<Object>}
+ */
+export function mergeRankedResults(lists, { k = 60 } = {}) {
+  const merged = new Map();
+  lists.forEach(list => {
+    list.forEach((result, rank) => {
+      const key = result.url.replace(/\/$/, '') || '/';
+      const existing = merged.get(key);
+      const score = 1 / (k + rank + 1);
+      if (existing) {
+        existing.score += score;
+        existing.result = { ...result, ...existing.result, excerpt: existing.result.excerpt || result.excerpt };
+      } else {
+        merged.set(key, { result, score });
+      }
+    });
+  });
+
+  return Array.from(merged.values())
+    .sort((a, b) => b.score - a.score)
+    .map(item => item.result);
+}
@@ -0,0 +1,398 @@
+// src/lib/api_client.js
+// Shared Directus client used by every src/lib API module.
+// Adds request timeouts, retry with backoff, de-duplication of identical
+// in-flight requests and an in-memory stale-while-revalidate cache that
+// can be purged per collection (see src/pages/api/revalidate.js).
+import axios from 'axios';
+
+// Node scripts (scripts/check-links.js) have no import.meta.env and read .env through dotenv
+const env = import.meta.env || process.env;
+
+const DEFAULT_OPTIONS = {
+  timeout: Number(env.DIRECTUS_TIMEOUT_MS) || 10000,
+  retries: env.DIRECTUS_RETRIES !== undefined ? Number(env.DIRECTUS_RETRIES) : 2,
+  retryDelay: 300,
+  cacheTtl: env.DIRECTUS_CACHE_TTL_MS !== undefined ? Number(env.DIRECTUS_CACHE_TTL_MS) : 60000,
+  staleTtl: env.DIRECTUS_STALE_TTL_MS !== undefined ? Number(env.DIRECTUS_STALE_TTL_MS) : 3600000,
+  maxCacheEntries: 500
+};
+
+// Every client created, so a webhook can purge all of them at once
+const clients = new Set();
+
+// Every cached lookup created (see cacheLookup), purged alongside the clients
+const lookups = new Set();
+
+/**
+ * Build a stable cache key from a path and its query params
+ * (object keys are sorted so { a, b } and { b, a } share an entry)
+ */
+function buildCacheKey(baseURL, path, params) {
+  const normalize = (value) => {
+    if (Array.isArray(value)) return value.map(normalize);
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().reduce((acc, key) => {
+        acc[key] = normalize(value[key]);
+        return acc;
+      }, {});
+    }
+    return value;
+  };
+
+  return `${baseURL}${path}?${JSON.stringify(normalize(params || {}))}`;
+}
+
+/**
+ * Work out which collection a request reads from ('/items/staff' -> 'staff')
+ */
+function getCollectionTag(path) {
+  const match = path.match(/^\/items\/([^/?]+)/);
+  if (match) return match[1];
+  if (path.startsWith('/files') || path.startsWith('/assets')) return 'directus_files';
+  return null;
+}
+
+/**
+ * Check whether a cached collection is affected by a change to `collection`.
+ * Junction collections are named after both sides (labs_lab_projects,
+ * staff_team), so they match either of the collections they join.
+ */
+function isAffectedBy(tag, collection) {
+  if (!tag) return false;
+  return tag === collection ||
+    tag.startsWith(`${collection}_`) ||
+    tag.endsWith(`_${collection}`) ||
+    tag.includes(`_${collection}_`);
+}
+
+/**
+ * Only retry on network failures, timeouts and 5xx responses
+ */
+function isRetryable(error) {
+  if (!error.response) return true;
+  return error.response.status >= 500;
+}
+
+/**
+ * Thrown when Directus cannot be reached (network failure, timeout or 5xx)
+ * and there is no previously cached response to fall back on
+ */
+export class DirectusUnavailableError extends Error {
+  constructor(path, cause) {
+    super(`Directus is unavailable (${path}): ${cause?.message || 'unknown error'}`);
+    this.name = 'DirectusUnavailableError';
+    this.path = path;
+    this.status = 503;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Check whether an error means Directus is down rather than "no results"
+ */
+export function isDirectusUnavailable(error) {
+  return error instanceof DirectusUnavailableError;
+}
+
+// Seconds a client should wait before retrying a page or endpoint during an outage
+const RETRY_AFTER = '120';
+
+/**
+ * Turn an outage into a 503 for the Astro page being rendered; rethrows any other error.
+ * A 404 or empty listing would tell visitors and search engines the content is gone.
+ * @param {{response: {status?: number, headers: Headers}}} astro - The page's `Astro` global
+ * @param {unknown} error - What the page's fetchers threw
+ * @returns {true} For the page's `serviceUnavailable` flag
+ */
+export function markUnavailable(astro, error) {
+  if (!isDirectusUnavailable(error)) throw error;
+  astro.response.status = 503;
+  astro.response.headers.set('Retry-After', RETRY_AFTER);
+  return true;
+}
+
+/**
+ * 503 response for an endpoint (feed, calendar, sitemap) while Directus is down
+ * @param {string} message - e.g. 'News is temporarily unavailable'
+ * @returns {Response}
+ */
+export function unavailableResponse(message) {
+  return new Response(message, {
+    status: 503,
+    headers: { 'Retry-After': RETRY_AFTER }
+  });
+}
+
+/**
+ * Resolve to `fallback` when a fetcher fails because Directus is down.
+ * Use for secondary content (sidebars, related items) that shouldn't take the page down with it.
+ */
+export async function ifUnavailable(promise, fallback) {
+  try {
+    return await promise;
+  } catch (error) {
+    if (isDirectusUnavailable(error)) {
+      return fallback;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Remember what an optional lookup resolved to for `ttl` ms, fallbacks included.
+ * apiRequest and ifUnavailable turn a missing collection or an outage into an
+ * empty result that the client doesn't cache, so without this every request
+ * would ask Directus again. Other errors aren't remembered.
+ * @template T
+ * @param {string[]} collections - Collections the lookup reads, purged by invalidateCollections
+ * @param {() => Promise<T>} load
+ * @param {number} [ttl] - Defaults to the client cache TTL (0 disables caching)
+ * @returns {() => Promise<T>}
+ */
+export function cacheLookup(collections, load, ttl = DEFAULT_OPTIONS.cacheTtl) {
+  let entry = null;
+
+  const lookup = {
+    collections,
+    reset() {
+      entry = null;
+    }
+  };
+  lookups.add(lookup);
+
+  return () => {
+    if (ttl <= 0) return load();
+    if (!entry || entry.expires <= Date.now()) {
+      const promise = load();
+      entry = { promise, expires: Date.now() + ttl };
+      promise.catch(() => {
+        if (entry?.promise === promise) entry = null;
+      });
+    }
+    return entry.promise;
+  };
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a Directus client bound to one base URL
+ * @param {Object} options
+ * @param {string} options.baseURL - Directus base URL
+ * @param {number} options.timeout - Request timeout in ms
+ * @param {number} options.retries - Retry attempts after the first failure
+ * @param {number} options.retryDelay - Base backoff delay in ms (doubled per attempt)
+ * @param {number} options.cacheTtl - Time in ms a response is served without revalidating (0 disables caching)
+ * @param {number} options.staleTtl - Time in ms past cacheTtl a response is still served while it revalidates in the background
+ * @param {number} options.maxCacheEntries - Oldest entries are evicted past this size
+ */
+export function createDirectusClient(options = {}) {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+
+  const http = axios.create({
+    baseURL: config.baseURL,
+    timeout: config.timeout,
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  });
+
+  const cache = new Map();
+  const inflight = new Map();
+
+  async function getWithRetry(path, params) {
+    let attempt = 0;
+    while (true) {
+      try {
+        const response = await http.get(path, { params });
+        return response.data;
+      } catch (error) {
+        if (attempt >= config.retries || !isRetryable(error)) {
+          throw error;
+        }
+        const delay = config.retryDelay * Math.pow(2, attempt);
+        attempt++;
+        console.warn(`Retrying ${path} in ${delay}ms (attempt ${attempt} of ${config.retries}):`, error.message);
+        await wait(delay);
+      }
+    }
+  }
+
+  /**
+   * Fetch a response and store it in the cache, sharing the request with
+   * any identical caller while it is on the wire
+   */
+  function fetchAndStore(key, path, params, ttl) {
+    if (inflight.has(key)) {
+      return inflight.get(key).promise;
+    }
+
+    const tag = getCollectionTag(path);
+    const promise = getWithRetry(path, params)
+      .then(body => {
+        // Skip the write if the entry was purged while this request was running
+        if (ttl > 0 && inflight.get(key)?.promise === promise) {
+          if (!cache.has(key) && cache.size >= config.maxCacheEntries) {
+            cache.delete(cache.keys().next().value);
+          }
+          cache.set(key, {
+            body,
+            tag,
+            expires: Date.now() + ttl,
+            staleUntil: Date.now() + ttl + config.staleTtl
+          });
+        }
+        return body;
+      })
+      .catch(error => {
+        if (!isRetryable(error)) {
+          throw error;
+        }
+        const cached = cache.get(key);
+        if (cached) {
+          console.warn(`Directus unavailable, serving stale response for ${path}:`, error.message);
+          return cached.body;
+        }
+        throw new DirectusUnavailableError(path, error);
+      })
+      .finally(() => {
+        if (inflight.get(key)?.promise === promise) {
+          inflight.delete(key);
+        }
+      });
+
+    inflight.set(key, { promise, tag });
+    return promise;
+  }
+
+  /**
+   * GET a Directus endpoint and return the full response body ({ data, meta }).
+   * Callers get their own copy, since most fetchers decorate the items they receive.
+   * Expired responses are served immediately while a background request refreshes them.
+   * If Directus is down, the last good response is served however old it is;
+   * without one a DirectusUnavailableError is thrown.
+   * @param {string} path - Endpoint path, e.g. '/items/staff'
+   * @param {Object} params - Query params (fields, filter, sort, limit, ...)
+   * @param {Object} requestOptions
+   * @param {number} requestOptions.cacheTtl - Override the client cache TTL for this call
+   */
+  async function get(path, params = {}, requestOptions = {}) {
+    const ttl = requestOptions.cacheTtl !== undefined ? requestOptions.cacheTtl : config.cacheTtl;
+    const key = buildCacheKey(config.baseURL, path, params);
+    const cached = ttl > 0 ? cache.get(key) : null;
+    const now = Date.now();
+
+    if (cached && cached.expires > now) {
+      return structuredClone(cached.body);
+    }
+
+    if (cached && cached.staleUntil > now) {
+      fetchAndStore(key, path, params, ttl).catch(error => {
+        console.warn(`Background revalidation of ${path} failed:`, error.message);
+      });
+      return structuredClone(cached.body);
+    }
+
+    return structuredClone(await fetchAndStore(key, path, params, ttl));
+  }
+
+  /**
+   * Fetch items from Directus, returning the `data` array.
+   * Request errors (bad field, missing permission) resolve to [];
+   * an outage rethrows DirectusUnavailableError so it isn't mistaken for "no results".
+   */
+  async function apiRequest(path, params, requestOptions = {}) {
+    try {
+      const body = await get(path, params, requestOptions);
+      return body.data || [];
+    } catch (error) {
+      if (isDirectusUnavailable(error)) {
+        throw error;
+      }
+      console.error(`Error fetching ${path}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Drop cached responses read from any of the given collections
+   * (including junction collections that join them)
+   * @param {string[]} collections - Directus collection names
+   * @returns {number} Number of cache entries removed
+   */
+  function invalidate(collections) {
+    const affected = (entry) => collections.some(collection => isAffectedBy(entry.tag, collection));
+    let purged = 0;
+
+    for (const [key, entry] of cache) {
+      if (affected(entry)) {
+        cache.delete(key);
+        purged++;
+      }
+    }
+
+    // Requests already on the wire may return pre-change data, so don't let them be cached
+    for (const [key, entry] of inflight) {
+      if (affected(entry)) {
+        inflight.delete(key);
+      }
+    }
+
+    return purged;
+  }
+
+  /**
+   * Drop every cached response
+   */
+  function clearCache() {
+    cache.clear();
+    inflight.clear();
+  }
+
+  const client = {
+    get,
+    apiRequest,
+    invalidate,
+    clearCache
+  };
+
+  clients.add(client);
+  return client;
+}
+
+/**
+ * Purge the given collections from every Directus client's cache and cached lookup
+ * @param {string[]} collections - Directus collection names
+ * @returns {number} Number of cache entries removed
+ */
+export function invalidateCollections(collections) {
+  let purged = 0;
+  clients.forEach(client => {
+    purged += client.invalidate(collections);
+  });
+  lookups.forEach(lookup => {
+    if (lookup.collections.some(tag => collections.some(collection => isAffectedBy(tag, collection)))) {
+      lookup.reset();
+    }
+  });
+  return purged;
+}
+
+/**
+ * Empty every Directus client's cache and cached lookup
+ */
+export function clearAllCaches() {
+  clients.forEach(client => client.clearCache());
+  lookups.forEach(lookup => lookup.reset());
+}
+
+// Default client for the main Directus instance
+const directusClient = createDirectusClient({
+  baseURL: env.PUBLIC_DIRECTUS_URL
+});
+
+export const { get: directusGet, apiRequest, clearCache } = directusClient;
+
+export default directusClient;
@@ -1,25 +1,26 @@
 // src/lib/api_funding.js
-import axios from 'axios';
+import { apiRequest, isDirectusUnavailable } from './api_client.js';
 import { isDraftMode, getContentFilter } from '../utils/preview.js';
 
-// Create axios instance with base configuration
-const api = axios.create({
-  baseURL: import.meta.env.PUBLIC_DIRECTUS_URL,
-  headers: {
-    'Content-Type': 'application/json'
-  }
-});
+/**
+ * Group junction rows by one foreign key, collecting the related item from another
+ * e.g. funding_staff rows -> Map(funding_id => [staff, ...])
+ */
+function groupRelations(relations, groupKey, itemKey) {
+  const grouped = new Map();
 
-// Helper function to handle errors consistently
-async function apiRequest(path, params) {
-  try {
-    const response = await api.get(path, { params });
-    return response.data.data || [];
-  } catch (error) {
-    console.error(`Error fetching ${path}:`, error.message);
-    console.error('Full error:', error);
-    return [];
-  }
+  relations.forEach(rel => {
+    const item = rel[itemKey];
+    if (!item) return;
+
+    const key = rel[groupKey];
+    if (!grouped.has(key)) {
+      grouped.set(key, []);
+    }
+    grouped.get(key).push(item);
+  });
+
+  return grouped;
 }
 
 /**
@@ -75,6 +76,7 @@ async function fetchLabsForFunding(fundingId) {
 
 /**
  * Fetch all funding/sponsored projects with related data
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchAllFunding(request = null) {
   try {
@@ -93,11 +95,19 @@ export async function fetchAllFunding(request = null) {
       sort: '-date_created,title'
     });
 
-    // For each funding project, get related staff, teams, and lab projects
-    for (const project of funding) {
-      // Get staff (PIs and Co-PIs)
-      const staffRelations = await apiRequest('/items/funding_staff', {
+    if (funding.length === 0) {
+      return funding;
+    }
+
+    // Fetch every relation for all projects in one request per junction table,
+    // then assemble them in memory (limit -1, since these span all projects)
+    const fundingIds = funding.map(project => project.id);
+
+    const [staffRelations, teamRelations, labProjectRelations] = await Promise.all([
+      // Staff (PIs and Co-PIs)
+      apiRequest('/items/funding_staff', {
         fields: [
+          'funding_id',
           'staff_id.id',
           'staff_id.first_name',
           'staff_id.last_name',
@@ -109,29 +119,27 @@ export async function fetchAllFunding(request = null) {
           'staff_id.department_id.name'
         ],
         filter: JSON.stringify({
-          funding_id: { _eq: project.id }
-        })
-      });
-      
-      project.staff = staffRelations.map(rel => rel.staff_id).filter(Boolean);
-
-      // Get teams
-      const teamRelations = await apiRequest('/items/funding_team', {
+          funding_id: { _in: fundingIds }
+        }),
+        limit: -1
+      }),
+      // Teams
+      apiRequest('/items/funding_team', {
         fields: [
+          'funding_id',
           'team_id.id',
           'team_id.name',
           'team_id.description',
         ],
         filter: JSON.stringify({
-          funding_id: { _eq: project.id }
-        })
-      });
-      
-      project.teams = teamRelations.map(rel => rel.team_id).filter(Boolean);
-
-      // Get associated lab projects
-      const labProjectRelations = await apiRequest('/items/lab_projects_funding', {
+          funding_id: { _in: fundingIds }
+        }),
+        limit: -1
+      }),
+      // Associated lab projects
+      apiRequest('/items/lab_projects_funding', {
         fields: [
+          'funding_id',
           'lab_projects_id.id',
           'lab_projects_id.title',
           'lab_projects_id.slug',
@@ -141,48 +149,64 @@ export async function fetchAllFunding(request = null) {
           'lab_projects_id.end_date'
         ],
         filter: JSON.stringify({
-          funding_id: { _eq: project.id }
-        })
+          funding_id: { _in: fundingIds }
+        }),
+        limit: -1
+      })
+    ]);
+
+    // Labs are linked through lab projects, so they need the lab project IDs first
+    const labProjectIds = [...new Set(
+      labProjectRelations.map(rel => rel.lab_projects_id?.id).filter(Boolean)
+    )];
+
+    let labRelations = [];
+    if (labProjectIds.length > 0) {
+      labRelations = await apiRequest('/items/labs_lab_projects', {
+        fields: [
+          'lab_projects_id',
+          'labs_id.id',
+          'labs_id.name',
+          'labs_id.short_name',
+          'labs_id.slug',
+          'labs_id.logo'
+        ],
+        filter: JSON.stringify({
+          lab_projects_id: { _in: labProjectIds }
+        }),
+        limit: -1
       });
-      
-      project.lab_projects = labProjectRelations.map(rel => rel.lab_projects_id).filter(Boolean);
-
-      // Get associated labs through lab projects - simplified approach
-      if (project.lab_projects.length > 0) {
-        const labProjectIds = project.lab_projects.map(lp => lp.id);
-        
-        const allLabRelations = await apiRequest('/items/labs_lab_projects', {
-          fields: [
-            'labs_id.id',
-            'labs_id.name',
-            'labs_id.short_name',
-            'labs_id.slug',
-            'labs_id.logo'
-          ],
-          filter: JSON.stringify({
-            lab_projects_id: { _in: labProjectIds }
-          })
-        });
-        
-        // Remove duplicates by lab ID
-        const uniqueLabs = [];
-        const seenLabIds = new Set();
-        
-        allLabRelations.forEach(rel => {
-          if (rel.labs_id && !seenLabIds.has(rel.labs_id.id)) {
-            seenLabIds.add(rel.labs_id.id);
-            uniqueLabs.push(rel.labs_id);
+    }
+
+    const staffByFunding = groupRelations(staffRelations, 'funding_id', 'staff_id');
+    const teamsByFunding = groupRelations(teamRelations, 'funding_id', 'team_id');
+    const labProjectsByFunding = groupRelations(labProjectRelations, 'funding_id', 'lab_projects_id');
+    const labsByLabProject = groupRelations(labRelations, 'lab_projects_id', 'labs_id');
+
+    funding.forEach(project => {
+      project.staff = staffByFunding.get(project.id) || [];
+      project.teams = teamsByFunding.get(project.id) || [];
+      project.lab_projects = labProjectsByFunding.get(project.id) || [];
+
+      // Labs across all of the project's lab projects, without duplicates
+      const uniqueLabs = [];
+      const seenLabIds = new Set();
+
+      project.lab_projects.forEach(labProject => {
+        (labsByLabProject.get(labProject.id) || []).forEach(lab => {
+          if (!seenLabIds.has(lab.id)) {
+            seenLabIds.add(lab.id);
+            uniqueLabs.push(lab);
           }
         });
-        
-        project.labs = uniqueLabs;
-      } else {
-        project.labs = [];
-      }
-    }
+      });
+
+      project.labs = uniqueLabs;
+    });
 
     return funding;
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error('Error fetching funding projects:', error);
     return [];
   }
@@ -190,6 +214,7 @@ export async function fetchAllFunding(request = null) {
 
 /**
  * Fetch all funding agencies for filter dropdown
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchFundingAgencies() {
   try {
@@ -198,13 +223,35 @@ export async function fetchFundingAgencies() {
       sort: 'name'
     });
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error('Error fetching funding agencies:', error);
     return [];
   }
 }
 
+/**
+ * Fetch the ids of all published funding projects, with the dates the sitemap uses for lastmod
+ * @returns {Promise<Array<{id: number, date_updated: string|null, date_created: string|null}>>}
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
+ */
+export async function fetchAllFundingIds() {
+  try {
+    return await apiRequest('/items/funding', {
+      fields: ['id', 'date_updated', 'date_created'],
+      filter: JSON.stringify(getContentFilter(false)),
+      sort: 'id',
+      limit: -1
+    });
+  } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
+    console.error('Error fetching funding ids:', error);
+    return [];
+  }
+}
+
 /**
  * Fetch a specific funding project by ID with full details
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchFundingById(fundingId, request = null) {
   try {
@@ -266,6 +313,7 @@ export async function fetchFundingById(fundingId, request = null) {
 
     return project;
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error('Error fetching funding project by ID:', error);
     return null;
   }
@@ -273,6 +321,7 @@ export async function fetchFundingById(fundingId, request = null) {
 
 /**
  * Get unique grant statuses for filtering
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchGrantStatuses() {
   try {
@@ -286,6 +335,7 @@ export async function fetchGrantStatuses() {
     const statuses = [...new Set(funding.map(f => f.grant_status).filter(Boolean))];
     return statuses.sort();
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error('Error fetching grant statuses:', error);
     return [];
   }
@@ -0,0 +1,122 @@
+// src/lib/api_health.js
+// Dependency checks behind /api/health (src/pages/api/health.js), polled by
+// monitoring and the digital displays to spot outages before visitors do.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import axios from 'axios';
+import pkg from '../../package.json';
+import { PUBLICATIONS_URL } from './api_publications.js';
+
+const env = import.meta.env || {};
+
+const PING_TIMEOUT = Number(env.HEALTH_PING_TIMEOUT_MS) || 3000;
+
+// Pagefind is generated into dist/client by `npm run build`, then copied to dist/pagefind
+const PAGEFIND_BUNDLES = ['client/pagefind/pagefind.js', 'pagefind/pagefind.js'];
+
+// The search index endpoint is prerendered at build time
+const SEARCH_INDEX_FILE = 'client/js/search-index.json';
+
+/**
+ * Ping a Directus instance, bypassing the response cache so the result reflects Directus right now
+ * @param {string} baseURL - Directus base URL
+ * @returns {Promise<{status: string, latencyMs?: number, httpStatus?: number, error?: string}>}
+ */
+export async function checkDirectus(baseURL, { timeout = PING_TIMEOUT } = {}) {
+  if (!baseURL) {
+    return { status: 'unconfigured' };
+  }
+
+  const started = Date.now();
+  try {
+    const response = await axios.get(`${baseURL.replace(/\/$/, '')}/server/ping`, {
+      timeout,
+      // A 4xx still means Directus answered
+      validateStatus: () => true
+    });
+
+    return {
+      status: response.status < 500 ? 'ok' : 'down',
+      latencyMs: Date.now() - started,
+      httpStatus: response.status
+    };
+  } catch (error) {
+    return {
+      status: 'down',
+      latencyMs: Date.now() - started,
+      error: error.code || error.message
+    };
+  }
+}
+
+/**
+ * Check that the Pagefind bundle was built
+ * @param {string} distDir - Build output directory
+ */
+export async function checkPagefind(distDir) {
+  for (const bundle of PAGEFIND_BUNDLES) {
+    try {
+      await fs.access(path.join(distDir, bundle));
+      return { status: 'ok', bundle: `dist/${bundle}` };
+    } catch (error) {
+      // Try the next location
+    }
+  }
+  return { status: 'missing' };
+}
+
+/**
+ * Report when the prerendered search index was generated
+ * @param {string} distDir - Build output directory
+ */
+export async function checkSearchIndex(distDir) {
+  try {
+    const stats = await fs.stat(path.join(distDir, SEARCH_INDEX_FILE));
+    return {
+      status: 'ok',
+      generatedAt: stats.mtime.toISOString(),
+      ageSeconds: Math.round((Date.now() - stats.mtimeMs) / 1000)
+    };
+  } catch (error) {
+    return { status: 'missing' };
+  }
+}
+
+/**
+ * Run every check. Overall status is 'down' when the main Directus is unreachable
+ * (most pages can't render), 'degraded' when anything else fails, otherwise 'ok'.
+ * @param {Object} options
+ * @param {string} options.directusUrl - Main Directus base URL
+ * @param {string} options.publicationsUrl - Publications Directus base URL
+ * @param {string} options.distDir - Build output directory
+ */
+export async function getHealthReport(options = {}) {
+  const {
+    directusUrl = env.PUBLIC_DIRECTUS_URL,
+    publicationsUrl = PUBLICATIONS_URL,
+    distDir = path.resolve(process.cwd(), 'dist')
+  } = options;
+
+  const [directus, publications, pagefind, searchIndex] = await Promise.all([
+    checkDirectus(directusUrl),
+    checkDirectus(publicationsUrl),
+    checkPagefind(distDir),
+    checkSearchIndex(distDir)
+  ]);
+
+  const checks = { directus, publications, pagefind, searchIndex };
+
+  let status = 'ok';
+  if (directus.status !== 'ok') {
+    status = 'down';
+  } else if (Object.values(checks).some(check => check.status !== 'ok')) {
+    status = 'degraded';
+  }
+
+  return {
+    status,
+    timestamp: new Date().toISOString(),
+    version: env.BUILD_VERSION || pkg.version,
+    checks
+  };
+}
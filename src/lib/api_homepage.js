@@ -1,24 +1,5 @@
 // src/lib/api_homepage.js
-import axios from 'axios';
-
-// Create axios instance with base configuration
-const api = axios.create({
-  baseURL: import.meta.env.PUBLIC_DIRECTUS_URL,
-  headers: {
-    'Content-Type': 'application/json'
-  }
-});
-
-// Helper function to handle errors consistently
-async function apiRequest(path, params) {
-  try {
-    const response = await api.get(path, { params });
-    return response.data.data || null;
-  } catch (error) {
-    console.error(`Error fetching ${path}:`, error.message);
-    return null;
-  }
-}
+import { apiRequest } from './api_client.js';
 
 /**
  * Fetch a specific homepage section by status - only one should be fetched - otherwise will get first or fallback to default
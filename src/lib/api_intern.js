@@ -1,25 +1,6 @@
 // src/lib/api_intern.js
-import axios from 'axios';
-
-// Create axios instance with base configuration
-const api = axios.create({
-  baseURL: import.meta.env.PUBLIC_DIRECTUS_URL,
-  headers: {
-    'Content-Type': 'application/json'
-  }
-});
-
-// Helper function to handle errors consistently
-async function apiRequest(path, params) {
-  try {
-    const response = await api.get(path, { params });
-    return response.data.data || [];
-  } catch (error) {
-    console.error(`Error fetching ${path}:`, error.message);
-    console.error('Full error:', error);
-    return [];
-  }
-}
+import { apiRequest, isDirectusUnavailable } from './api_client.js';
+import { isPastDate } from '../utils/dates.js';
 
 //fetch map image information
 export async function fetchInternMapImage() {
@@ -39,9 +20,9 @@ export async function fetchInternMapImage() {
   }
 }
 
-
 /**
  * Fetch current internship details (most recent year)
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchCurrentInternDetails() {
   try {
@@ -53,6 +34,7 @@ export async function fetchCurrentInternDetails() {
     
     return details.length > 0 ? details[0] : null;
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error('Error fetching current intern details:', error);
     return null;
   }
@@ -60,6 +42,7 @@ export async function fetchCurrentInternDetails() {
 
 /**
  * Fetch all internship details (for archive/historical access)
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchAllInternDetails() {
   try {
@@ -68,13 +51,36 @@ export async function fetchAllInternDetails() {
       sort: '-program_year'
     });
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error('Error fetching all intern details:', error);
     return [];
   }
 }
 
+/**
+ * Fetch the program years with internship details, with the dates the sitemap uses for lastmod
+ * @returns {Promise<Array<{program_year: number, date_updated: string|null, date_created: string|null}>>}
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
+ */
+export async function fetchAllInternYears() {
+  try {
+    const details = await apiRequest('/items/intern_details', {
+      fields: ['program_year', 'date_updated', 'date_created'],
+      sort: 'program_year',
+      limit: -1
+    });
+
+    return details.filter(detail => detail.program_year);
+  } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
+    console.error('Error fetching intern years:', error);
+    return [];
+  }
+}
+
 /**
  * Fetch internship details for a specific year
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchInternDetailsByYear(year) {
   try {
@@ -89,13 +95,23 @@ export async function fetchInternDetailsByYear(year) {
     
     return details.length > 0 ? details[0] : null;
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error(`Error fetching intern details for year ${year}:`, error);
     return null;
   }
 }
 
+/**
+ * Whether a program year is over: its end date has passed in Kentucky.
+ * The program stays current through its last day.
+ */
+export function hasInternProgramEnded(details, now = new Date()) {
+  return Boolean(details?.program_end_date) && isPastDate(details.program_end_date, now);
+}
+
 /**
  * Fetch all FAQs
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchInternFAQs() {
   try {
@@ -109,6 +125,7 @@ export async function fetchInternFAQs() {
       sort: 'sort,id'
     });
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error('Error fetching intern FAQs:', error);
     return [];
   }
@@ -116,6 +133,7 @@ export async function fetchInternFAQs() {
 
 /**
  * Fetch all intern projects
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchAllInternProjects() {
   try {
@@ -129,6 +147,7 @@ export async function fetchAllInternProjects() {
       sort: '-year_internship,sort,id'
     });
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error('Error fetching all intern projects:', error);
     return [];
   }
@@ -136,6 +155,7 @@ export async function fetchAllInternProjects() {
 
 /**
  * Fetch intern projects grouped by year
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchInternProjectsByYear() {
   try {
@@ -153,6 +173,7 @@ export async function fetchInternProjectsByYear() {
     
     return projectsByYear;
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error('Error fetching projects by year:', error);
     return {};
   }
@@ -160,6 +181,7 @@ export async function fetchInternProjectsByYear() {
 
 /**
  * Fetch intern projects for a specific year
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchInternProjectsForYear(year) {
   try {
@@ -176,6 +198,7 @@ export async function fetchInternProjectsForYear(year) {
       sort: 'sort,id'
     });
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error(`Error fetching projects for year ${year}:`, error);
     return [];
   }
@@ -183,6 +206,7 @@ export async function fetchInternProjectsForYear(year) {
 
 /**
  * Fetch final project details for all years
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchAllFinalProjectDetails() {
   try {
@@ -196,6 +220,7 @@ export async function fetchAllFinalProjectDetails() {
       sort: '-project_year'
     });
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error('Error fetching final projects details:', error);
     return [];
   }
@@ -203,6 +228,7 @@ export async function fetchAllFinalProjectDetails() {
 
 /**
  * Fetch final project details for a specific year
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchFinalProjectDetailsByYear(year) {
   try {
@@ -220,6 +246,7 @@ export async function fetchFinalProjectDetailsByYear(year) {
     
     return details.length > 0 ? details[0] : null;
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error(`Error fetching final projects details for year ${year}:`, error);
     return null;
   }
@@ -227,6 +254,7 @@ export async function fetchFinalProjectDetailsByYear(year) {
 
 /**
  * Get all years that have intern projects (for navigation/archive)
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchInternProjectYears() {
   try {
@@ -244,6 +272,7 @@ export async function fetchInternProjectYears() {
     const years = [...new Set(projects.map(p => p.year_internship))];
     return years.filter(year => year != null);
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error('Error fetching project years:', error);
     return [];
   }
@@ -1,29 +1,10 @@
 // src/lib/api_labs.js
-import axios from 'axios';
+import { apiRequest, isDirectusUnavailable } from './api_client.js';
 import { isDraftMode, getContentFilter } from '../utils/preview.js';
 
-// Create axios instance with base configuration
-const api = axios.create({
-  baseURL: import.meta.env.PUBLIC_DIRECTUS_URL,
-  headers: {
-    'Content-Type': 'application/json'
-  }
-});
-
-// Helper function to handle errors consistently
-async function apiRequest(path, params) {
-  try {
-    const response = await api.get(path, { params });
-    return response.data.data || [];
-  } catch (error) {
-    console.error(`Error fetching ${path}:`, error.message);
-    console.error('Full error:', error);
-    return [];
-  }
-}
-
 /**
  * Fetch a lab by slug with preview support (ENHANCED with location & principal investigator)
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchLabBySlug(slug, request = null) {
   try {
@@ -79,6 +60,7 @@ export async function fetchLabBySlug(slug, request = null) {
     
     return labs[0];
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error(`Error fetching lab with slug ${slug}:`, error);
     return null;
   }
@@ -86,6 +68,7 @@ export async function fetchLabBySlug(slug, request = null) {
 
 /**
  * Fetch all labs with preview support
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchAllLabs(request = null) {
   try {
@@ -112,13 +95,37 @@ export async function fetchAllLabs(request = null) {
     
     return labs;
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error('Error fetching all labs:', error);
     return [];
   }
 }
 
+/**
+ * Fetch the slugs of all published labs, with the dates the sitemap uses for lastmod
+ * @returns {Promise<Array<{slug: string, date_updated: string|null, date_created: string|null}>>}
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
+ */
+export async function fetchAllLabSlugs() {
+  try {
+    const labs = await apiRequest('/items/labs', {
+      fields: ['slug', 'date_updated', 'date_created'],
+      filter: JSON.stringify(getContentFilter(false)),
+      sort: 'slug',
+      limit: -1
+    });
+
+    return labs.filter(lab => lab.slug);
+  } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
+    console.error('Error fetching lab slugs:', error);
+    return [];
+  }
+}
+
 /**
  * Fetch latest news related to a lab
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchLabNews(labId, options = {}) {
   const { limit = 3, page = 1 } = options;
@@ -145,7 +152,9 @@ export async function fetchLabNews(labId, options = {}) {
     const news = await apiRequest('/items/articles', {
       fields: [
         '*', // Get all fields
-        'main_image.*'
+        'main_image.*',
+        'author.first_name',
+        'author.last_name'
       ],
       filter: JSON.stringify({
         id: {
@@ -162,6 +171,7 @@ export async function fetchLabNews(labId, options = {}) {
    
     return news;
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error(`Error fetching news for lab ${labId}:`, error);
     return [];
   }
@@ -254,6 +264,7 @@ export async function fetchLabStaff(labId) {
 
 /**
  * Fetch projects for a specific lab using many-to-many relationship with preview support (ENHANCED)
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchLabProjects(labId, options = {}) {
   try {
@@ -346,6 +357,7 @@ export async function fetchLabProjects(labId, options = {}) {
 
     return projects;
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error('Error fetching lab projects:', error);
     return [];
   }
@@ -526,6 +538,7 @@ export async function fetchLabProjectBySlug(labId, projectSlug) {
 
 /**
  * Fetch publications for a specific lab using many-to-many relationship
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchLabPublications(labId, options = {}) {
   const { limit = 10, page = 1, yearGroup = true } = options;
@@ -575,13 +588,42 @@ export async function fetchLabPublications(labId, options = {}) {
 
     return publications;
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error('Error fetching lab publications:', error);
     return yearGroup ? {} : [];
   }
 }
 
+/**
+ * Fetch specific lab publications, e.g. for a citation export
+ * @param {Array<number|string>} ids
+ * @returns {Promise<Array>} Publications in the order requested (unknown ids are skipped)
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
+ */
+export async function fetchLabPublicationsByIds(ids) {
+  if (!ids || ids.length === 0) return [];
+
+  try {
+    const publications = await apiRequest('/items/publications', {
+      fields: ['*'],
+      filter: JSON.stringify({
+        id: { _in: ids },
+        status: { _eq: 'published' }
+      }),
+      limit: -1
+    });
+    const byId = new Map(publications.map(publication => [String(publication.id), publication]));
+    return ids.map(id => byId.get(String(id))).filter(Boolean);
+  } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
+    console.error('Error fetching lab publications by id:', error);
+    return [];
+  }
+}
+
 /**
  * Fetch presentations associated with a lab using many-to-many relationship
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchLabPresentations(labId, options = {}) {
   const { limit = 10, page = 1, yearGroup = true } = options;
@@ -631,6 +673,7 @@ export async function fetchLabPresentations(labId, options = {}) {
     
     return presentations;
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error(`Error fetching presentations for lab ${labId}:`, error);
     return yearGroup ? {} : [];
   }
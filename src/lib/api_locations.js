@@ -1,29 +1,10 @@
 // src/lib/api_locations.js
-import axios from 'axios';
-
-// Create axios instance with base configuration
-const api = axios.create({
-  baseURL: import.meta.env.PUBLIC_DIRECTUS_URL,
-  headers: {
-    'Content-Type': 'application/json'
-  }
-});
-
-// Helper function to handle errors consistently
-async function apiRequest(path, params) {
-  try {
-    const response = await api.get(path, { params });
-    return response.data.data || [];
-  } catch (error) {
-    console.error(`Error fetching ${path}:`, error.message);
-    console.error('Full error:', error);
-    return [];
-  }
-}
+import { apiRequest, isDirectusUnavailable } from './api_client.js';
 
 /**
  * Fetch all KGS directory locations
  * Only returns locations where kgs_directory = true
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchKGSLocations() {
   try {
@@ -56,6 +37,7 @@ export async function fetchKGSLocations() {
     console.log(`Fetched ${locations.length} KGS directory locations`);
     return locations;
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error('Error fetching KGS locations:', error);
     return [];
   }
@@ -63,6 +45,7 @@ export async function fetchKGSLocations() {
 
 /**
  * Fetch a specific location by slug
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchLocationBySlug(slug) {
   try {
@@ -87,18 +70,21 @@ export async function fetchLocationBySlug(slug) {
 
     return locations[0];
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error(`Error fetching location with slug ${slug}:`, error);
     return null;
   }
 }
 
 /**
- * Fetch all location slugs for generating static paths
+ * Fetch the slugs of all published directory locations, with the dates the sitemap uses for lastmod
+ * @returns {Promise<Array<{slug: string, date_updated: string|null, date_created: string|null}>>}
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchAllLocationSlugs() {
   try {
     const locations = await apiRequest('/items/locations', {
-      fields: ['slug'],
+      fields: ['slug', 'date_updated', 'date_created'],
       filter: JSON.stringify({
         kgs_directory: {
           _eq: true
@@ -106,11 +92,14 @@ export async function fetchAllLocationSlugs() {
         status: {
           _eq: 'published'
         }
-      })
+      }),
+      sort: 'slug',
+      limit: -1
     });
     
-    return locations.map(location => location.slug).filter(Boolean);
+    return locations.filter(location => location.slug);
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error('Error fetching location slugs:', error);
     return [];
   }
@@ -118,6 +107,7 @@ export async function fetchAllLocationSlugs() {
 
 /**
  * Fetch locations by state
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchLocationsByState(state) {
   try {
@@ -152,6 +142,7 @@ export async function fetchLocationsByState(state) {
 
     return locations;
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error(`Error fetching locations for state ${state}:`, error);
     return [];
   }
@@ -159,6 +150,7 @@ export async function fetchLocationsByState(state) {
 
 /**
  * Fetch staff members associated with a location
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchStaffByLocation(locationId) {
   try {
@@ -204,6 +196,7 @@ export async function fetchStaffByLocation(locationId) {
 
     return staff;
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error(`Error fetching staff for location ${locationId}:`, error);
     return [];
   }
@@ -1,26 +1,6 @@
 // src/lib/api_mapservices.js
 // API functions for fetching map services from Directus
-import axios from 'axios';
-
-// Create axios instance with base configuration
-const api = axios.create({
-  baseURL: import.meta.env.PUBLIC_DIRECTUS_URL,
-  headers: {
-    'Content-Type': 'application/json'
-  }
-});
-
-// Helper function to handle errors consistently
-async function apiRequest(path, params) {
-  try {
-    const response = await api.get(path, { params });
-    return response.data.data || [];
-  } catch (error) {
-    console.error(`Error fetching ${path}:`, error.message);
-    console.error('Full error:', error);
-    return [];
-  }
-}
+import { apiRequest } from './api_client.js';
 
 /**
  * Fetch all map services from Directus
@@ -1,42 +1,28 @@
 // src/lib/api_news.js
-import axios from 'axios';
-
-// Create axios instance with base configuration
-const api = axios.create({
-  baseURL: import.meta.env.PUBLIC_DIRECTUS_URL,
-  headers: {
-    'Content-Type': 'application/json'
-  }
-});
-
-// Helper function to handle errors consistently
-async function apiRequest(path, params) {
-  try {
-    const response = await api.get(path, { params });
-    return response.data.data || [];
-  } catch (error) {
-    console.error(`Error fetching ${path}:`, error.message);
-    console.error('Full error:', error);
-    return [];
-  }
-}
+import { apiRequest, directusGet, isDirectusUnavailable } from './api_client.js';
+import { MONTH_NAMES, easternToday, getEasternYear, getEasternMonth } from '../utils/dates.js';
 
 /**
- * Fetch all news article slugs for generating static paths
+ * Fetch the slugs of all published news articles, with the dates the sitemap uses for lastmod
+ * @returns {Promise<Array<{slug: string, date_updated: string|null, date_created: string|null}>>}
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchAllNewsSlugs() {
   try {
     const articles = await apiRequest('/items/articles', {
-      fields: ['slug'],
+      fields: ['slug', 'date_updated', 'date_created'],
       filter: JSON.stringify({
         status: {
           _eq: 'published'
         }
-      })
+      }),
+      sort: 'slug',
+      limit: -1
     });
     
-    return articles.map(article => article.slug);
+    return articles.filter(article => article.slug);
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error('Error fetching news slugs:', error);
     return [];
   }
@@ -44,6 +30,7 @@ export async function fetchAllNewsSlugs() {
 
 /**
  * Fetch a news article by slug
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchNewsBySlug(slug) {
   try {
@@ -117,6 +104,7 @@ export async function fetchNewsBySlug(slug) {
     
     return article;
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error(`Error fetching news article with slug ${slug}:`, error);
     return null;
   }
@@ -127,14 +115,13 @@ export async function fetchNewsBySlug(slug) {
  * @param {number} limit - Number of events per page
  * @param {number} page - Current page number
  * @param {boolean} upcoming - If true, fetch only upcoming events, otherwise past events
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchEvents(limit = 10, page = 1, upcoming = true) {
   try {
 
-    // Get current date in YYYY-MM-DD format
-    const today = new Date();
-    today.setHours(0, 0, 0, 0); // Set to beginning of day
-    const todayStr = today.toISOString().split('T')[0];
+    // Today's date in Kentucky, YYYY-MM-DD
+    const todayStr = easternToday();
     
     // Create filter based on event status
     let filter = {
@@ -186,16 +173,14 @@ export async function fetchEvents(limit = 10, page = 1, upcoming = true) {
     
    
     // Get total count for pagination
-    const countResponse = await api.get('/items/articles', {
-      params: {
-        aggregate: {
-          count: 'id'
-        },
-        filter: JSON.stringify(filter)
-      }
+    const countResponse = await directusGet('/items/articles', {
+      aggregate: {
+        count: 'id'
+      },
+      filter: JSON.stringify(filter)
     });
     
-    const totalCount = countResponse.data.data?.[0]?.count?.id || 0;
+    const totalCount = countResponse.data?.[0]?.count?.id || 0;
     
     return {
       articles,
@@ -204,6 +189,7 @@ export async function fetchEvents(limit = 10, page = 1, upcoming = true) {
       totalPages: Math.ceil(totalCount / limit)
     };
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error(`Error fetching ${upcoming ? 'upcoming' : 'past'} events:`, error);
     return {
       articles: [],
@@ -216,14 +202,13 @@ export async function fetchEvents(limit = 10, page = 1, upcoming = true) {
 
 /**
  * Fetch recent news articles with pagination, excluding expired events
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchRecentNews(limit = 10, page = 1, category = null) {
   try {
    
-    // Get current date in YYYY-MM-DD format
-    const today = new Date();
-    today.setHours(0, 0, 0, 0); // Set to beginning of day
-    const todayStr = today.toISOString().split('T')[0];
+    // Today's date in Kentucky, YYYY-MM-DD
+    const todayStr = easternToday();
     
     // Create filter to get only published articles
     let filter = {
@@ -296,16 +281,14 @@ export async function fetchRecentNews(limit = 10, page = 1, category = null) {
     
    
     // Get total count for pagination
-    const countResponse = await api.get('/items/articles', {
-      params: {
-        aggregate: {
-          count: 'id'
-        },
-        filter: JSON.stringify(filter)
-      }
+    const countResponse = await directusGet('/items/articles', {
+      aggregate: {
+        count: 'id'
+      },
+      filter: JSON.stringify(filter)
     });
     
-    const totalCount = countResponse.data.data?.[0]?.count?.id || 0;
+    const totalCount = countResponse.data?.[0]?.count?.id || 0;
     
     return {
       articles,
@@ -314,6 +297,7 @@ export async function fetchRecentNews(limit = 10, page = 1, category = null) {
       totalPages: Math.ceil(totalCount / limit)
     };
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error('Error fetching recent news:', error);
     return {
       articles: [],
@@ -326,12 +310,14 @@ export async function fetchRecentNews(limit = 10, page = 1, category = null) {
 
 /**
  * Fetch news articles grouped by month
+ * @param {number|null} [year] - Defaults to the current year in Kentucky
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchNewsByMonth(year = null) {
   try {
     // Determine current year if not provided
     if (!year) {
-      year = new Date().getFullYear();
+      year = getEasternYear();
     }
     
     // Create filter for the specified year
@@ -367,13 +353,9 @@ export async function fetchNewsByMonth(year = null) {
     
     // Group articles by month
     const articlesByMonth = {};
-    const months = ['January', 'February', 'March', 'April', 'May', 'June', 
-                    'July', 'August', 'September', 'October', 'November', 'December'];
     
     articles.forEach(article => {
-      const date = new Date(article.publication_date);
-      const month = date.getMonth(); // 0-11
-      const monthName = months[month];
+      const monthName = MONTH_NAMES[getEasternMonth(article.publication_date) - 1];
       
       if (!articlesByMonth[monthName]) {
         articlesByMonth[monthName] = [];
@@ -392,7 +374,7 @@ export async function fetchNewsByMonth(year = null) {
     // Convert month names to their numerical index
     const monthIndices = usedMonths.map(month => ({
       name: month,
-      index: months.indexOf(month)
+      index: MONTH_NAMES.indexOf(month)
     }));
     
     // Sort by month index in reverse order (December to January)
@@ -408,6 +390,7 @@ export async function fetchNewsByMonth(year = null) {
       articlesByMonth: sortedArticlesByMonth
     };
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error(`Error fetching news by month for year ${year}:`, error);
     return {
       year,
@@ -523,37 +506,37 @@ export async function fetchNewsByLabId(labId, limit = 3) {
 
 /**
  * Fetch available years for news archive
+ * @returns {Promise<number[]>}
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchNewsYears() {
   try {
     // Fetch earliest and latest published dates
-    const response = await api.get('/items/articles', {
-      params: {
-        aggregate: {
-          min: 'publication_date',
-          max: 'publication_date'
-        },
-        filter: JSON.stringify({
-          status: {
-            _eq: 'published'
-          }
-        })
-      }
+    const response = await directusGet('/items/articles', {
+      aggregate: {
+        min: 'publication_date',
+        max: 'publication_date'
+      },
+      filter: JSON.stringify({
+        status: {
+          _eq: 'published'
+        }
+      })
     });
     
-    if (!response.data.data || !response.data.data[0]) {
-      return [new Date().getFullYear()];
+    if (!response.data || !response.data[0]) {
+      return [getEasternYear()];
     }
     
-    const minDate = response.data.data[0].min.publication_date;
-    const maxDate = response.data.data[0].max.publication_date;
+    const minDate = response.data[0].min.publication_date;
+    const maxDate = response.data[0].max.publication_date;
     
     if (!minDate || !maxDate) {
-      return [new Date().getFullYear()];
+      return [getEasternYear()];
     }
     
-    const startYear = new Date(minDate).getFullYear();
-    const endYear = new Date(maxDate).getFullYear();
+    const startYear = getEasternYear(minDate);
+    const endYear = getEasternYear(maxDate);
     
     // Generate array of years
     const years = [];
@@ -563,7 +546,8 @@ export async function fetchNewsYears() {
     
     return years;
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error('Error fetching news years:', error);
-    return [new Date().getFullYear()];
+    return [getEasternYear()];
   }
 }
\ No newline at end of file
@@ -1,29 +1,11 @@
 // src/lib/api_projects.js
-import axios from 'axios';
+import { apiRequest, directusGet, isDirectusUnavailable } from './api_client.js';
 import { isDraftMode, getContentFilter } from '../utils/preview.js';
-
-// Create axios instance with base configuration
-const api = axios.create({
-  baseURL: import.meta.env.PUBLIC_DIRECTUS_URL,
-  headers: {
-    'Content-Type': 'application/json'
-  }
-});
-
-// Helper function to handle errors consistently
-async function apiRequest(path, params) {
-  try {
-    const response = await api.get(path, { params });
-    return response.data.data || [];
-  } catch (error) {
-    console.error(`Error fetching ${path}:`, error.message);
-    console.error('Full error:', error);
-    return [];
-  }
-}
+import { isPastDate } from '../utils/dates.js';
 
 /**
  * Fetch a single project by slug with preview support
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchProjectBySlug(slug, request = null) {
   try {
@@ -46,11 +28,34 @@ export async function fetchProjectBySlug(slug, request = null) {
 
     return projects[0];
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error('Error fetching project by slug:', error);
     return null;
   }
 }
 
+/**
+ * Fetch the slugs of all published lab projects, with the dates the sitemap uses for lastmod
+ * @returns {Promise<Array<{slug: string, date_updated: string|null, date_created: string|null}>>}
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
+ */
+export async function fetchAllProjectSlugs() {
+  try {
+    const projects = await apiRequest('/items/lab_projects', {
+      fields: ['slug', 'date_updated', 'date_created'],
+      filter: JSON.stringify(getContentFilter(false)),
+      sort: 'slug',
+      limit: -1
+    });
+
+    return projects.filter(project => project.slug);
+  } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
+    console.error('Error fetching project slugs:', error);
+    return [];
+  }
+}
+
 /**
  * Fetch labs associated with a specific project
  */
@@ -80,308 +85,230 @@ export async function fetchProjectLabs(projectId) {
 }
 
 /**
- * Fetch all projects with pagination and optional lab filtering
+ * Whether a project has finished: its end date has passed in Kentucky.
+ * Projects without an end date are ongoing; a project ending today is still active.
  */
-export async function fetchAllProjects(options = {}) {
-  const { 
-    page = 1, 
-    limit = 12, 
-    labSlug = null, 
-    status = null,
-    request = null 
-  } = options;
-  
-  try {
-    const showDrafts = isDraftMode(request);
-    const offset = (page - 1) * limit;
-    
-    // If filtering by lab, get projects through the junction table
-    if (labSlug) {
-      return await fetchProjectsByLab(labSlug, { page, limit, status, request });
-    }
-    
-    // Build filter
-    const filter = getContentFilter(showDrafts);
-    
-    // Add project status filter if specified
-    if (status) {
-      filter.project_status = { _eq: status };
-    }
-    
-    const projects = await apiRequest('/items/lab_projects', {
-      fields: ['*'],
-      filter: JSON.stringify(filter),
-      sort: '-featured,-sort,-start_date,title',
-      limit: limit,
-      offset: offset
-    });
+export function isProjectCompleted(project, now = new Date()) {
+  return Boolean(project?.end_date) && isPastDate(project.end_date, now);
+}
 
-    // For each project, get associated labs
-    for (const project of projects) {
-      const labRelations = await apiRequest('/items/labs_lab_projects', {
-        fields: ['labs_id.name', 'labs_id.slug', 'labs_id.logo', 'labs_id.primary_color'],
-        filter: JSON.stringify({
-          lab_projects_id: {
-            _eq: project.id
-          }
-        })
-      });
-      
-      project.labs = labRelations.map(relation => relation.labs_id).filter(Boolean);
-    }
+// Default listing order
+const PROJECT_SORT = '-featured,-sort,-start_date,title';
+
+// A lab's own project list: featured first, then by manual sort position with
+// unpositioned projects last. Directus sorts nulls first, so each group is its own query.
+const NOT_FEATURED = { _or: [{ featured: { _eq: false } }, { featured: { _null: true } }] };
+const LAB_PROJECT_ORDER = [{ featured: { _eq: true } }, NOT_FEATURED].flatMap(featured => [
+  { filter: { _and: [featured, { sort: { _nnull: true } }] }, sort: 'sort,-start_date' },
+  { filter: { _and: [featured, { sort: { _null: true } }] }, sort: '-start_date' }
+]);
 
+/**
+ * Attach each project's labs using a single junction query for the whole list
+ */
+async function attachProjectLabs(projects) {
+  if (projects.length === 0) {
     return projects;
-  } catch (error) {
-    console.error('Error fetching all projects:', error);
-    return [];
   }
-}
 
-//**Fetch projects by lab */
-export async function fetchProjectsByLab(labSlug, options = {}) {
-  const { 
-    page = 1, 
-    limit = 12, 
-    status = null,
-    request = null 
-  } = options;
-  
-  try {
-    const showDrafts = isDraftMode(request);
-    const offset = (page - 1) * limit;
-    
-    // First get the lab ID from slug
-    const labs = await apiRequest('/items/labs', {
-      fields: ['id', 'name', 'slug'],
-      filter: JSON.stringify({
-        slug: { _eq: labSlug }
-      }),
-      limit: 1
-    });
-    
-    if (!labs || labs.length === 0) {
-      return [];
+  const labRelations = await apiRequest('/items/labs_lab_projects', {
+    fields: ['lab_projects_id', 'labs_id.name', 'labs_id.slug', 'labs_id.logo', 'labs_id.primary_color'],
+    filter: JSON.stringify({
+      lab_projects_id: {
+        _in: projects.map(project => project.id)
+      }
+    }),
+    limit: -1
+  });
+
+  const labsByProject = new Map();
+  labRelations.forEach(relation => {
+    if (!relation.labs_id) return;
+    if (!labsByProject.has(relation.lab_projects_id)) {
+      labsByProject.set(relation.lab_projects_id, []);
     }
+    labsByProject.get(relation.lab_projects_id).push(relation.labs_id);
+  });
 
-    const labId = labs[0].id;
-    
-    // Get projects through junction table
-    const labProjectRelations = await apiRequest('/items/labs_lab_projects', {
-      fields: ['lab_projects_id.*'],
-      filter: JSON.stringify({
-        labs_id: { _eq: labId }
-      })
-    });
-    
-    // Filter and sort projects
-    let projects = labProjectRelations
-      .map(relation => relation.lab_projects_id)
-      .filter(project => {
-        if (!project) return false;
-        
-        // Filter by draft status
-        if (showDrafts) {
-          if (!['published', 'draft'].includes(project.status)) return false;
-        } else {
-          if (project.status !== 'published') return false;
+  projects.forEach(project => {
+    project.labs = labsByProject.get(project.id) || [];
+  });
+
+  return projects;
+}
+
+/**
+ * Build the Directus filter for a project listing. Lab membership is matched
+ * through the labs alias (the labs_lab_projects junction) in the same query.
+ */
+function buildProjectFilter({ showDrafts = false, status = null, labSlug = null, searchTerm = null }) {
+  const conditions = [getContentFilter(showDrafts)];
+
+  if (status) {
+    conditions.push({ project_status: { _eq: status } });
+  }
+
+  if (labSlug) {
+    conditions.push({ labs: { labs_id: { slug: { _eq: labSlug } } } });
+  }
+
+  if (searchTerm) {
+    conditions.push({
+      _or: [
+        {
+          title: {
+            _icontains: searchTerm
+          }
+        },
+        {
+          description: {
+            _icontains: searchTerm
+          }
         }
-        
-        // Filter by project status if specified
-        if (status && project.project_status !== status) return false;
-        
-        return true;
-      })
-      .sort((a, b) => {
-        // Sort by featured first, then by sort order, then by start_date
-        if (a.featured && !b.featured) return -1;
-        if (!a.featured && b.featured) return 1;
-        if (a.sort !== b.sort) return (a.sort || 999) - (b.sort || 999);
-        
-        const dateA = a.start_date ? new Date(a.start_date) : new Date(0);
-        const dateB = b.start_date ? new Date(b.start_date) : new Date(0);
-        return dateB - dateA;
-      });
-    
-    // Apply pagination
-    const totalCount = projects.length;
-    projects = projects.slice(offset, offset + limit);
-    
-    // Add lab information to each project
-    for (const project of projects) {
-      const labRelations = await apiRequest('/items/labs_lab_projects', {
-        fields: ['labs_id.name', 'labs_id.slug', 'labs_id.logo', 'labs_id.primary_color'],
-        filter: JSON.stringify({
-          lab_projects_id: { _eq: project.id }
-        })
-      });
-      
-      project.labs = labRelations.map(relation => relation.labs_id).filter(Boolean);
-    }
-    
-    // Return just the projects array, not an object
-    return projects;
-  } catch (error) {
-    console.error('Error fetching projects by lab:', error);
-    return [];
+      ]
+    });
   }
+
+  return { _and: conditions };
 }
 
 /**
- * Fetch projects by status with preview support
+ * Fetch one page of projects listed as consecutive segments, each with its own filter and sort.
+ * Segments are counted first so only those overlapping the page are queried.
  */
-export async function fetchProjectsByStatus(status, options = {}) {
-  const { limit = null, request = null } = options;
-  
-  try {
-    const showDrafts = isDraftMode(request);
-    
-    const filter = {
-      project_status: { _eq: status },
-      ...getContentFilter(showDrafts)
-    };
+async function fetchOrderedPage(filter, segments, page, limit) {
+  const segmentFilters = segments.map(segment => (
+    segment.filter ? { _and: [filter, segment.filter] } : filter
+  ));
 
-    const params = {
-      fields: ['*'],
-      filter: JSON.stringify(filter),
-      sort: '-featured,-sort,-start_date,title'
-    };
-
-    if (limit) {
-      params.limit = limit;
-    }
+  const counts = await Promise.all(segmentFilters.map(async segmentFilter => {
+    const countResponse = await directusGet('/items/lab_projects', {
+      aggregate: {
+        count: 'id'
+      },
+      filter: JSON.stringify(segmentFilter)
+    });
+    return Number(countResponse.data?.[0]?.count?.id) || 0;
+  }));
 
-    const projects = await apiRequest('/items/lab_projects', params);
+  const queries = [];
+  let offset = (page - 1) * limit;
+  let remaining = limit;
 
-    // For each project, get associated labs
-    for (const project of projects) {
-      const labRelations = await apiRequest('/items/labs_lab_projects', {
-        fields: ['labs_id.name', 'labs_id.slug', 'labs_id.logo', 'labs_id.primary_color'],
-        filter: JSON.stringify({
-          lab_projects_id: {
-            _eq: project.id
-          }
-        })
-      });
-      
-      project.labs = labRelations.map(relation => relation.labs_id).filter(Boolean);
+  segments.forEach((segment, index) => {
+    if (remaining <= 0 || counts[index] === 0) return;
+    if (offset >= counts[index]) {
+      offset -= counts[index];
+      return;
     }
 
-    return projects;
-  } catch (error) {
-    console.error('Error fetching projects by status:', error);
-    return [];
-  }
+    const take = Math.min(remaining, counts[index] - offset);
+    queries.push(apiRequest('/items/lab_projects', {
+      fields: ['*'],
+      filter: JSON.stringify(segmentFilters[index]),
+      sort: segment.sort,
+      limit: take,
+      offset
+    }));
+    remaining -= take;
+    offset = 0;
+  });
+
+  return {
+    items: (await Promise.all(queries)).flat(),
+    totalCount: counts.reduce((sum, count) => sum + count, 0)
+  };
 }
 
 /**
- * Get total count of projects with optional filters
+ * Fetch one page of projects with the total count, filtered and paginated by Directus
+ * @param {Object} options
+ * @param {number} options.page - Page number (1-based)
+ * @param {number} options.limit - Projects per page
+ * @param {string} options.labSlug - Only projects linked to this lab
+ * @param {string} options.status - Only projects with this project_status
+ * @param {string} options.search - Match against title and description
+ * @param {string|Array<{filter: Object, sort: string}>} options.sort - Directus sort string, or ordered
+ *   segments. Defaults to the lab page order (LAB_PROJECT_ORDER) with labSlug, PROJECT_SORT otherwise.
+ * @param {Request} options.request - Astro request (for preview mode)
+ * @returns {Promise<{projects: Array, totalCount: number, page: number, totalPages: number}>}
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
-export async function getProjectsCount(options = {}) {
-  const { labSlug = null, status = null, request = null } = options;
-  
-  try {
-    const showDrafts = isDraftMode(request);
-    
-    if (labSlug) {
-      // Get count through lab filtering - need to count the filtered results
-      const projects = await fetchProjectsByLab(labSlug, { page: 1, limit: 1000, status, request });
-      return projects.length;
-    }
-    
-    // Build filter for direct count
-    const filter = getContentFilter(showDrafts);
-    
-    if (status) {
-      filter.project_status = { _eq: status };
-    }
+export async function fetchProjectsPage(options = {}) {
+  const {
+    page = 1,
+    limit = 12,
+    labSlug = null,
+    status = null,
+    search = null,
+    sort = labSlug ? LAB_PROJECT_ORDER : PROJECT_SORT,
+    request = null
+  } = options;
 
-    const response = await api.get('/items/lab_projects', {
-      params: {
-        aggregate: JSON.stringify({
-          count: ['id']
-        }),
-        filter: JSON.stringify(filter)
-      }
+  try {
+    const filter = buildProjectFilter({
+      showDrafts: isDraftMode(request),
+      status,
+      labSlug,
+      searchTerm: search && search.trim() !== '' ? search.trim() : null
     });
 
-    return response.data.data[0]?.count?.id || 0;
+    const segments = Array.isArray(sort) ? sort : [{ filter: null, sort }];
+    const { items: projects, totalCount } = await fetchOrderedPage(filter, segments, page, limit);
+
+    await attachProjectLabs(projects);
+
+    return {
+      projects,
+      totalCount,
+      page,
+      totalPages: Math.ceil(totalCount / limit)
+    };
   } catch (error) {
-    console.error('Error getting projects count:', error);
-    return 0;
+    if (isDirectusUnavailable(error)) throw error;
+    console.error('Error fetching projects page:', error);
+    return { projects: [], totalCount: 0, page, totalPages: 0 };
   }
 }
 
 /**
- * Search projects by title or description with preview support
+ * Fetch projects by status with preview support
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
-export async function searchProjects(searchTerm, options = {}) {
-  const { limit = 20, labSlug = null, request = null } = options;
+export async function fetchProjectsByStatus(status, options = {}) {
+  const { limit = null, request = null } = options;
   
   try {
-    if (!searchTerm || searchTerm.trim() === '') {
-      console.log('Search term is empty');
-      return [];
-    }
-
     const showDrafts = isDraftMode(request);
     
     const filter = {
-      _and: [
-        getContentFilter(showDrafts),
-        {
-          _or: [
-            {
-              title: {
-                _icontains: searchTerm
-              }
-            },
-            {
-              description: {
-                _icontains: searchTerm
-              }
-            }
-          ]
-        }
-      ]
+      project_status: { _eq: status },
+      ...getContentFilter(showDrafts)
     };
 
-    let projects = await apiRequest('/items/lab_projects', {
+    const params = {
       fields: ['*'],
       filter: JSON.stringify(filter),
-      sort: '-featured,-sort,-start_date,title',
-      limit: 1000 // Get more results for filtering
-    });
+      sort: PROJECT_SORT
+    };
 
-    // For each project, get associated labs
-    for (const project of projects) {
-      const labRelations = await apiRequest('/items/labs_lab_projects', {
-        fields: ['labs_id.name', 'labs_id.slug', 'labs_id.logo', 'labs_id.primary_color'],
-        filter: JSON.stringify({
-          lab_projects_id: {
-            _eq: project.id
-          }
-        })
-      });
-      
-      project.labs = labRelations.map(relation => relation.labs_id).filter(Boolean);
+    if (limit) {
+      params.limit = limit;
     }
 
-    // If filtering by lab, only return projects from that lab
-    if (labSlug) {
-      projects = projects.filter(project => 
-        project.labs.some(lab => lab.slug === labSlug)
-      );
-    }
+    const projects = await apiRequest('/items/lab_projects', params);
 
-    return projects;
+    return await attachProjectLabs(projects);
   } catch (error) {
-    console.error('Error searching projects:', error);
+    if (isDirectusUnavailable(error)) throw error;
+    console.error('Error fetching projects by status:', error);
     return [];
   }
 }
 
 /**
  * Get unique project statuses for filter options
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function getProjectStatuses(request = null) {
   try {
@@ -395,6 +322,7 @@ export async function getProjectStatuses(request = null) {
     const statuses = [...new Set(projects.map(p => p.project_status).filter(Boolean))];
     return statuses.sort();
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error('Error fetching project statuses:', error);
     return ['active', 'completed', 'planned']; // fallback
   }
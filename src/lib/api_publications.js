@@ -1,94 +1,483 @@
 // src/lib/api_publications.js
-const DIRECTUS_URL = 'https://kgs.uky.edu/dpub';
+// Shared client for the publications database. Fact sheets, annual reports and
+// the collection browsers (e.g. coal) all fetch through here.
+import { createDirectusClient, isDirectusUnavailable } from './api_client.js';
+
+const env = import.meta.env || process.env;
+
+export const PUBLICATIONS_URL = (env.PUBLIC_PUBLICATIONS_URL || 'https://kgs.uky.edu/dpub').replace(/\/$/, '');
+
+// Rows per request when walking through a full listing
+const PAGE_SIZE = Number(env.PUBLICATIONS_PAGE_SIZE) || 200;
+
+const publicationsClient = createDirectusClient({
+  baseURL: PUBLICATIONS_URL
+});
+
+export const PUBLICATION_FIELDS = [
+  'id',
+  'status',
+  'title',
+  'cover',
+  'publication_year',
+  'series',
+  'issue',
+  'url_webpage',
+  'url_download',
+  'doi',
+  'pages',
+  'comments',
+  'author_id.authors_id.id',
+  'author_id.authors_id.last_name',
+  'author_id.authors_id.first_name',
+  'author_id.authors_id.middle_name',
+  'type.name',
+  'source.sources_code',
+  'source.name',
+  'area_ids.area_id.id',
+  'area_ids.area_id.name',
+  'area_ids.area_id.areatype'
+];
 
 /**
- * Fetch publications filtered by a collection field
- * @param {Object} options - Configuration options
- * @param {string} options.collectionField - Field name to filter by (e.g., 'Coal_Browsing_Collection')
- * @param {string} options.collectionValue - Value to filter for (default: 'true')
- * @param {Request} options.request - Astro request object
- * @returns {Promise<Array>} - Array of publications
+ * Fetch every publication matching a filter, one page at a time.
+ * The first page reports the total, the remaining pages are fetched in parallel.
+ * @param {Object} filter - Directus filter object
+ * @param {Object} options
+ * @param {string[]} options.fields - Fields to return (defaults to PUBLICATION_FIELDS)
+ * @param {number} options.pageSize - Rows per request
+ * @returns {Promise<Array>}
+ * @throws {DirectusUnavailableError} When the publications database is down and nothing is cached
  */
-export async function fetchPublications({ collectionField, collectionValue = 'true', request }) {
-  try {
-    const fields = [
-      'id',
-      'status',
-      'title',
-      'cover',
-      'publication_year',
-      'series',
-      'issue',
-      'url_webpage',
-      'url_download',
-      'doi',
-      'pages',
-      'comments',
-      'author_id.authors_id.last_name',
-      'author_id.authors_id.first_name',
-      'author_id.authors_id.middle_name',
-      'type.name',
-      'source.sources_code',
-      'area_ids.area_id.id',
-      'area_ids.area_id.name',
-      'area_ids.area_id.areatype'
-    ];
-
-    const params = new URLSearchParams({
-      'limit': '-1',
-      'meta': '*',
-      [`filter[_and][0][[${collectionField}][_eq]`]: collectionValue,
-    });
+export async function fetchAllPublicationPages(filter, options = {}) {
+  const { fields = PUBLICATION_FIELDS, pageSize = PAGE_SIZE } = options;
 
-    // Add fields as multiple parameters
-    fields.forEach(field => {
-      params.append('fields[]', field);
-    });
+  const params = {
+    fields,
+    filter: JSON.stringify(filter),
+    sort: 'id',
+    limit: pageSize
+  };
 
-    const url = `${DIRECTUS_URL}/items/publications?${params.toString()}`;
-    
-    const response = await fetch(url, {
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
+  const first = await publicationsClient.get('/items/publications', {
+    ...params,
+    page: 1,
+    meta: 'filter_count'
+  });
+
+  const publications = first.data || [];
+  const total = Number(first.meta?.filter_count) || publications.length;
+  const pageCount = Math.ceil(total / pageSize);
+
+  if (pageCount > 1) {
+    const remaining = await Promise.all(
+      Array.from({ length: pageCount - 1 }, (_, index) =>
+        publicationsClient.apiRequest('/items/publications', { ...params, page: index + 2 })
+      )
+    );
+    remaining.forEach(page => publications.push(...page));
+  }
+
+  return publications;
+}
+
+/**
+ * Check whether a publication has been replaced by a newer edition
+ */
+export function isSuperseded(publication) {
+  const comments = (publication.comments || '').toLowerCase();
+  return comments.includes('superseded by');
+}
+
+// Series abbreviations used in "Superseded by ..." comments
+const SERIES_ALIASES = {
+  fs: 'fact sheet',
+  ft: 'fact sheet',
+  factsheet: 'fact sheet',
+  ri: 'report of investigations',
+  ic: 'information circular',
+  tr: 'technical report',
+  sp: 'special publication',
+  mc: 'map and chart',
+  gq: 'geologic quadrangle map'
+};
+
+function normalizeSeries(series) {
+  const words = String(series || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/\b(kgs|series [xvi]+|no|number)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return SERIES_ALIASES[words.replace(/ /g, '')] || words;
+}
+
+// How a series' edition can be written in comments: "Fact Sheet 14", "FS 14", "Fact Sheet No. 14", ...
+function editionMentions(series, issue) {
+  const name = normalizeSeries(series);
+  const spellings = [name, ...Object.keys(SERIES_ALIASES).filter(alias => SERIES_ALIASES[alias] === name)];
+  return spellings.flatMap(spelling => [`${spelling} ${issue}`, `${spelling} no. ${issue}`]);
+}
+
+function editionKey(series, issue) {
+  return `${normalizeSeries(series)}#${String(issue).toLowerCase()}`;
+}
+
+/**
+ * Parse the replacement named in a "Superseded by ..." comment
+ * ("Superseded by Fact Sheet 14", "superseded by RI 12.", "Superseded by Karst Groundwater in Kentucky")
+ * @returns {{reference: string, series: string|null, issue: string|null}|null}
+ */
+export function parseSupersededBy(comments) {
+  const match = (comments || '').match(/superseded\s+by[:\s]+([^;\n]+)/i);
+  if (!match) return null;
+
+  const reference = match[1].trim().replace(/\.$/, '');
+  const numbered = reference.match(/^(.*?)[\s,]*(?:no\.?|number|#)?\s*(\d+[a-z]?)$/i);
+
+  return {
+    reference,
+    series: numbered && numbered[1] ? normalizeSeries(numbered[1]) : null,
+    issue: numbered && numbered[1] ? numbered[2] : null
+  };
+}
+
+function summarizeEdition(publication) {
+  return {
+    id: publication.id,
+    title: publication.title,
+    publication_year: publication.publication_year,
+    series: publication.series,
+    issue: publication.issue
+  };
+}
+
+/**
+ * Turn "Superseded by ..." comments into explicit links between editions.
+ * Returns copies of the publications with:
+ *   supersededBy          - the replacement ({ id, title, publication_year, series, issue }), or null
+ *   supersededByReference - the replacement as written in the comments, also set when it can't be found
+ *   supersedes            - older editions this one replaces
+ *   latestEdition         - the end of the chain when the replacement has itself been superseded
+ * @param {Array} publications
+ * @param {Array} related - Other editions to resolve against (not returned)
+ */
+export function linkSupersessions(publications, related = []) {
+  const all = [...publications, ...related];
+  const byEdition = new Map();
+  const byTitle = new Map();
+  all.forEach(publication => {
+    if (publication.series && publication.issue) {
+      byEdition.set(editionKey(publication.series, publication.issue), publication);
+    }
+    if (publication.title) {
+      byTitle.set(publication.title.toLowerCase(), publication);
+    }
+  });
+
+  const replacementOf = new Map();
+  all.forEach(publication => {
+    const parsed = parseSupersededBy(publication.comments);
+    if (!parsed) return;
+
+    const replacement = (parsed.issue && byEdition.get(editionKey(parsed.series, parsed.issue))) ||
+      byTitle.get(parsed.reference.toLowerCase()) ||
+      null;
+    replacementOf.set(publication.id, { parsed, replacement: replacement && replacement.id !== publication.id ? replacement : null });
+  });
+
+  // Older editions by the id of the edition that replaced them
+  const olderEditionsOf = new Map();
+  all.forEach(older => {
+    const replacement = replacementOf.get(older.id)?.replacement;
+    if (!replacement) return;
+    if (!olderEditionsOf.has(replacement.id)) olderEditionsOf.set(replacement.id, []);
+    olderEditionsOf.get(replacement.id).push(older);
+  });
 
-    if (!response.ok) {
-      throw new Error(`Failed to fetch publications: ${response.statusText}`);
+  const latestOf = (publication) => {
+    const seen = new Set([publication.id]);
+    let current = replacementOf.get(publication.id)?.replacement;
+    let latest = null;
+    while (current && !seen.has(current.id)) {
+      latest = current;
+      seen.add(current.id);
+      current = replacementOf.get(current.id)?.replacement;
     }
+    return latest;
+  };
 
-    const result = await response.json();
-    
-    // Filter out superseded publications
-    const activePublications = result.data.filter(publication => {
-      const comments = (publication.comments || '').toLowerCase();
-      return !comments.includes('superseded by');
-    });
-    
-    // Sort by publication year descending, then by title
-    return activePublications.sort((a, b) => {
-      if (b.publication_year !== a.publication_year) {
-        return b.publication_year - a.publication_year;
+  return publications.map(publication => {
+    const link = replacementOf.get(publication.id);
+    const latest = link?.replacement ? latestOf(publication) : null;
+
+    return {
+      ...publication,
+      supersededBy: link?.replacement ? summarizeEdition(link.replacement) : null,
+      supersededByReference: link ? link.parsed.reference : null,
+      supersedes: (olderEditionsOf.get(publication.id) || []).map(summarizeEdition),
+      latestEdition: latest && latest.id !== link.replacement.id ? summarizeEdition(latest) : null
+    };
+  });
+}
+
+/**
+ * Link editions, looking up replacements that aren't in the listing itself
+ * (e.g. a coal report superseded by a report outside the coal collection)
+ * @param {Array} publications
+ * @returns {Promise<Array>} Copies with supersession links (see linkSupersessions)
+ */
+export async function resolveSupersessions(publications) {
+  const listed = new Set(publications.map(publication => editionKey(publication.series, publication.issue)));
+  const listedTitles = new Set(publications.map(publication => (publication.title || '').toLowerCase()));
+
+  const lookups = [];
+  publications.forEach(publication => {
+    const parsed = parseSupersededBy(publication.comments);
+    if (!parsed) return;
+
+    if (parsed.issue && !listed.has(editionKey(parsed.series, parsed.issue))) {
+      lookups.push({ _and: [{ issue: { _eq: parsed.issue } }, { series: { _icontains: parsed.series } }] });
+    } else if (!parsed.issue && !listedTitles.has(parsed.reference.toLowerCase())) {
+      lookups.push({ title: { _eq: parsed.reference } });
+    }
+  });
+
+  let related = [];
+  if (lookups.length > 0) {
+    try {
+      related = await fetchAllPublicationPages(
+        { _or: lookups },
+        { fields: ['id', 'title', 'publication_year', 'series', 'issue', 'comments'] }
+      );
+    } catch (error) {
+      // Replacements outside the listing are shown by their reference text only
+      console.error('Error resolving superseding publications:', error);
+    }
+  }
+
+  return linkSupersessions(publications, related);
+}
+
+/**
+ * Sort by publication year descending, then by title
+ */
+export function sortByYearThenTitle(publications) {
+  return publications.sort((a, b) => {
+    if (b.publication_year !== a.publication_year) {
+      return b.publication_year - a.publication_year;
+    }
+    return a.title.localeCompare(b.title);
+  });
+}
+
+/**
+ * Fetch publications filtered by a collection field or a Directus filter
+ * @param {Object} options - Configuration options (a collection config from src/lib/collections can be spread in)
+ * @param {string} [options.collectionField] - Field name to filter by (e.g., 'Coal_Browsing_Collection')
+ * @param {string} [options.collectionValue] - Value to filter for (default: 'true')
+ * @param {Object} [options.filter] - Directus filter, used instead of collectionField
+ * @param {boolean} [options.includeSuperseded] - Keep superseded editions (default: true)
+ * @param {Request} [options.request] - Astro request object
+ * @returns {Promise<Array>} - Array of publications, with supersession links (see linkSupersessions)
+ * @throws {DirectusUnavailableError} When the publications database is down and nothing is cached
+ */
+export async function fetchPublications({ collectionField, collectionValue = 'true', filter = null, includeSuperseded = true, request }) {
+  try {
+    const publications = await resolveSupersessions(await fetchAllPublicationPages(filter || {
+      [collectionField]: {
+        _eq: collectionValue
       }
-      return a.title.localeCompare(b.title);
-    });
+    }));
+
+    return sortByYearThenTitle(includeSuperseded ? publications : publications.filter(publication => !publication.supersededByReference));
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error('Error fetching publications:', error);
     return [];
   }
 }
 
-export function getPublicationCategories(publications, categorizer) {
-  const categories = new Set();
-  
-  publications.forEach(publication => {
-    const category = categorizer(publication);
-    if (category) {
-      categories.add(category);
-    }
+/**
+ * Fetch specific publications, e.g. for a citation export
+ * @param {Array<number|string>} ids
+ * @returns {Promise<Array>} Publications in the order requested (unknown ids are skipped)
+ * @throws {DirectusUnavailableError} When the publications database is down and nothing is cached
+ */
+export async function fetchPublicationsByIds(ids) {
+  if (!ids || ids.length === 0) return [];
+
+  try {
+    const publications = await fetchAllPublicationPages({
+      _and: [{ id: { _in: ids } }, { status: { _eq: 'published' } }]
+    });
+    const byId = new Map(publications.map(publication => [String(publication.id), publication]));
+    return ids.map(id => byId.get(String(id))).filter(Boolean);
+  } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
+    console.error('Error fetching publications by id:', error);
+    return [];
+  }
+}
+
+/**
+ * Fetch one page of publications matching a filter, newest first
+ * @param {Object} filter - Directus filter object
+ * @param {Object} options
+ * @param {number} options.page - 1-based page number
+ * @param {number} options.limit - Publications per page
+ * @returns {Promise<{publications: Array, totalCount: number, page: number, totalPages: number}>}
+ * @throws {DirectusUnavailableError} When the publications database is down and nothing is cached
+ */
+export async function fetchPublicationsPage(filter, { page = 1, limit = 10 } = {}) {
+  const response = await publicationsClient.get('/items/publications', {
+    fields: PUBLICATION_FIELDS,
+    filter: JSON.stringify(filter),
+    sort: '-publication_year,title',
+    limit,
+    page,
+    meta: 'filter_count'
   });
-  
-  return Array.from(categories).sort();
+
+  const totalCount = Number(response.meta?.filter_count) || 0;
+
+  return {
+    publications: response.data || [],
+    totalCount,
+    page,
+    totalPages: Math.ceil(totalCount / limit)
+  };
+}
+
+/**
+ * Fetch authors from the publications database
+ * @param {Object} filter - Directus filter object
+ * @returns {Promise<Array<{id: number, first_name: string, middle_name: string, last_name: string}>>}
+ * @throws {DirectusUnavailableError} When the publications database is down and nothing is cached
+ */
+export async function fetchPublicationAuthors(filter) {
+  return publicationsClient.apiRequest('/items/authors', {
+    fields: ['id', 'first_name', 'middle_name', 'last_name'],
+    filter: JSON.stringify(filter),
+    limit: -1
+  });
+}
+
+/**
+ * Fetch geographic areas (counties, quadrangles, ...) from the publications database
+ * @param {Object} [filter] - Directus filter object
+ * @returns {Promise<Array<{id: number, name: string, areatype: string}>>}
+ * @throws {DirectusUnavailableError} When the publications database is down and nothing is cached
+ */
+export async function fetchPublicationAreas(filter = {}) {
+  return publicationsClient.apiRequest('/items/areas', {
+    fields: ['id', 'name', 'areatype'],
+    filter: JSON.stringify(filter),
+    sort: 'name',
+    limit: -1
+  });
+}
+
+/**
+ * Ids of every published publication, for the sitemap
+ * @returns {Promise<Array<{id: number}>>}
+ * @throws {DirectusUnavailableError} When the publications database is down and nothing is cached
+ */
+export async function fetchAllPublicationIds() {
+  return fetchAllPublicationPages({ status: { _eq: 'published' } }, { fields: ['id'] });
+}
+
+/**
+ * Fetch a single published publication for its detail page
+ * @param {number|string} id
+ * @returns {Promise<Object|null>} The publication with supersession links (see linkSupersessions), or null
+ * @throws {DirectusUnavailableError} When the publications database is down and nothing is cached
+ */
+export async function fetchPublicationById(id) {
+  try {
+    const publications = await publicationsClient.apiRequest('/items/publications', {
+      fields: PUBLICATION_FIELDS,
+      filter: JSON.stringify({
+        id: { _eq: id },
+        status: { _eq: 'published' }
+      }),
+      limit: 1
+    });
+
+    if (publications.length === 0) {
+      return null;
+    }
+
+    // Older editions name this one in their "Superseded by ..." comments, by title
+    // or by series and issue (a bare issue number would match unrelated comments)
+    const [publication] = publications;
+    const mentions = [{ comments: { _icontains: publication.title } }];
+    if (publication.series && publication.issue) {
+      editionMentions(publication.series, publication.issue)
+        .forEach(mention => mentions.push({ comments: { _icontains: mention } }));
+    }
+    const olderEditions = await fetchAllPublicationPages({
+      _and: [{ comments: { _icontains: 'superseded by' } }, { _or: mentions }]
+    }, { fields: ['id', 'title', 'publication_year', 'series', 'issue', 'comments'] });
+
+    const linked = await resolveSupersessions([publication, ...olderEditions]);
+    return linked.find(edition => edition.id === publication.id);
+  } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
+    console.error('Error fetching publication:', error);
+    return null;
+  }
+}
+
+/**
+ * Publications sharing authors, areas or a series with a publication,
+ * strongest connection first (shared authors, then areas, then series)
+ * @param {Object} publication - From fetchPublicationById
+ * @param {Object} options
+ * @param {number} options.limit - Maximum number to return
+ * @returns {Promise<Array>}
+ */
+export async function fetchRelatedPublications(publication, { limit = 6 } = {}) {
+  const authorIds = (publication.author_id || []).map(author => author.authors_id?.id).filter(Boolean);
+  const areaIds = (publication.area_ids || []).map(area => area.area_id?.id).filter(Boolean);
+
+  const connections = [];
+  if (authorIds.length > 0) connections.push({ author_id: { authors_id: { id: { _in: authorIds } } } });
+  if (areaIds.length > 0) connections.push({ area_ids: { area_id: { id: { _in: areaIds } } } });
+  if (publication.series) connections.push({ series: { _eq: publication.series } });
+  if (connections.length === 0) return [];
+
+  try {
+    const candidates = await publicationsClient.apiRequest('/items/publications', {
+      fields: PUBLICATION_FIELDS,
+      filter: JSON.stringify({
+        _and: [
+          { id: { _neq: publication.id } },
+          { status: { _eq: 'published' } },
+          { _or: connections }
+        ]
+      }),
+      sort: '-publication_year',
+      limit: 50
+    });
+
+    const score = (candidate) => {
+      const sharedAuthors = (candidate.author_id || []).filter(author => authorIds.includes(author.authors_id?.id)).length;
+      const sharedAreas = (candidate.area_ids || []).filter(area => areaIds.includes(area.area_id?.id)).length;
+      const sameSeries = publication.series && candidate.series === publication.series ? 1 : 0;
+      return sharedAuthors * 4 + sharedAreas * 2 + sameSeries;
+    };
+
+    return candidates
+      .filter(candidate => !isSuperseded(candidate))
+      .map(candidate => ({ candidate, score: score(candidate) }))
+      .sort((a, b) => b.score - a.score || (b.candidate.publication_year || 0) - (a.candidate.publication_year || 0))
+      .slice(0, limit)
+      .map(({ candidate }) => candidate);
+  } catch (error) {
+    console.error('Error fetching related publications:', error);
+    return [];
+  }
 }
 
 export function getPublicationYears(publications) {
@@ -103,7 +492,7 @@ export function getPublicationYears(publications) {
 
 export function formatAuthors(authors) {
   if (!authors || authors.length === 0) return '';
-  
+
   return authors.map(author => {
     const { first_name, middle_name, last_name } = author.authors_id;
     if (middle_name) {
@@ -113,7 +502,21 @@ export function formatAuthors(authors) {
   }).join(', ');
 }
 
+/**
+ * Detail page for a single publication (src/pages/pubs/[id].astro)
+ */
+export function getPublicationUrl(id) {
+  return `/pubs/${id}`;
+}
+
+/**
+ * Entry for a publication in the KGS publications catalog
+ */
+export function getCatalogUrl(id) {
+  return `https://kgs.uky.edu/kygeode/services/pubs/pub.htm?id=${id}`;
+}
+
 export function getCoverImageUrl(coverId) {
   if (!coverId) return null;
-  return `${DIRECTUS_URL}/assets/${coverId}?width=400&fit=contain`;
-}
\ No newline at end of file
+  return `${PUBLICATIONS_URL}/assets/${coverId}?width=400&fit=contain`;
+}
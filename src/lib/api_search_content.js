@@ -1,22 +1,5 @@
 // src/lib/api_search_content.js
-import axios from 'axios';
-
-const api = axios.create({
-  baseURL: import.meta.env.PUBLIC_DIRECTUS_URL,
-  headers: {
-    'Content-Type': 'application/json'
-  }
-});
-
-async function apiRequest(path, params) {
-  try {
-    const response = await api.get(path, { params });
-    return response.data.data || [];
-  } catch (error) {
-    console.error(`Error fetching ${path}:`, error.message);
-    return [];
-  }
-}
+import { apiRequest } from './api_client.js';
 
 // ===== PAGES =====
 export async function fetchAllPages() {
@@ -26,6 +9,17 @@ export async function fetchAllPages() {
   });
 }
 
+// Published page slugs, with the dates the sitemap uses for lastmod
+export async function fetchAllPageSlugs() {
+  const pages = await apiRequest('/items/pages', {
+    fields: ['slug', 'date_updated', 'date_created'],
+    filter: JSON.stringify({ status: { _eq: 'published' } }),
+    sort: 'slug',
+    limit: -1
+  });
+  return pages.filter(page => page.slug);
+}
+
 export async function fetchPageBySlug(slug) {
   const pages = await apiRequest('/items/pages', {
     fields: ['*'],
@@ -43,6 +37,17 @@ export async function fetchAllResearch() {
   });
 }
 
+// Published research slugs, with the dates the sitemap uses for lastmod
+export async function fetchAllResearchSlugs() {
+  const research = await apiRequest('/items/research', {
+    fields: ['slug', 'date_updated', 'date_created'],
+    filter: JSON.stringify({ status: { _eq: 'published' } }),
+    sort: 'slug',
+    limit: -1
+  });
+  return research.filter(item => item.slug);
+}
+
 export async function fetchResearchBySlug(slug) {
   const research = await apiRequest('/items/research', {
     fields: ['*'],
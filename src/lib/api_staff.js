@@ -1,25 +1,5 @@
 // src/lib/api_staff.js
-import axios from 'axios';
-
-// Create axios instance with base configuration
-const api = axios.create({
-  baseURL: import.meta.env.PUBLIC_DIRECTUS_URL,
-  headers: {
-    'Content-Type': 'application/json'
-  }
-});
-
-// Helper function to handle errors consistently
-async function apiRequest(path, params) {
-  try {
-    const response = await api.get(path, { params });
-    return response.data.data || [];
-  } catch (error) {
-    console.error(`Error fetching ${path}:`, error.message);
-    console.error('Full error:', error);
-    return [];
-  }
-}
+import { apiRequest, isDirectusUnavailable } from './api_client.js';
 
 /**
  * Determine leadership level for sorting (higher number = higher priority)
@@ -34,6 +14,7 @@ function getLeadershipLevel(member) {
 
 /**
  * Fetch all staff members grouped by leadership and department
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchStaffByDepartment() {
   try {
@@ -74,6 +55,7 @@ export async function fetchStaffByDepartment() {
         sort: 'department_id.name,sort,last_name,first_name'
       });
     } catch (error) {
+      if (isDirectusUnavailable(error)) throw error;
       console.warn('Failed to fetch staff with team_primary, trying without:', error.message);
       // Fallback: fetch without team_primary fields
       staff = await apiRequest('/items/staff', {
@@ -375,27 +357,33 @@ export async function fetchStaffByDepartment() {
     
     return staffByDepartment;
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error('Error fetching staff by department:', error);
     return {};
   }
 }
 
 /**
- * Fetch all staff slugs for generating static paths
+ * Fetch the slugs of all active staff, with the dates the sitemap uses for lastmod
+ * @returns {Promise<Array<{slug: string, date_updated: string|null, date_created: string|null}>>}
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchAllStaffSlugs() {
   try {
     const staff = await apiRequest('/items/staff', {
-      fields: ['slug'],
+      fields: ['slug', 'date_updated', 'date_created'],
       filter: JSON.stringify({
         status: {
           _eq: 'active'
         }
-      })
+      }),
+      sort: 'slug',
+      limit: -1
     });
     
-    return staff.map(member => member.slug);
+    return staff.filter(member => member.slug);
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error('Error fetching staff slugs:', error);
     return [];
   }
@@ -403,6 +391,7 @@ export async function fetchAllStaffSlugs() {
 
 /**
  * Fetch a staff member by slug
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchStaffBySlug(slug) {
   try {
@@ -435,6 +424,7 @@ export async function fetchStaffBySlug(slug) {
         limit: 1
       });
     } catch (error) {
+      if (isDirectusUnavailable(error)) throw error;
       console.warn('Failed to fetch staff with team_primary, trying without:', error.message);
       // Fallback: fetch without team_primary fields
       staff = await apiRequest('/items/staff', {
@@ -602,6 +592,7 @@ export async function fetchStaffBySlug(slug) {
     
     return member;
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error(`Error fetching staff member with slug ${slug}:`, error);
     return null;
   }
@@ -645,6 +636,7 @@ export async function fetchRelatedStaff(departmentId, excludeId, limit = 4) {
 
 /**
  * Fetch all departments
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
  */
 export async function fetchAllDepartments() {
   try {
@@ -653,6 +645,7 @@ export async function fetchAllDepartments() {
       sort: 'name'
     });
   } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
     console.error('Error fetching departments:', error);
     return [];
   }
@@ -0,0 +1,294 @@
+// src/lib/api_taxonomy.js
+// Rule-based topic categories for publications (fact sheets, annual reports and
+// the themed collections, which list one category each). Rules are weighted keywords and phrases kept as data:
+// editors manage them in the `publication_categories` and
+// `publication_category_rules` Directus collections, and the defaults below are
+// used until those collections have content (or when Directus is down).
+//
+// A publication gets every category whose matched rules add up to the
+// threshold, so one incidental word ("storage", "gas") is not enough on its own.
+// /pubs/taxonomy-report shows which rules placed each publication where.
+import { apiRequest, ifUnavailable, cacheLookup } from './api_client.js';
+
+export const GENERAL_CATEGORY = 'General';
+
+// Minimum total rule weight for a category to apply
+export const DEFAULT_THRESHOLD = 3;
+
+export const DEFAULT_CATEGORIES = [
+  { name: 'Water Resources', color: 'blue', icon: 'fa-water' },
+  { name: 'Geologic Hazards', color: 'red', icon: 'fa-house-damage' },
+  { name: 'Carbon Storage', color: 'green', icon: 'fa-cloud' },
+  { name: 'Energy Resources', color: 'yellow', icon: 'fa-bolt' },
+  { name: 'Oil and Gas', color: 'yellow', icon: 'fa-oil-can' },
+  { name: 'Minerals', color: 'purple', icon: 'fa-gem' },
+  { name: 'Earth Sciences', color: 'amber', icon: 'fa-mountain' },
+  { name: 'Research Infrastructure', color: 'cyan', icon: 'fa-database' },
+  { name: GENERAL_CATEGORY, color: 'gray', icon: 'fa-file-alt' }
+];
+
+/**
+ * Terms are lowercase words or phrases matched on word boundaries, so "oil"
+ * does not match "soil". A plural "s"/"es" is allowed; a trailing "*" matches
+ * any ending ("hydrogeolog*"). `field` limits a rule to 'title' or 'comments'.
+ */
+export const DEFAULT_RULES = [
+  { category: 'Water Resources', term: 'groundwater', weight: 4 },
+  { category: 'Water Resources', term: 'water', weight: 3 },
+  { category: 'Water Resources', term: 'aquifer', weight: 4 },
+  { category: 'Water Resources', term: 'watershed', weight: 4 },
+  { category: 'Water Resources', term: 'hydrogeolog*', weight: 4 },
+  { category: 'Water Resources', term: 'hydrolog*', weight: 3 },
+  { category: 'Water Resources', term: 'spring', weight: 2 },
+
+  { category: 'Geologic Hazards', term: 'earthquake', weight: 4 },
+  { category: 'Geologic Hazards', term: 'seismic*', weight: 4 },
+  { category: 'Geologic Hazards', term: 'landslide', weight: 4 },
+  { category: 'Geologic Hazards', term: 'sinkhole', weight: 4 },
+  { category: 'Geologic Hazards', term: 'karst', weight: 3 },
+  { category: 'Geologic Hazards', term: 'hazard', weight: 3 },
+  { category: 'Geologic Hazards', term: 'subsidence', weight: 3 },
+
+  { category: 'Carbon Storage', term: 'carbon storage', weight: 5 },
+  { category: 'Carbon Storage', term: 'carbon capture', weight: 5 },
+  { category: 'Carbon Storage', term: 'carbon sequestration', weight: 5 },
+  { category: 'Carbon Storage', term: 'sequestration', weight: 3 },
+  { category: 'Carbon Storage', term: 'co2', weight: 4 },
+  { category: 'Carbon Storage', term: 'carbon dioxide', weight: 4 },
+  { category: 'Carbon Storage', term: 'carbon', weight: 2 },
+  { category: 'Carbon Storage', term: 'storage', weight: 1 },
+
+  { category: 'Energy Resources', term: 'coal', weight: 4 },
+  { category: 'Energy Resources', term: 'oil and gas', weight: 5 },
+  { category: 'Energy Resources', term: 'natural gas', weight: 4 },
+  { category: 'Energy Resources', term: 'petroleum', weight: 4 },
+  { category: 'Energy Resources', term: 'methane', weight: 3 },
+  { category: 'Energy Resources', term: 'fracking', weight: 4 },
+  { category: 'Energy Resources', term: 'hydraulic fracturing', weight: 5 },
+  { category: 'Energy Resources', term: 'orphaned', weight: 3 },
+  { category: 'Energy Resources', term: 'energy', weight: 3 },
+  { category: 'Energy Resources', term: 'oil', weight: 2 },
+  { category: 'Energy Resources', term: 'gas', weight: 2 },
+
+  { category: 'Oil and Gas', term: 'oil and gas', weight: 5 },
+  { category: 'Oil and Gas', term: 'oil and natural gas', weight: 5 },
+  { category: 'Oil and Gas', term: 'natural gas', weight: 4 },
+  { category: 'Oil and Gas', term: 'petroleum', weight: 4 },
+  { category: 'Oil and Gas', term: 'oil field', weight: 4 },
+  { category: 'Oil and Gas', term: 'gas field', weight: 4 },
+  { category: 'Oil and Gas', term: 'shale gas', weight: 4 },
+  { category: 'Oil and Gas', term: 'oil', weight: 2 },
+  { category: 'Oil and Gas', term: 'gas', weight: 2 },
+
+  { category: 'Minerals', term: 'mineral', weight: 3 },
+  { category: 'Minerals', term: 'limestone', weight: 3 },
+  { category: 'Minerals', term: 'aggregate', weight: 2 },
+
+  { category: 'Earth Sciences', term: 'fossil', weight: 4 },
+  { category: 'Earth Sciences', term: 'trilobite', weight: 4 },
+  { category: 'Earth Sciences', term: 'meteorite', weight: 4 },
+  { category: 'Earth Sciences', term: 'paleontolog*', weight: 4 },
+
+  { category: 'Research Infrastructure', term: 'lidar', weight: 4 },
+  { category: 'Research Infrastructure', term: 'earth analysis research library', weight: 5 },
+  { category: 'Research Infrastructure', term: 'earl', weight: 4 },
+  { category: 'Research Infrastructure', term: 'repository', weight: 3 },
+  { category: 'Research Infrastructure', term: 'pipeline', weight: 2 }
+];
+
+export const DEFAULT_TAXONOMY = {
+  categories: DEFAULT_CATEGORIES,
+  rules: DEFAULT_RULES,
+  threshold: DEFAULT_THRESHOLD,
+  source: 'default'
+};
+
+/**
+ * Load the taxonomy from Directus, falling back to the defaults when the
+ * collections are empty, missing or unreachable. The result, fallback included,
+ * is kept for the cache TTL so sites without the collections don't query them on every page.
+ * @returns {Promise<{categories: Array, rules: Array, threshold: number, source: string}>}
+ */
+export const fetchTaxonomy = cacheLookup(['publication_categories', 'publication_category_rules'], async () => {
+  const [categories, rules] = await Promise.all([
+    ifUnavailable(apiRequest('/items/publication_categories', {
+      fields: ['name', 'color', 'icon', 'sort'],
+      filter: JSON.stringify({ status: { _eq: 'published' } }),
+      sort: 'sort,name',
+      limit: -1
+    }), []),
+    ifUnavailable(apiRequest('/items/publication_category_rules', {
+      fields: ['id', 'term', 'weight', 'field', 'category.name'],
+      filter: JSON.stringify({ status: { _eq: 'published' } }),
+      limit: -1
+    }), [])
+  ]);
+
+  const usableRules = rules
+    .filter(rule => rule.term && rule.category?.name)
+    .map(rule => ({
+      id: rule.id,
+      category: rule.category.name,
+      term: rule.term,
+      weight: Number(rule.weight) || 0,
+      field: rule.field || 'any'
+    }));
+
+  if (categories.length === 0 || usableRules.length === 0) {
+    return DEFAULT_TAXONOMY;
+  }
+
+  const hasGeneral = categories.some(category => category.name === GENERAL_CATEGORY);
+
+  return {
+    categories: hasGeneral ? categories : [...categories, DEFAULT_CATEGORIES.find(category => category.name === GENERAL_CATEGORY)],
+    rules: usableRules,
+    threshold: DEFAULT_THRESHOLD,
+    source: 'directus'
+  };
+});
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a rule term into a word-boundary regular expression
+ */
+function compileTerm(term) {
+  const normalized = term.trim().toLowerCase();
+  const prefix = normalized.endsWith('*');
+  const words = (prefix ? normalized.slice(0, -1) : normalized)
+    .split(/\s+/)
+    .map(escapeRegExp)
+    .join('\\s+');
+  const ending = prefix ? '\\w*' : '(?:e?s)?';
+  return new RegExp(`\\b${words}${ending}\\b`);
+}
+
+/**
+ * Build a classifier for a taxonomy. Results are memoized per publication object.
+ * @param {Object} taxonomy - From fetchTaxonomy() (defaults to DEFAULT_TAXONOMY)
+ */
+export function createClassifier(taxonomy = DEFAULT_TAXONOMY) {
+  const threshold = taxonomy.threshold ?? DEFAULT_THRESHOLD;
+  const categoriesByName = new Map(taxonomy.categories.map(category => [category.name, category]));
+  const rules = taxonomy.rules.map(rule => ({
+    ...rule,
+    field: rule.field || 'any',
+    pattern: compileTerm(rule.term)
+  }));
+  const results = new WeakMap();
+
+  /**
+   * Score a publication against every rule
+   * @returns {{categories: string[], primary: string, scores: Array<{category: string, score: number, matches: Array}>}}
+   */
+  function classify(publication) {
+    if (results.has(publication)) {
+      return results.get(publication);
+    }
+
+    const text = {
+      title: (publication.title || '').toLowerCase(),
+      comments: (publication.comments || '').toLowerCase()
+    };
+
+    const scores = new Map();
+    rules.forEach(rule => {
+      const fields = rule.field === 'any' ? ['title', 'comments'] : [rule.field];
+      const field = fields.find(name => rule.pattern.test(text[name] || ''));
+      if (!field) return;
+
+      const entry = scores.get(rule.category) || { category: rule.category, score: 0, matches: [] };
+      entry.score += rule.weight;
+      entry.matches.push({ id: rule.id, term: rule.term, weight: rule.weight, field });
+      scores.set(rule.category, entry);
+    });
+
+    const ranked = Array.from(scores.values()).sort((a, b) => b.score - a.score || a.category.localeCompare(b.category));
+    const categories = ranked
+      .filter(entry => entry.score >= threshold)
+      .map(entry => entry.category);
+
+    if (categories.length === 0) {
+      categories.push(GENERAL_CATEGORY);
+    }
+
+    const result = { categories, primary: categories[0], scores: ranked };
+    results.set(publication, result);
+    return result;
+  }
+
+  return {
+    threshold,
+    rules: taxonomy.rules,
+    source: taxonomy.source,
+    classify,
+
+    /** Every category a publication belongs to, strongest first */
+    getCategories: (publication) => classify(publication).categories,
+
+    /** The strongest category, used for card color and icon */
+    getPrimaryCategory: (publication) => classify(publication).primary,
+
+    getCategoryColor: (category) => categoriesByName.get(category)?.color || 'gray',
+
+    getCategoryIcon: (category) => categoriesByName.get(category)?.icon || 'fa-file-alt',
+
+    /**
+     * Categories used by a set of publications, in taxonomy order
+     */
+    listCategories(publications) {
+      const used = new Set(publications.flatMap(publication => classify(publication).categories));
+      const ordered = taxonomy.categories.map(category => category.name).filter(name => used.has(name));
+      const unknown = Array.from(used).filter(name => !categoriesByName.has(name)).sort();
+      return [...ordered, ...unknown];
+    }
+  };
+}
+
+/**
+ * Summarize how a classifier filed a set of publications, for editors tuning the rules
+ * @param {Array} publications
+ * @param {ReturnType<typeof createClassifier>} classifier
+ */
+export function buildTaxonomyReport(publications, classifier) {
+  const ruleKey = (rule) => `${rule.category}\u0000${rule.term}`;
+  const ruleHits = new Map(classifier.rules.map(rule => [ruleKey(rule), { ...rule, field: rule.field || 'any', hits: 0 }]));
+  const categoryCounts = new Map();
+
+  const items = publications.map(publication => {
+    const { categories, scores } = classifier.classify(publication);
+
+    scores.forEach(entry => {
+      entry.matches.forEach(match => {
+        const hit = ruleHits.get(ruleKey({ category: entry.category, term: match.term }));
+        if (hit) hit.hits++;
+      });
+    });
+    categories.forEach(category => categoryCounts.set(category, (categoryCounts.get(category) || 0) + 1));
+
+    return {
+      id: publication.id,
+      title: publication.title,
+      year: publication.publication_year,
+      categories,
+      scores,
+      // Categories that matched some rules but stayed under the threshold
+      belowThreshold: scores.filter(entry => !categories.includes(entry.category))
+    };
+  });
+
+  return {
+    source: classifier.source,
+    threshold: classifier.threshold,
+    total: items.length,
+    categoryCounts: Array.from(categoryCounts, ([category, count]) => ({ category, count }))
+      .sort((a, b) => b.count - a.count),
+    multiLabel: items.filter(item => item.categories.length > 1).length,
+    unclassified: items.filter(item => item.categories[0] === GENERAL_CATEGORY),
+    rules: Array.from(ruleHits.values()).sort((a, b) => b.hits - a.hits),
+    publications: items
+  };
+}
@@ -0,0 +1,158 @@
+// src/lib/areas.js
+// Geographic areas attached to publications (area_ids.area_id in the publications
+// database): the county and quadrangle facets on the publication browsers, and
+// the /pubs/area/[slug] pages listing everything published about one area.
+//
+// Slugs combine the area name and its kind ("pike-county",
+// "lexington-west-quadrangle"), so a county and a quadrangle sharing a name
+// get separate pages.
+import { fetchAllPublicationPages, fetchPublicationAreas, fetchPublications } from './api_publications.js';
+
+// Area types with a short noun for names and slugs, in facet order.
+// Other types keep their database name and are listed after these.
+const AREA_KINDS = [
+  { pattern: /county/i, key: 'county', noun: 'County', label: 'Counties' },
+  { pattern: /quadrangle/i, key: 'quadrangle', noun: 'Quadrangle', label: '7.5-Minute Quadrangles' }
+];
+
+function slugify(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function getAreaKind(areatype) {
+  const type = String(areatype || '').trim();
+  const kind = AREA_KINDS.find(({ pattern }) => pattern.test(type));
+  return kind || { key: slugify(type) || 'area', noun: null, label: type || 'Other Areas' };
+}
+
+/**
+ * Display name of an area: "Pike County", "Lexington West Quadrangle",
+ * or "Name (type)" for other area types
+ * @param {{name: string, areatype?: string}} area
+ */
+export function getAreaName(area) {
+  const name = String(area?.name || '').trim();
+  const { noun } = getAreaKind(area?.areatype);
+  if (noun) {
+    return name.toLowerCase().endsWith(noun.toLowerCase()) ? name : `${name} ${noun}`;
+  }
+  return area?.areatype ? `${name} (${area.areatype})` : name;
+}
+
+/**
+ * URL slug of an area, e.g. "pike-county"
+ */
+export function getAreaSlug(area) {
+  return slugify(getAreaName(area));
+}
+
+/**
+ * Page listing every publication for an area (src/pages/pubs/area/[slug].astro)
+ */
+export function getAreaUrl(area) {
+  return `/pubs/area/${getAreaSlug(area)}`;
+}
+
+/**
+ * The areas a publication covers, without duplicates
+ * @param {Object} publication - With area_ids.area_id expanded
+ * @returns {Array<{id: number, name: string, areatype: string}>}
+ */
+export function getPublicationAreas(publication) {
+  const areas = new Map();
+  (publication?.area_ids || [])
+    .map(area => area.area_id)
+    .filter(area => area?.name)
+    .forEach(area => areas.set(getAreaSlug(area), area));
+  return Array.from(areas.values());
+}
+
+/**
+ * Area facets for a list of publications, grouped by type (counties first, then
+ * quadrangles) and sorted by name
+ * @param {Array} publications
+ * @returns {Array<{key: string, label: string, areas: Array<{slug: string, name: string, count: number}>}>}
+ */
+export function listAreaFacets(publications) {
+  const groups = new Map();
+
+  publications.forEach(publication => {
+    getPublicationAreas(publication).forEach(area => {
+      const kind = getAreaKind(area.areatype);
+      if (!groups.has(kind.key)) groups.set(kind.key, { key: kind.key, label: kind.label, areas: new Map() });
+
+      const slug = getAreaSlug(area);
+      const { areas } = groups.get(kind.key);
+      const facet = areas.get(slug) || { slug, name: getAreaName(area), count: 0 };
+      facet.count += 1;
+      areas.set(slug, facet);
+    });
+  });
+
+  const order = (key) => {
+    const index = AREA_KINDS.findIndex(kind => kind.key === key);
+    return index === -1 ? AREA_KINDS.length : index;
+  };
+
+  return Array.from(groups.values())
+    .sort((a, b) => order(a.key) - order(b.key) || a.label.localeCompare(b.label))
+    .map(group => ({
+      ...group,
+      areas: Array.from(group.areas.values()).sort((a, b) => a.name.localeCompare(b.name))
+    }));
+}
+
+/**
+ * Look up an area by its URL slug
+ * @param {string} [slug] - e.g. "pike-county"
+ * @returns {Promise<Object|null>}
+ * @throws {DirectusUnavailableError} When the publications database is down and nothing is cached
+ */
+export async function fetchAreaBySlug(slug) {
+  if (!slug || slug !== slugify(slug)) return null;
+
+  // Narrow the lookup by the first word of the name, then compare full slugs
+  const areas = await fetchPublicationAreas({ name: { _icontains: slug.split('-')[0] } });
+  return areas.find(area => getAreaSlug(area) === slug) || null;
+}
+
+/**
+ * Every area covered by at least one published publication, i.e. the areas with
+ * a /pubs/area/[slug] page worth listing in the sitemap
+ * @returns {Promise<Array<{id: number, name: string, areatype: string}>>}
+ * @throws {DirectusUnavailableError} When the publications database is down and nothing is cached
+ */
+export async function fetchPublishedAreas() {
+  const publications = await fetchAllPublicationPages({ status: { _eq: 'published' } }, {
+    fields: ['area_ids.area_id.id', 'area_ids.area_id.name', 'area_ids.area_id.areatype']
+  });
+  const areas = new Map();
+  publications.flatMap(getPublicationAreas).forEach(area => areas.set(getAreaSlug(area), area));
+  return Array.from(areas.values()).sort((a, b) => getAreaSlug(a).localeCompare(getAreaSlug(b)));
+}
+
+/**
+ * Every published publication covering an area, newest first, with
+ * supersession links (see linkSupersessions in api_publications.js)
+ * @param {{id: number}} area - From fetchAreaBySlug
+ * @param {Object} options
+ * @param {Request} [options.request] - Astro request object
+ * @returns {Promise<Array>}
+ * @throws {DirectusUnavailableError} When the publications database is down and nothing is cached
+ */
+export async function fetchAreaPublications(area, { request } = {}) {
+  return fetchPublications({
+    filter: {
+      _and: [
+        { status: { _eq: 'published' } },
+        { area_ids: { area_id: { id: { _eq: area.id } } } }
+      ]
+    },
+    request
+  });
+}
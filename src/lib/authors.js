@@ -0,0 +1,156 @@
+// src/lib/authors.js
+// Links publication authors (author_id.authors_id in the publications database)
+// to staff profiles in the main Directus, so author names can point to
+// /staff/[slug] and staff pages can list their publications.
+//
+// Authors match active staff by first and last name, or by initials ("M. Garcia")
+// when only one staff member fits. Editors correct the rest in the
+// `publication_authors_staff` collection: each row maps a publications database
+// author id to a staff member, or to no one to stop a wrong match.
+import { apiRequest, ifUnavailable, cacheLookup, isDirectusUnavailable } from './api_client.js';
+import { fetchPublicationAuthors, fetchPublicationsPage } from './api_publications.js';
+
+/**
+ * Lowercase a name and drop accents, punctuation and spacing ("O'Neil, José" -> "oneiljose")
+ */
+export function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z]/g, '');
+}
+
+// First names given as initials: "J", "J.", "J.A.", "J. A."
+function isInitials(name) {
+  const text = String(name || '').trim();
+  return /^[A-Za-z]$/.test(text) || /^([A-Za-z]\.\s*-?)+$/.test(text);
+}
+
+/**
+ * Active staff with the fields needed to match authors.
+ * Author links are optional, so an outage returns no staff instead of failing the page.
+ */
+export async function fetchStaffForAuthors() {
+  return ifUnavailable(apiRequest('/items/staff', {
+    fields: ['id', 'first_name', 'last_name', 'slug'],
+    filter: JSON.stringify({
+      status: {
+        _eq: 'active'
+      }
+    }),
+    limit: -1
+  }), []);
+}
+
+/**
+ * Manual author-to-staff mappings from the `publication_authors_staff` collection.
+ * Sites without the collection get no overrides, and that is cached like a response.
+ * @returns {Promise<Array<{authors_id: number, staff_id: {id: number, slug: string}|null}>>}
+ */
+export const fetchAuthorOverrides = cacheLookup(['publication_authors_staff'], () =>
+  ifUnavailable(apiRequest('/items/publication_authors_staff', {
+    fields: ['authors_id', 'staff_id.id', 'staff_id.slug', 'staff_id.first_name', 'staff_id.last_name', 'staff_id.status'],
+    limit: -1
+  }), [])
+);
+
+/**
+ * Build a matcher from publication authors to staff members
+ * @param {Array} staff - From fetchStaffForAuthors()
+ * @param {Array} overrides - From fetchAuthorOverrides()
+ * @returns {(author: {id?: number, first_name?: string, last_name?: string}) => Object|null}
+ */
+export function createAuthorMatcher(staff, overrides = []) {
+  const byName = new Map();
+  const byInitial = new Map();
+  staff.forEach(member => {
+    if (!member.slug || !member.last_name) return;
+
+    const first = normalizeName(member.first_name);
+    const last = normalizeName(member.last_name);
+    byName.set(`${first}|${last}`, member);
+    // Staff without a first name can't be matched by initial
+    if (first) {
+      byInitial.set(`${first[0]}|${last}`, [...(byInitial.get(`${first[0]}|${last}`) || []), member]);
+    }
+  });
+
+  // Overrides to archived staff unlink the author rather than point at a missing profile
+  const byAuthorId = new Map(overrides
+    .filter(override => override.authors_id !== null && override.authors_id !== undefined)
+    .map(override => [
+      String(override.authors_id),
+      override.staff_id?.slug && (override.staff_id.status || 'active') === 'active' ? override.staff_id : null
+    ]));
+
+  return (author) => {
+    if (!author) return null;
+    if (author.id !== undefined && byAuthorId.has(String(author.id))) {
+      return byAuthorId.get(String(author.id));
+    }
+    if (!author.last_name) return null;
+
+    const first = normalizeName(author.first_name);
+    const last = normalizeName(author.last_name);
+    const exact = byName.get(`${first}|${last}`);
+    if (exact) return exact;
+
+    if (first && isInitials(author.first_name)) {
+      const candidates = byInitial.get(`${first[0]}|${last}`) || [];
+      if (candidates.length === 1) return candidates[0];
+    }
+    return null;
+  };
+}
+
+/**
+ * Load staff and overrides, then build a matcher (see createAuthorMatcher)
+ */
+export async function fetchAuthorMatcher() {
+  const [staff, overrides] = await Promise.all([fetchStaffForAuthors(), fetchAuthorOverrides()]);
+  return createAuthorMatcher(staff, overrides);
+}
+
+/**
+ * A staff member's publications from the publications database, newest first
+ * @param {Object} member - Staff member with id, first_name and last_name
+ * @param {Object} options
+ * @param {number} options.page - 1-based page number
+ * @param {number} options.limit - Publications per page
+ * @returns {Promise<{publications: Array, totalCount: number, page: number, totalPages: number}>}
+ * @throws {DirectusUnavailableError} When the publications database is down and nothing is cached
+ */
+export async function fetchStaffPublications(member, { page = 1, limit = 10 } = {}) {
+  const empty = { publications: [], totalCount: 0, page, totalPages: 0 };
+  if (!member?.last_name) return empty;
+
+  const [staff, overrides] = await Promise.all([fetchStaffForAuthors(), fetchAuthorOverrides()]);
+  const match = createAuthorMatcher(staff, overrides);
+
+  const overriddenIds = overrides
+    .filter(override => override.staff_id?.id === member.id)
+    .map(override => override.authors_id);
+  const nameFilters = [{ last_name: { _icontains: member.last_name } }];
+  if (overriddenIds.length > 0) nameFilters.push({ id: { _in: overriddenIds } });
+
+  const authorIds = (await fetchPublicationAuthors({ _or: nameFilters }))
+    .filter(author => match(author)?.id === member.id)
+    .map(author => author.id);
+
+  if (authorIds.length === 0) return empty;
+
+  try {
+    return await fetchPublicationsPage({
+      _and: [
+        { status: { _eq: 'published' } },
+        { author_id: { authors_id: { id: { _in: authorIds } } } }
+      ]
+    }, { page, limit });
+  } catch (error) {
+    if (isDirectusUnavailable(error)) throw error;
+    // A bad request (missing permission, renamed field) shouldn't take the staff page down
+    console.error('Error fetching staff publications:', error.message);
+    return empty;
+  }
+}
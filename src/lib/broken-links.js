@@ -0,0 +1,235 @@
+// src/lib/broken-links.js
+// Data for /broken-link-report: the most-hit paths from the 404 log, with the
+// pages that sent visitors there and the Directus rich text that links to them,
+// so editors know where to fix each link.
+import { apiRequest, ifUnavailable } from './api_client.js';
+import { getContentFilter } from '../utils/preview.js';
+import { normalizePath } from './redirects.js';
+import { loadNotFoundLog, listNotFound } from './not-found-log.js';
+
+const env = import.meta.env || {};
+
+const published = getContentFilter(false);
+
+/**
+ * Directus fields that hold links: rich text rendered with set:html (`fields`)
+ * and plain link fields (`urlFields`). `select` holds the fields naming the item
+ * and the page it appears on.
+ */
+export const CONTENT_LINK_SOURCES = [
+  {
+    collection: 'articles',
+    label: 'News',
+    select: ['slug', 'title'],
+    fields: ['content', 'excerpt'],
+    filter: published,
+    title: item => item.title,
+    path: item => `/news/${item.slug}`
+  },
+  {
+    collection: 'pages',
+    label: 'Pages',
+    select: ['slug', 'title'],
+    fields: ['content'],
+    filter: published,
+    title: item => item.title,
+    path: item => `/${item.slug}`
+  },
+  {
+    collection: 'research',
+    label: 'Research',
+    select: ['slug', 'title'],
+    fields: ['content'],
+    filter: published,
+    title: item => item.title,
+    path: item => `/research/${item.slug}`
+  },
+  {
+    collection: 'labs',
+    label: 'Labs',
+    select: ['slug', 'name'],
+    fields: ['description', 'hardware_description', 'workflows_description', 'mission'],
+    filter: published,
+    title: item => item.name,
+    path: item => `/labs/${item.slug}`
+  },
+  {
+    collection: 'lab_projects',
+    label: 'Lab projects',
+    select: ['slug', 'title'],
+    fields: ['description', 'short_description'],
+    filter: published,
+    title: item => item.title,
+    path: item => `/labs/projects/${item.slug}`
+  },
+  {
+    collection: 'funding',
+    label: 'Funding',
+    select: ['title'],
+    fields: ['description'],
+    filter: published,
+    title: item => item.title,
+    path: item => `/funding/${item.id}`
+  },
+  {
+    collection: 'lab_content_blocks',
+    label: 'Lab content blocks',
+    select: ['title', 'page_slug', 'lab_id.slug'],
+    fields: ['content'],
+    urlFields: ['url'],
+    filter: published,
+    title: item => item.title,
+    path: item => `/labs/${item.lab_id?.slug}${item.page_slug && item.page_slug !== 'home' ? `/${item.page_slug}` : ''}`
+  },
+  {
+    collection: 'intern_details',
+    label: 'Intern program',
+    select: ['program_year'],
+    fields: ['project_description', 'faq_skills'],
+    filter: null,
+    title: item => `${item.program_year} Intern Program`,
+    path: item => `/intern/${item.program_year}`
+  },
+  {
+    collection: 'staff',
+    label: 'Staff',
+    select: ['slug', 'first_name', 'last_name'],
+    fields: ['bio'],
+    filter: { status: { _eq: 'active' } },
+    title: item => `${item.first_name} ${item.last_name}`,
+    path: item => `/staff/${item.slug}`
+  }
+];
+
+/**
+ * Every href and src in a piece of HTML
+ * @param {string} html
+ * @returns {Array<{attribute: 'href'|'src', value: string}>}
+ */
+export function extractLinks(html) {
+  const links = [];
+  const pattern = /\s(href|src)\s*=\s*(?:"([^"]*)"|'([^']*)')/gi;
+  let match;
+  while ((match = pattern.exec(html || '')) !== null) {
+    const value = (match[2] ?? match[3]).replace(/&amp;/g, '&').trim();
+    if (value) links.push({ attribute: /** @type {'href'|'src'} */ (match[1].toLowerCase()), value });
+  }
+  return links;
+}
+
+/**
+ * Path of a link on this site, or null for other sites, mailto:, tel: and in-page anchors.
+ * Absolute links count as internal when their host is PUBLIC_SITE_URL's.
+ * @param {string} value - href or src as written
+ * @param {string} [siteUrl]
+ */
+export function toSitePath(value, siteUrl = env.PUBLIC_SITE_URL) {
+  if (value.startsWith('//')) return null;
+  if (value.startsWith('/')) return value.split(/[?#]/)[0];
+
+  try {
+    const url = new URL(value);
+    if (!siteUrl || !['http:', 'https:'].includes(url.protocol)) return null;
+    return url.host === new URL(siteUrl).host ? url.pathname : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Every link in the Directus fields of CONTENT_LINK_SOURCES. `path` is set for
+ * links to this site and null for other sites.
+ * @param {Object} [options]
+ * @param {string} [options.siteUrl] - Absolute links to this host count as internal
+ * @returns {Promise<Array<{path: string|null, href: string, attribute: string, source: {collection: string, label: string, id: (string|number), title: string, field: string, url: string}}>>}
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
+ */
+export async function fetchRichTextLinks({ siteUrl = env.PUBLIC_SITE_URL } = {}) {
+  const results = await Promise.all(CONTENT_LINK_SOURCES.map(source => {
+    const query = {
+      fields: ['id', ...source.select, ...source.fields, ...(source.urlFields || [])],
+      limit: -1
+    };
+    if (source.filter) query.filter = JSON.stringify(source.filter);
+    return apiRequest(`/items/${source.collection}`, query);
+  }));
+
+  const links = [];
+  CONTENT_LINK_SOURCES.forEach((source, index) => {
+    results[index].forEach(item => {
+      const found = [
+        ...source.fields.flatMap(field => extractLinks(item[field]).map(link => ({ ...link, field }))),
+        ...(source.urlFields || [])
+          .filter(field => typeof item[field] === 'string' && item[field].trim())
+          .map(field => ({ attribute: 'href', value: item[field].trim(), field }))
+      ];
+
+      found.forEach(({ attribute, value, field }) => {
+        links.push({
+          path: toSitePath(value, siteUrl),
+          href: value,
+          attribute,
+          source: {
+            collection: source.collection,
+            label: source.label,
+            id: item.id,
+            title: source.title(item),
+            field,
+            url: source.path(item)
+          }
+        });
+      });
+    });
+  });
+  return links;
+}
+
+/**
+ * Every link to this site in Directus content
+ * @param {Object} [options]
+ * @param {string} [options.siteUrl] - Absolute links to this host count as internal
+ * @throws {DirectusUnavailableError} When Directus is down and nothing is cached
+ */
+export async function fetchContentLinks({ siteUrl = env.PUBLIC_SITE_URL } = {}) {
+  return (await fetchRichTextLinks({ siteUrl })).filter(link => link.path);
+}
+
+/**
+ * Top paths from the 404 log with what links to them. Referrers from this site
+ * are internal pages to fix; others are external sites or bookmarks.
+ * Directus content is left out while Directus is down.
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Paths to list
+ * @param {string} [options.siteUrl] - Origin whose referrers count as internal
+ */
+export async function buildBrokenLinkReport({ limit = 100, siteUrl = env.PUBLIC_SITE_URL } = {}) {
+  await loadNotFoundLog();
+  const contentLinks = await ifUnavailable(fetchContentLinks({ siteUrl }), null);
+
+  const linksByPath = new Map();
+  (contentLinks || []).forEach(link => {
+    const key = normalizePath(link.path);
+    linksByPath.set(key, [...(linksByPath.get(key) || []), link]);
+  });
+
+  const siteHost = siteUrl ? new URL(siteUrl).host : null;
+  const isInternal = (referrer) => {
+    try {
+      return Boolean(siteHost) && new URL(referrer).host === siteHost;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  const paths = listNotFound({ limit }).map(entry => ({
+    ...entry,
+    internalReferrers: entry.referrers.filter(referrer => isInternal(referrer.url)),
+    externalReferrers: entry.referrers.filter(referrer => !isInternal(referrer.url)),
+    contentLinks: linksByPath.get(entry.path) || []
+  }));
+
+  return {
+    paths,
+    contentAvailable: contentLinks !== null
+  };
+}
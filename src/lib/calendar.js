@@ -0,0 +1,210 @@
+// src/lib/calendar.js
+// iCalendar (.ics) files and Google/Outlook "add to calendar" links for event
+// articles: the /news/events.ics subscription feed and /news/<slug>.ics downloads.
+//
+// Directus stores event_date/event_end without an offset ("2025-06-01T09:00:00"),
+// as Kentucky wall-clock times, so they are written with TZID=America/New_York
+// rather than converted through the server's timezone (see src/utils/dates.js).
+// Date-only values are all-day events.
+
+import { SITE_TIMEZONE, parseEasternTime, easternToUtc } from '../utils/dates.js';
+
+// US Eastern rules since 2007, for calendar apps without a timezone database
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${SITE_TIMEZONE}`,
+  `X-LIC-LOCATION:${SITE_TIMEZONE}`,
+  'BEGIN:DAYLIGHT',
+  'TZOFFSETFROM:-0500',
+  'TZOFFSETTO:-0400',
+  'TZNAME:EDT',
+  'DTSTART:19700308T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+  'END:DAYLIGHT',
+  'BEGIN:STANDARD',
+  'TZOFFSETFROM:-0400',
+  'TZOFFSETTO:-0500',
+  'TZNAME:EST',
+  'DTSTART:19701101T020000',
+  'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+  'END:STANDARD',
+  'END:VTIMEZONE'
+];
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// Wall-clock arithmetic (no timezone involved)
+function shift(time, { days = 0, hours = 0 }) {
+  const date = new Date(Date.UTC(time.year, time.month - 1, time.day + days, time.hour + hours, time.minute, time.second));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour: date.getUTCHours(),
+    minute: date.getUTCMinutes(),
+    second: date.getUTCSeconds(),
+    allDay: time.allDay
+  };
+}
+
+const wallClockMs = (time) => Date.UTC(time.year, time.month - 1, time.day, time.hour, time.minute, time.second);
+
+const formatDate = (time) => `${time.year}${pad(time.month)}${pad(time.day)}`;
+const formatDateTime = (time) => `${formatDate(time)}T${pad(time.hour)}${pad(time.minute)}${pad(time.second)}`;
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+const formatIsoDate = (time) => `${time.year}-${pad(time.month)}-${pad(time.day)}`;
+
+/**
+ * Turn an event article into a calendar event
+ * @param {Object} article - With title, slug, excerpt, event_date, event_end, event_location, event_website
+ * @param {Object} options
+ * @param {string} options.siteUrl - Absolute site origin
+ * @returns {Object|null} null when the article has no usable event_date
+ */
+export function toCalendarEvent(article, { siteUrl }) {
+  const start = parseEasternTime(article.event_date);
+  if (!start) return null;
+
+  let end = parseEasternTime(article.event_end);
+  const allDay = start.allDay || Boolean(end?.allDay);
+
+  if (allDay) {
+    // All-day events end on the following day (DTEND is exclusive)
+    const lastDay = end && wallClockMs(end) >= wallClockMs(start) ? end : start;
+    end = shift({ ...lastDay, hour: 0, minute: 0, second: 0, allDay: true }, { days: 1 });
+  } else if (!end || wallClockMs(end) <= wallClockMs(start)) {
+    end = shift(start, { hours: 1 });
+  }
+
+  const url = `${siteUrl}/news/${article.slug}`;
+  return {
+    uid: `${article.slug}@${new URL(siteUrl).host}`,
+    title: article.title || 'KGS Event',
+    description: [article.excerpt, url].filter(Boolean).join('\n\n'),
+    location: article.event_location || '',
+    url,
+    website: article.event_website || '',
+    allDay,
+    start: allDay ? { ...start, hour: 0, minute: 0, second: 0, allDay: true } : start,
+    end,
+    updated: article.date_updated || article.publication_date || null
+  };
+}
+
+// RFC 5545 text escaping
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// RFC 5545 lines are folded at 75 octets, continuing with a leading space
+const encoder = new TextEncoder();
+const byteLength = (text) => encoder.encode(text).length;
+
+function foldLine(line) {
+  if (byteLength(line) <= 75) return line;
+
+  const chunks = [];
+  let current = '';
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (byteLength(current + char) > limit) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+function eventLines(event) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatUtc(new Date())}`
+  ];
+  if (event.allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start)}`, `DTEND;VALUE=DATE:${formatDate(event.end)}`);
+  } else {
+    lines.push(
+      `DTSTART;TZID=${SITE_TIMEZONE}:${formatDateTime(event.start)}`,
+      `DTEND;TZID=${SITE_TIMEZONE}:${formatDateTime(event.end)}`
+    );
+  }
+  const updated = event.updated ? new Date(event.updated) : null;
+  if (updated && !Number.isNaN(updated.getTime())) lines.push(`LAST-MODIFIED:${formatUtc(updated)}`);
+  lines.push(`SUMMARY:${escapeText(event.title)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  lines.push(`URL:${event.url}`, 'END:VEVENT');
+  return lines;
+}
+
+/**
+ * Write events as an iCalendar file
+ * @param {Array} events - From toCalendarEvent
+ * @param {Object} [options]
+ * @param {string} [options.name] - Calendar name shown by calendar apps
+ * @returns {string}
+ */
+export function toICS(events, { name = 'Kentucky Geological Survey Events' } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Kentucky Geological Survey//Events//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${SITE_TIMEZONE}`,
+    ...VTIMEZONE,
+    ...events.flatMap(eventLines),
+    'END:VCALENDAR'
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Download URL of one event's .ics file
+ */
+export function getEventIcsUrl(slug) {
+  return `/news/${slug}.ics`;
+}
+
+/**
+ * Google Calendar "add event" link
+ * @param {Object} event - From toCalendarEvent
+ */
+export function getGoogleCalendarUrl(event) {
+  const format = event.allDay ? formatDate : formatDateTime;
+  const params = new URLSearchParams({
+    action: 'TEMPLATE',
+    text: event.title,
+    dates: `${format(event.start)}/${format(event.end)}`,
+    details: event.description,
+    location: event.location
+  });
+  if (!event.allDay) params.set('ctz', SITE_TIMEZONE);
+  return `https://calendar.google.com/calendar/render?${params}`;
+}
+
+/**
+ * Outlook on the web "add event" link (Microsoft 365 accounts)
+ * @param {Object} event - From toCalendarEvent
+ */
+export function getOutlookCalendarUrl(event) {
+  const params = new URLSearchParams({
+    path: '/calendar/action/compose',
+    rru: 'addevent',
+    subject: event.title,
+    startdt: event.allDay ? formatIsoDate(event.start) : easternToUtc(event.start).toISOString(),
+    enddt: event.allDay ? formatIsoDate(event.end) : easternToUtc(event.end).toISOString(),
+    allday: String(event.allDay),
+    body: event.description,
+    location: event.location
+  });
+  return `https://outlook.office.com/calendar/0/deeplink/compose?${params}`;
+}
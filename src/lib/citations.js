@@ -0,0 +1,344 @@
+// src/lib/citations.js
+// Citation formats for publications. Both kinds of publication are converted to
+// CSL-JSON items first:
+//   - the publications database (fact sheets, annual reports, collections), with
+//     author_id.authors_id names, series/issue, a page count and source
+//   - lab publications in the main Directus, with a free-text `authors` string,
+//     journal/volume/issue and a page range
+// BibTeX, RIS and the APA/Chicago strings on the cards are all built from those items.
+
+const KGS = 'Kentucky Geological Survey';
+
+// Publishers for the publications database `source` codes
+const PUBLISHERS = {
+  kgs: KGS,
+  usgs: 'U.S. Geological Survey'
+};
+
+// Publications database type names and lab publication_type values -> CSL types
+const CSL_TYPES = {
+  'fact sheet': 'report',
+  report: 'report',
+  map: 'map',
+  journal: 'article-journal',
+  article: 'article-journal',
+  conference: 'paper-conference',
+  book: 'book',
+  chapter: 'chapter',
+  thesis: 'thesis',
+  dataset: 'dataset'
+};
+
+export const CITATION_FORMATS = {
+  bibtex: { label: 'BibTeX', extension: 'bib', contentType: 'application/x-bibtex; charset=utf-8' },
+  ris: { label: 'RIS', extension: 'ris', contentType: 'application/x-research-info-systems; charset=utf-8' },
+  'csl-json': { label: 'CSL-JSON', extension: 'json', contentType: 'application/vnd.citationstyles.csl+json; charset=utf-8' }
+};
+
+/**
+ * Split a free-text author list ("Adams, A., Smith, J.A." or "Ann Adams and John Smith")
+ * into CSL names
+ */
+export function parseAuthorList(authors) {
+  if (!authors || typeof authors !== 'string') return [];
+
+  const text = authors.trim().replace(/\s*(?:,\s*)?(?:&|\band\b)\s*/g, '; ');
+
+  // "Family, Given; Family, Given" or "Given Family; Given Family"
+  if (text.includes(';')) {
+    return text.split(';').map(name => name.trim()).filter(Boolean).map(parseName);
+  }
+
+  // "Family, G., Family, G." pairs up on commas
+  const parts = text.split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length > 1 && parts.length % 2 === 0 && parts.every((part, index) => index % 2 === 0 || /^([A-Z]\.?\s*-?)+$/.test(part))) {
+    const names = [];
+    for (let index = 0; index < parts.length; index += 2) {
+      names.push({ family: parts[index], given: parts[index + 1] });
+    }
+    return names;
+  }
+
+  return parts.map(parseName);
+}
+
+function parseName(name) {
+  if (name.includes(',')) {
+    const [family, ...given] = name.split(',');
+    return { family: family.trim(), given: given.join(',').trim() };
+  }
+  const words = name.split(/\s+/);
+  if (words.length === 1) return { literal: name };
+  return { family: words[words.length - 1], given: words.slice(0, -1).join(' ') };
+}
+
+/**
+ * Convert a publication from either Directus into a CSL-JSON item
+ * @param {Object} publication
+ * @returns {Object} CSL-JSON item
+ */
+export function toCitationItem(publication) {
+  const fromPublicationsDatabase = Array.isArray(publication.author_id) || 'publication_year' in publication;
+
+  const author = fromPublicationsDatabase
+    ? (publication.author_id || [])
+      .map(author => author.authors_id)
+      .filter(Boolean)
+      .map(({ first_name, middle_name, last_name }) => ({
+        family: last_name,
+        given: [first_name, middle_name].filter(Boolean).join(' ')
+      }))
+    : parseAuthorList(publication.authors);
+
+  const typeName = (fromPublicationsDatabase ? publication.type?.name : publication.publication_type) || '';
+  const year = fromPublicationsDatabase ? publication.publication_year : publication.year;
+  const sourceCode = publication.source?.sources_code;
+
+  const item = {
+    id: `kgs-${fromPublicationsDatabase ? 'pub' : 'lab'}-${publication.id}`,
+    type: CSL_TYPES[typeName.toLowerCase()] || (fromPublicationsDatabase ? 'report' : 'document'),
+    title: publication.title,
+    author,
+    issued: year ? { 'date-parts': [[Number(year)]] } : undefined,
+    DOI: publication.doi || undefined,
+    URL: publication.doi ? `https://doi.org/${publication.doi}` : publication.url_download || publication.url_webpage || publication.url || undefined
+  };
+
+  if (fromPublicationsDatabase) {
+    Object.assign(item, {
+      'collection-title': publication.series || undefined,
+      'collection-number': publication.issue || undefined,
+      'number-of-pages': publication.pages || undefined,
+      publisher: PUBLISHERS[sourceCode] || publication.source?.name || KGS,
+      'publisher-place': !sourceCode || sourceCode === 'kgs' ? 'Lexington, KY' : undefined
+    });
+  } else {
+    Object.assign(item, {
+      'container-title': publication.journal || undefined,
+      volume: publication.volume || undefined,
+      issue: publication.issue || undefined,
+      page: publication.pages || undefined
+    });
+  }
+
+  // Drop empty fields so exports stay clean
+  return Object.fromEntries(Object.entries(item).filter(([, value]) => value !== undefined && value !== ''));
+}
+
+const yearOf = (item) => item.issued?.['date-parts']?.[0]?.[0];
+
+// "Jean-Paul", "J.-P." and "Jean- Paul" all become "J.-P."; pieces without a letter are skipped
+const initials = (given) => (given || '')
+  .replace(/[\s.]*-[\s.]*/g, '-')
+  .split(/[\s.]+/)
+  .map(part => part.split('-')
+    .map(piece => piece.match(/\p{L}/u)?.[0])
+    .filter(Boolean)
+    .map(letter => `${letter.toUpperCase()}.`)
+    .join('-'))
+  .filter(Boolean)
+  .join(' ');
+
+function joinNames(names, conjunction) {
+  if (names.length <= 1) return names.join('');
+  if (names.length === 2) return `${names[0]}, ${conjunction} ${names[1]}`;
+  return `${names.slice(0, -1).join(', ')}, ${conjunction} ${names[names.length - 1]}`;
+}
+
+/** Series and number, e.g. "Fact Sheet 14" */
+function seriesLabel(item) {
+  return [item['collection-title'], item['collection-number']].filter(Boolean).join(' ');
+}
+
+function sourceLabel(item) {
+  if (item['container-title']) {
+    const volume = [item.volume, item.issue && `(${item.issue})`].filter(Boolean).join('');
+    return [item['container-title'], volume, item.page].filter(Boolean).join(', ');
+  }
+  return item.publisher || '';
+}
+
+const withPeriod = (text) => (/[.?!]$/.test(text) ? text : `${text}.`);
+
+/**
+ * APA (7th edition) reference
+ */
+export function formatAPA(item) {
+  const authors = joinNames(
+    (item.author || []).map(name => name.literal || [name.family, initials(name.given)].filter(Boolean).join(', ')),
+    '&'
+  );
+  const series = seriesLabel(item);
+  const title = series && !item['container-title'] ? `${item.title} (${series})` : item.title;
+
+  return [
+    authors ? withPeriod(authors) : null,
+    `(${yearOf(item) || 'n.d.'}).`,
+    withPeriod(title),
+    sourceLabel(item) ? withPeriod(sourceLabel(item)) : null,
+    item.URL
+  ].filter(Boolean).join(' ');
+}
+
+/**
+ * Chicago (author-date) reference
+ */
+export function formatChicago(item) {
+  const names = (item.author || []).map((name, index) => {
+    if (name.literal) return name.literal;
+    return index === 0
+      ? [name.family, name.given].filter(Boolean).join(', ')
+      : [name.given, name.family].filter(Boolean).join(' ');
+  });
+  const authors = names.length > 2 ? joinNames(names, 'and') : names.join(', and ');
+  const source = item['container-title']
+    ? `${item['container-title']}${item.volume ? ` ${item.volume}` : ''}${item.issue ? ` (${item.issue})` : ''}${item.page ? `: ${item.page}` : ''}`
+    : [seriesLabel(item), [item['publisher-place'], item.publisher].filter(Boolean).join(': ')].filter(Boolean).join('. ');
+
+  return [
+    authors ? withPeriod(authors) : null,
+    `${yearOf(item) || 'n.d.'}.`,
+    `“${withPeriod(item.title)}”`,
+    source ? withPeriod(source) : null,
+    item.URL
+  ].filter(Boolean).join(' ');
+}
+
+const BIBTEX_TYPES = {
+  report: 'techreport',
+  'article-journal': 'article',
+  'paper-conference': 'inproceedings',
+  book: 'book',
+  chapter: 'incollection',
+  thesis: 'phdthesis'
+};
+
+// Braces are left alone: titles are wrapped in an extra pair to keep their capitalization
+function escapeBibTeX(text) {
+  return String(text).replace(/([&%$#_])/g, '\\$1');
+}
+
+// Key suffix for the nth duplicate: a…z, then aa, ab, …
+function keySuffix(n) {
+  let suffix = '';
+  for (let rest = n + 1; rest > 0; rest = Math.floor((rest - 1) / 26)) {
+    suffix = String.fromCharCode(97 + ((rest - 1) % 26)) + suffix;
+  }
+  return suffix;
+}
+
+function bibtexKey(item, used) {
+  const family = (item.author?.[0]?.family || item.author?.[0]?.literal || 'kgs').toLowerCase().replace(/[^a-z]/g, '');
+  const word = (item.title || '').toLowerCase().split(/\s+/).find(part => part.length > 3 && !['with', 'from', 'into', 'the'].includes(part)) || 'untitled';
+  const base = `${family}${yearOf(item) || ''}${word.replace(/[^a-z0-9]/g, '')}`;
+  let key = base;
+  for (let suffix = 0; used.has(key); suffix++) {
+    key = `${base}${keySuffix(suffix)}`;
+  }
+  used.add(key);
+  return key;
+}
+
+/**
+ * BibTeX entries for CSL items
+ */
+export function toBibTeX(items) {
+  const used = new Set();
+
+  return items.map(item => {
+    const fields = [
+      ['author', (item.author || []).map(name => name.literal ? `{${name.literal}}` : [name.family, name.given].filter(Boolean).join(', ')).join(' and ')],
+      ['title', `{${item.title}}`],
+      ['year', yearOf(item)],
+      ['journal', item.type === 'article-journal' ? item['container-title'] : null],
+      ['booktitle', item.type === 'paper-conference' ? item['container-title'] : null],
+      ['volume', item.volume],
+      ['number', item['collection-number'] || item.issue],
+      ['series', item['collection-title']],
+      ['pages', item.page ? String(item.page).replace(/\s*[-–]\s*/, '--') : null],
+      [item.type === 'report' ? 'institution' : 'publisher', item.publisher],
+      ['address', item['publisher-place']],
+      ['doi', item.DOI],
+      ['url', item.URL]
+    ].filter(([, value]) => value);
+
+    const body = fields
+      .map(([name, value]) => `  ${name} = {${name === 'url' || name === 'doi' ? value : escapeBibTeX(value)}}`)
+      .join(',\n');
+
+    return `@${BIBTEX_TYPES[item.type] || 'misc'}{${bibtexKey(item, used)},\n${body}\n}`;
+  }).join('\n\n') + '\n';
+}
+
+const RIS_TYPES = {
+  report: 'RPRT',
+  map: 'MAP',
+  'article-journal': 'JOUR',
+  'paper-conference': 'CONF',
+  book: 'BOOK',
+  chapter: 'CHAP',
+  thesis: 'THES',
+  dataset: 'DATA'
+};
+
+/**
+ * RIS records for CSL items
+ */
+export function toRIS(items) {
+  return items.map(item => {
+    const [startPage, endPage] = String(item.page || '').split(/\s*[-–]\s*/);
+    const lines = [
+      ['TY', RIS_TYPES[item.type] || 'GEN'],
+      ...(item.author || []).map(name => ['AU', name.literal || [name.family, name.given].filter(Boolean).join(', ')]),
+      ['TI', item.title],
+      ['PY', yearOf(item)],
+      ['T2', item['container-title']],
+      ['T3', item['collection-title']],
+      ['VL', item.volume],
+      ['IS', item['collection-number'] || item.issue],
+      ['SP', startPage],
+      ['EP', endPage],
+      ['PB', item.publisher],
+      ['CY', item['publisher-place']],
+      ['DO', item.DOI],
+      ['UR', item.URL],
+      ['ER', '']
+    ].filter(([tag, value]) => tag === 'ER' || value);
+
+    return lines.map(([tag, value]) => `${tag}  - ${value}`.trimEnd()).join('\r\n');
+  }).join('\r\n\r\n') + '\r\n';
+}
+
+/**
+ * CSL-JSON document for CSL items
+ */
+export function toCSLJSON(items) {
+  return JSON.stringify(items, null, 2);
+}
+
+/**
+ * Serialize CSL items in one of CITATION_FORMATS
+ */
+export function formatCitations(items, format) {
+  switch (format) {
+    case 'bibtex':
+      return toBibTeX(items);
+    case 'ris':
+      return toRIS(items);
+    case 'csl-json':
+      return toCSLJSON(items);
+    default:
+      throw new Error(`Unknown citation format: ${format}`);
+  }
+}
+
+/**
+ * Export URL for one or more publications
+ * @param {Array<number|string>} ids
+ * @param {string} format - Key of CITATION_FORMATS
+ * @param {string} source - 'publications' (publications database) or 'lab' (lab publications)
+ */
+export function getCitationExportUrl(ids, format, source = 'publications') {
+  const params = new URLSearchParams({ ids: ids.join(','), format, source });
+  return `/api/citations?${params}`;
+}
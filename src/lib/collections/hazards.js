@@ -0,0 +1,13 @@
+// src/lib/collections/hazards.js
+
+// No browsing-collection flag exists for hazards, so the taxonomy decides
+export const hazardsCollectionConfig = {
+  key: 'hazards',
+  category: 'Geologic Hazards',
+  title: 'KGS Geologic Hazards Publications',
+  description: 'Publications on landslides, earthquakes, sinkholes and other geologic hazards in Kentucky, including hazard maps, inventories and fact sheets.',
+  summary: 'Landslides, earthquakes, sinkholes and karst hazards in Kentucky.',
+  icon: 'fa-house-damage',
+  accent: 'red',
+  activePage: 'hazardpubs'
+};
@@ -0,0 +1,84 @@
+// src/lib/collections/index.js
+// Registry of themed publication collections rendered by /pubs/collections/[key].
+// Adding a collection is a config file here plus an entry below.
+//
+// Each config needs either `collectionField` (a boolean browsing-collection flag in
+// the publications database, compared against `collectionValue`) or a `category`
+// from the shared taxonomy (src/lib/api_taxonomy.js), plus the title, description,
+// summary, icon and accent color.
+import { fetchPublications } from '../api_publications.js';
+import { fetchTaxonomy, createClassifier } from '../api_taxonomy.js';
+import { coalCollectionConfig } from './coal.js';
+import { waterCollectionConfig } from './water.js';
+import { hazardsCollectionConfig } from './hazards.js';
+import { oilGasCollectionConfig } from './oil-gas.js';
+
+/**
+ * @typedef {Object} PublicationCollection
+ * @property {string} key - URL key under /pubs/collections
+ * @property {string} [collectionField] - Browsing-collection flag in the publications database
+ * @property {string} [collectionValue] - Value of that flag (default 'true')
+ * @property {string} [category] - Taxonomy category, used instead of collectionField
+ * @property {string} title
+ * @property {string} description
+ * @property {string} summary - Short blurb for the /pubs landing page
+ * @property {string} icon - Font Awesome icon class
+ * @property {string} accent - Card color on the /pubs landing page
+ * @property {string} activePage
+ */
+
+/** @type {PublicationCollection[]} In display order */
+const collections = [
+  coalCollectionConfig,
+  oilGasCollectionConfig,
+  waterCollectionConfig,
+  hazardsCollectionConfig
+];
+
+const collectionsByKey = new Map(collections.map(collection => [collection.key, collection]));
+
+/**
+ * Look up a registered collection by its URL key
+ * @param {string} [key] - e.g. 'coal'
+ * @returns {PublicationCollection|null} The collection config
+ */
+export function getPublicationCollection(key) {
+  return (key && collectionsByKey.get(key)) || null;
+}
+
+/**
+ * All registered collections, in display order
+ */
+export function listPublicationCollections() {
+  return collections;
+}
+
+/**
+ * URL of a collection's browse page
+ * @param {PublicationCollection} collection
+ */
+export function getCollectionUrl(collection) {
+  return `/pubs/collections/${collection.key}`;
+}
+
+/**
+ * Publications in a collection, newest first with supersession links: those with
+ * its browsing-collection flag, or the published ones the taxonomy files under its category
+ * @param {PublicationCollection} collection
+ * @param {Object} [options]
+ * @param {Request} [options.request] - Astro request object
+ * @returns {Promise<Array>}
+ * @throws {DirectusUnavailableError} When the publications database is down and nothing is cached
+ */
+export async function fetchCollectionPublications(collection, { request } = {}) {
+  if (!collection.category) {
+    return fetchPublications({ ...collection, request });
+  }
+
+  const [publications, taxonomy] = await Promise.all([
+    fetchPublications({ filter: { status: { _eq: 'published' } }, request }),
+    fetchTaxonomy()
+  ]);
+  const classifier = createClassifier(taxonomy);
+  return publications.filter(publication => classifier.getCategories(publication).includes(collection.category));
+}
@@ -0,0 +1,13 @@
+// src/lib/collections/oil-gas.js
+
+// No browsing-collection flag exists for oil and gas, so the taxonomy decides
+export const oilGasCollectionConfig = {
+  key: 'oil-gas',
+  category: 'Oil and Gas',
+  title: 'KGS Oil and Gas Publications',
+  description: 'Publications on Kentucky oil and natural gas geology, plays, fields and well data, including reservoir studies and resource assessments.',
+  summary: 'Oil and natural gas geology, plays, fields and resource assessments.',
+  icon: 'fa-oil-can',
+  accent: 'yellow',
+  activePage: 'oilgaspubs'
+};
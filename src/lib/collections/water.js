@@ -0,0 +1,13 @@
+// src/lib/collections/water.js
+
+// No browsing-collection flag exists for water, so the taxonomy decides
+export const waterCollectionConfig = {
+  key: 'water',
+  category: 'Water Resources',
+  title: 'KGS Water Resources Publications',
+  description: 'Publications on Kentucky groundwater, springs, aquifers and water quality, from county water resource reports to karst hydrogeology studies.',
+  summary: 'Groundwater, springs, aquifers and water quality across Kentucky.',
+  icon: 'fa-water',
+  accent: 'blue',
+  activePage: 'waterpubs'
+};
@@ -0,0 +1,324 @@
+// src/lib/feeds.js
+// RSS 2.0 and Atom feeds of news articles: all news, each news category
+// (/news/<category>/feed.xml) and each lab (/labs/<slug>/feed.xml).
+// Every feed is served at <listing path>/feed.xml (RSS) and /atom.xml (Atom).
+import { apiRequest, ifUnavailable, isDirectusUnavailable, unavailableResponse } from './api_client.js';
+import { fetchRecentNews } from './api_news.js';
+import { fetchLabBySlug, fetchLabNews } from './api_labs.js';
+
+const env = import.meta.env || {};
+
+const DIRECTUS_URL = (env.PUBLIC_DIRECTUS_URL || '').replace(/\/$/, '');
+
+// Articles per feed
+export const FEED_LIMIT = 20;
+
+export const FEED_FORMATS = {
+  rss: { label: 'RSS', filename: 'feed.xml', contentType: 'application/rss+xml' },
+  atom: { label: 'Atom', filename: 'atom.xml', contentType: 'application/atom+xml' }
+};
+
+/**
+ * @typedef {Object} Feed
+ * @property {string} title
+ * @property {string} description
+ * @property {string} path - HTML listing the feed mirrors; feeds live under it
+ * @property {string|null} [category] - Article category (null for all news)
+ */
+
+/** @type {Record<string, Feed>} News feeds, keyed by the listing's path under /news */
+export const NEWS_FEEDS = {
+  all: {
+    title: 'Kentucky Geological Survey News',
+    description: 'Latest news, updates, and events from the Kentucky Geological Survey.',
+    path: '/news',
+    category: null
+  },
+  'press-releases': {
+    title: 'Kentucky Geological Survey Press Releases',
+    description: 'Official press releases from the Kentucky Geological Survey.',
+    path: '/news/press-releases',
+    category: 'press'
+  },
+  research: {
+    title: 'Kentucky Geological Survey Research Updates',
+    description: 'Research news and findings from Kentucky Geological Survey scientists.',
+    path: '/news/research',
+    category: 'research'
+  },
+  events: {
+    title: 'Kentucky Geological Survey Events',
+    description: 'Upcoming workshops, field trips and other Kentucky Geological Survey events.',
+    path: '/news/events',
+    category: 'event'
+  }
+};
+
+const CATEGORY_LABELS = {
+  press: 'Press Release',
+  research: 'Research',
+  event: 'Event'
+};
+
+/**
+ * Look up a news feed by key ('all', 'press-releases', 'research', 'events')
+ * @returns {Feed|null}
+ */
+export function getNewsFeed(key) {
+  return (key && Object.prototype.hasOwnProperty.call(NEWS_FEEDS, key) && NEWS_FEEDS[key]) || null;
+}
+
+/**
+ * Feed of a lab's news
+ * @param {{name: string, slug: string}} lab
+ * @returns {Feed}
+ */
+export function getLabFeed(lab) {
+  return {
+    title: `${lab.name} News`,
+    description: `News from the ${lab.name} at the Kentucky Geological Survey.`,
+    path: `/labs/${lab.slug}`
+  };
+}
+
+/**
+ * Path of a feed in one format, e.g. '/news/research/feed.xml'
+ */
+export function getFeedUrl(feed, format = 'rss') {
+  return `${feed.path}/${FEED_FORMATS[format].filename}`;
+}
+
+/**
+ * Autodiscovery links (<link rel="alternate">) for a feed in every format
+ * @returns {Array<{format: string, label: string, title: string, type: string, href: string}>}
+ */
+export function getFeedLinks(feed) {
+  return Object.entries(FEED_FORMATS).map(([format, { label, contentType }]) => ({
+    format,
+    label,
+    title: `${feed.title} (${label})`,
+    type: contentType,
+    href: getFeedUrl(feed, format)
+  }));
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// main_image is a file id, or the expanded file record when fetched with main_image.*
+function getImageId(image) {
+  return (image && typeof image === 'object' ? image.id : image) || null;
+}
+
+/**
+ * File records (type, size) for article images, for feed enclosures.
+ * Images are optional, so an outage returns no records.
+ * @param {string[]} ids
+ * @returns {Promise<Map<string, Object>>}
+ */
+export async function fetchImageFiles(ids) {
+  if (ids.length === 0) return new Map();
+
+  const files = await ifUnavailable(apiRequest('/files', {
+    fields: ['id', 'type', 'filesize'],
+    filter: JSON.stringify({ id: { _in: ids } }),
+    limit: ids.length
+  }), []);
+  return new Map(files.map(file => [file.id, file]));
+}
+
+/**
+ * Turn a news article into a feed entry
+ * @param {Object} article - From fetchRecentNews or fetchLabNews
+ * @param {Object} options
+ * @param {string} options.siteUrl - Absolute site origin
+ * @param {Map<string, Object>} [options.files] - From fetchImageFiles
+ */
+export function toFeedItem(article, { siteUrl, files = new Map() }) {
+  const link = `${siteUrl}/news/${article.slug}`;
+  const imageId = getImageId(article.main_image);
+  const file = imageId ? files.get(imageId) || (typeof article.main_image === 'object' ? article.main_image : null) : null;
+  const author = article.author && typeof article.author === 'object'
+    ? [article.author.first_name, article.author.last_name].filter(Boolean).join(' ')
+    : '';
+
+  return {
+    id: link,
+    link,
+    title: article.title || '',
+    summary: article.excerpt || '',
+    published: toDate(article.publication_date),
+    updated: toDate(article.date_updated) || toDate(article.publication_date),
+    authors: author ? [author] : [],
+    category: CATEGORY_LABELS[article.category] || 'News',
+    enclosure: imageId
+      ? { url: `${DIRECTUS_URL}/assets/${imageId}`, type: file?.type || 'image/jpeg', length: Number(file?.filesize) || 0 }
+      : null
+  };
+}
+
+async function toFeedItems(articles, siteUrl) {
+  const files = await fetchImageFiles(articles.map(article => getImageId(article.main_image)).filter(Boolean));
+  return articles.map(article => toFeedItem(article, { siteUrl, files }));
+}
+
+function latestUpdate(items) {
+  const times = items.map(item => item.updated?.getTime()).filter(Boolean);
+  return times.length > 0 ? new Date(Math.max(...times)) : new Date();
+}
+
+/**
+ * Render a feed as RSS 2.0
+ * @param {Feed} feed
+ * @param {Array} items - From toFeedItem
+ * @param {Object} options
+ * @param {string} options.siteUrl - Absolute site origin
+ */
+export function toRSS(feed, items, { siteUrl }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(`${siteUrl}${feed.path}`)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    '    <language>en-us</language>',
+    `    <lastBuildDate>${latestUpdate(items).toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${escapeXml(`${siteUrl}${getFeedUrl(feed, 'rss')}`)}" rel="self" type="application/rss+xml" />`
+  ];
+
+  items.forEach(item => {
+    lines.push(
+      '    <item>',
+      `      <title>${escapeXml(item.title)}</title>`,
+      `      <link>${escapeXml(item.link)}</link>`,
+      `      <guid isPermaLink="true">${escapeXml(item.id)}</guid>`
+    );
+    if (item.published) lines.push(`      <pubDate>${item.published.toUTCString()}</pubDate>`);
+    lines.push(`      <description>${escapeXml(item.summary)}</description>`);
+    item.authors.forEach(author => lines.push(`      <dc:creator>${escapeXml(author)}</dc:creator>`));
+    lines.push(`      <category>${escapeXml(item.category)}</category>`);
+    if (item.enclosure) {
+      lines.push(`      <enclosure url="${escapeXml(item.enclosure.url)}" length="${item.enclosure.length}" type="${escapeXml(item.enclosure.type)}" />`);
+    }
+    lines.push('    </item>');
+  });
+
+  lines.push('  </channel>', '</rss>', '');
+  return lines.join('\n');
+}
+
+/**
+ * Render a feed as Atom
+ * @param {Feed} feed
+ * @param {Array} items - From toFeedItem
+ * @param {Object} options
+ * @param {string} options.siteUrl - Absolute site origin
+ */
+export function toAtom(feed, items, { siteUrl }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <link href="${escapeXml(`${siteUrl}${feed.path}`)}" rel="alternate" type="text/html" />`,
+    `  <link href="${escapeXml(`${siteUrl}${getFeedUrl(feed, 'atom')}`)}" rel="self" type="application/atom+xml" />`,
+    `  <id>${escapeXml(`${siteUrl}${feed.path}`)}</id>`,
+    `  <updated>${latestUpdate(items).toISOString()}</updated>`,
+    '  <author>',
+    '    <name>Kentucky Geological Survey</name>',
+    '  </author>'
+  ];
+
+  items.forEach(item => {
+    lines.push(
+      '  <entry>',
+      `    <title>${escapeXml(item.title)}</title>`,
+      `    <link href="${escapeXml(item.link)}" rel="alternate" type="text/html" />`,
+      `    <id>${escapeXml(item.id)}</id>`
+    );
+    if (item.published) lines.push(`    <published>${item.published.toISOString()}</published>`);
+    lines.push(`    <updated>${(item.updated || latestUpdate(items)).toISOString()}</updated>`);
+    lines.push(`    <summary type="text">${escapeXml(item.summary)}</summary>`);
+    item.authors.forEach(author => lines.push('    <author>', `      <name>${escapeXml(author)}</name>`, '    </author>'));
+    lines.push(`    <category term="${escapeXml(item.category)}" />`);
+    if (item.enclosure) {
+      lines.push(`    <link href="${escapeXml(item.enclosure.url)}" rel="enclosure" type="${escapeXml(item.enclosure.type)}" length="${item.enclosure.length}" />`);
+    }
+    lines.push('  </entry>');
+  });
+
+  lines.push('</feed>', '');
+  return lines.join('\n');
+}
+
+function feedResponse(feed, items, format, siteUrl) {
+  const body = format === 'atom' ? toAtom(feed, items, { siteUrl }) : toRSS(feed, items, { siteUrl });
+  return new Response(body, {
+    status: 200,
+    headers: {
+      'Content-Type': `${FEED_FORMATS[format].contentType}; charset=utf-8`,
+      'Cache-Control': 'public, max-age=900'
+    }
+  });
+}
+
+function getSiteUrl(url) {
+  return (env.PUBLIC_SITE_URL || url.origin).replace(/\/$/, '');
+}
+
+/**
+ * Response for a news feed route
+ * @param {string} key - NEWS_FEEDS key
+ * @param {'rss'|'atom'} format
+ * @param {URL} url - Request URL (the site origin when PUBLIC_SITE_URL isn't set)
+ * @returns {Promise<Response>} 404 for unknown feeds, 503 while Directus is down
+ */
+export async function createNewsFeedResponse(key, format, url) {
+  const feed = getNewsFeed(key);
+  if (!feed) {
+    return new Response('Feed not found', { status: 404 });
+  }
+
+  try {
+    const { articles } = await fetchRecentNews(FEED_LIMIT, 1, feed.category);
+    return feedResponse(feed, await toFeedItems(articles, getSiteUrl(url)), format, getSiteUrl(url));
+  } catch (error) {
+    if (!isDirectusUnavailable(error)) throw error;
+    return unavailableResponse('News is temporarily unavailable');
+  }
+}
+
+/**
+ * Response for a lab news feed route
+ * @param {string} slug - Lab slug
+ * @param {'rss'|'atom'} format
+ * @param {URL} url - Request URL
+ * @returns {Promise<Response>} 404 when the lab doesn't exist, 503 while Directus is down
+ */
+export async function createLabFeedResponse(slug, format, url) {
+  try {
+    const lab = await fetchLabBySlug(slug);
+    if (!lab) {
+      return new Response('Feed not found', { status: 404 });
+    }
+
+    const articles = await fetchLabNews(lab.id, { limit: FEED_LIMIT });
+    return feedResponse(getLabFeed(lab), await toFeedItems(articles, getSiteUrl(url)), format, getSiteUrl(url));
+  } catch (error) {
+    if (!isDirectusUnavailable(error)) throw error;
+    return unavailableResponse('Lab news is temporarily unavailable');
+  }
+}
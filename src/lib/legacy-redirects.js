@@ -0,0 +1,23 @@
+// src/lib/legacy-redirects.js
+// Redirect map for old www.uky.edu/KGS paths, kept in the repo. Editors add more
+// rules in the `redirects` Directus collection; those take priority over these.
+// /redirect-report lists the most-hit paths that still 404 so the map can be completed.
+//
+// Each rule is { match, from, to, status }:
+//   exact  - `from` is a path; case, a trailing slash and index.htm/.html/.php/.asp are ignored
+//   prefix - `from` and everything under it; a "*" in `to` is replaced by the rest of the path
+//   regex  - `from` is a case-insensitive pattern tested against the path; `to` can use $1, $2, ...
+// `status` is 301 (permanent, the default) or 302 (temporary, for targets that may still move).
+
+/** @type {Array<{match: 'exact'|'prefix'|'regex', from: string, to: string, status?: number}>} */
+export const LEGACY_REDIRECTS = [
+  { match: 'exact', from: '/KGS', to: '/', status: 301 },
+  { match: 'exact', from: '/KGS/homepage.htm', to: '/', status: 301 },
+  { match: 'exact', from: '/KGS/news', to: '/news', status: 301 },
+  { match: 'regex', from: '^/KGS/(?:staff|personnel)(?:/.*)?$', to: '/staff', status: 301 },
+  { match: 'regex', from: '^/KGS/(?:contact|contactus)(?:\\.(?:htm|html|php))?$', to: '/contact', status: 301 },
+  { match: 'prefix', from: '/KGS/landslide', to: '/research/landslides', status: 301 },
+  { match: 'prefix', from: '/KGS/coal', to: '/pubs/collections/coal', status: 302 },
+  { match: 'prefix', from: '/KGS/water', to: '/pubs/collections/water', status: 302 },
+  { match: 'prefix', from: '/KGS/internship', to: '/intern', status: 301 }
+];
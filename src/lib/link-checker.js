@@ -0,0 +1,290 @@
+// src/lib/link-checker.js
+// Checks links found in the built site (dist) and in Directus content, for
+// scripts/check-links.js. Internal links are matched against the routes in
+// src/pages and the slugs Directus knows about (the sitemap entries), links to files
+// against the build output, and Directus asset links against its files.
+// Nothing is fetched over the network beyond Directus itself.
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { extractLinks } from './broken-links.js';
+import { normalizePath } from './redirects.js';
+import { toPageRoute } from './page-routes.js';
+
+/**
+ * Issue types, with how serious each is. Errors lead to a 404; warnings still
+ * work but go through a redirect or the legacy site.
+ */
+export const ISSUE_SEVERITY = {
+  'broken-link': 'error',
+  'missing-asset': 'error',
+  'legacy-link': 'warning',
+  'redirected-link': 'warning'
+};
+
+// Dynamic routes whose parameter isn't a Directus slug, with the values it takes
+const OPEN_ROUTES = {
+  '/news/archive/[year]': /^\d{4}$/,
+  '/pubs/[id]': /^\d+$/,
+  '/pubs/area/[slug]': /./,
+  '/pubs/collections/[key]': /./,
+  '/sitemap-[page].xml': /^\d+$/
+};
+
+// Dynamic routes showing an item whose own page is elsewhere: [route, page the item must have]
+const ROUTE_ALIASES = {
+  '/about/[slug]': slug => `/${slug}`
+};
+
+// Extensions served by pages rather than files
+const PAGE_EXTENSIONS = ['htm', 'html', 'php', 'asp', 'aspx'];
+
+/**
+ * Routes of the pages and endpoints in src/pages, e.g. /about/board, /news/feed.xml
+ * and /labs/[slug]/projects (see toPageRoute in page-routes.js)
+ * @param {string} pagesDir
+ * @param {Object} [options]
+ * @param {boolean} [options.endpoints] - Include endpoints as well as pages
+ * @returns {Promise<string[]>}
+ */
+export async function listPageRoutes(pagesDir, { endpoints = true } = {}) {
+  const files = await listFiles(pagesDir);
+  return files.map(file => toPageRoute(file, { endpoints })).filter(route => route !== null);
+}
+
+// Paths of the files under a directory, relative to it and with forward slashes
+async function listFiles(directory, prefix = '') {
+  const entries = await fsp.readdir(directory, { withFileTypes: true });
+  const files = await Promise.all(entries.map(entry => (entry.isDirectory()
+    ? listFiles(path.join(directory, entry.name), `${prefix}${entry.name}/`)
+    : [`${prefix}${entry.name}`])));
+  return files.flat();
+}
+
+// Pattern for a dynamic route, capturing its first parameter
+function compileRoute(route) {
+  const source = route.replace(/\[[^\]]+\]|[^[]+/g, part => (
+    part.startsWith('[') ? '([^/]+)' : part.replace(/[.*+?^${}()|\\]/g, '\\$&')
+  ));
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Build a check for whether a path is a route on this site. Static routes always
+ * exist. A dynamic route shows a Directus item unless it's in OPEN_ROUTES, so the
+ * path up to its parameter must be a known page (/labs/<slug>/projects needs /labs/<slug>).
+ * @param {Iterable<string>} knownPaths - Paths with pages (e.g. from fetchSitemapEntries)
+ * @param {string[]} [routes] - From listPageRoutes
+ * @returns {(pathname: string) => boolean}
+ */
+export function createRouteChecker(knownPaths, routes = []) {
+  const known = new Set(Array.from(knownPaths, normalizePath));
+  const dynamicRoutes = [];
+  routes.forEach(route => {
+    if (route.includes('[')) {
+      dynamicRoutes.push({ route, pattern: compileRoute(route) });
+    } else {
+      known.add(normalizePath(route));
+    }
+  });
+
+  return (pathname) => {
+    const pathName = normalizePath(pathname);
+    if (known.has(pathName)) {
+      return true;
+    }
+    return dynamicRoutes.some(({ route, pattern }) => {
+      const value = pathName.match(pattern)?.[1];
+      if (value === undefined) return false;
+      if (OPEN_ROUTES[route]) return OPEN_ROUTES[route].test(value);
+      const itemPage = ROUTE_ALIASES[route]
+        ? ROUTE_ALIASES[route](value)
+        : route.slice(0, route.indexOf(']') + 1).replace(/\[[^\]]+\]$/, () => value);
+      return known.has(itemPage);
+    });
+  };
+}
+
+/**
+ * Build a check for whether a path is a file in one of the given directories
+ * (the build output, public/)
+ * @param {string[]} directories
+ * @returns {(pathname: string) => boolean}
+ */
+export function createAssetChecker(directories) {
+  return (pathname) => {
+    let relative;
+    try {
+      relative = decodeURIComponent(pathname).replace(/^\/+/, '');
+    } catch (error) {
+      return false;
+    }
+    return directories.some(directory => {
+      const file = path.resolve(directory, relative);
+      return file.startsWith(path.resolve(directory)) && fs.existsSync(file) && fs.statSync(file).isFile();
+    });
+  };
+}
+
+/**
+ * Whether a link points at the old www.uky.edu/KGS site, on its own host or as a /KGS/ path here
+ * @param {string} href
+ * @param {string|null} sitePath - The link's path when it's on this site
+ */
+export function isLegacyLink(href, sitePath) {
+  if (sitePath) return /^\/kgs(?:\/|$)/i.test(sitePath);
+  try {
+    const url = new URL(href);
+    return /^(?:www\.)?uky\.edu$/i.test(url.hostname) && /^\/kgs(?:\/|$)/i.test(url.pathname);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Directus file id of an /assets/<id> link on the Directus host
+function getDirectusAssetId(href, directusUrl) {
+  if (!directusUrl) return null;
+  try {
+    const url = new URL(href);
+    const base = new URL(directusUrl);
+    if (url.host !== base.host) return null;
+    const assetPath = url.pathname.slice(base.pathname.replace(/\/$/, '').length);
+    return assetPath.match(/^\/assets\/([^/]+)/)?.[1] || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check links and return the problems found
+ * @param {Array<{href: string, path: string|null, attribute?: string, source: Object}>} links
+ *   `path` is set for links to this site (see toSitePath in src/lib/broken-links.js)
+ * @param {Object} checks
+ * @param {(pathname: string) => boolean} checks.isKnownRoute - From createRouteChecker
+ * @param {(pathname: string) => boolean} checks.assetExists - From createAssetChecker
+ * @param {(pathname: string) => ({location: string}|null)} [checks.findRedirect] - Redirect rule covering a path
+ * @param {string} [checks.directusUrl] - Directus base URL, for /assets/<id> links
+ * @param {Set<string>|null} [checks.directusFileIds] - Known Directus file ids; null skips asset links
+ * @returns {Array<{type: string, severity: string, href: string, path: string|null, source: Object, suggestion?: string|null}>}
+ */
+export function checkLinks(links, { isKnownRoute, assetExists, findRedirect = () => null, directusUrl, directusFileIds = null }) {
+  const issues = [];
+
+  links.forEach(link => {
+    const issue = (type, details = {}) => issues.push({
+      type,
+      severity: ISSUE_SEVERITY[type],
+      href: link.href,
+      path: link.path,
+      source: link.source,
+      ...details
+    });
+
+    if (isLegacyLink(link.href, link.path)) {
+      const legacyPath = link.path || new URL(link.href).pathname;
+      issue('legacy-link', { suggestion: findRedirect(legacyPath)?.location || null });
+      return;
+    }
+
+    const assetId = getDirectusAssetId(link.href, directusUrl);
+    if (assetId) {
+      if (directusFileIds && !directusFileIds.has(assetId)) issue('missing-asset');
+      return;
+    }
+
+    if (!link.path || isKnownRoute(link.path)) return;
+
+    const extension = link.path.match(/\.([a-z0-9]+)$/i)?.[1]?.toLowerCase();
+    if (extension && !PAGE_EXTENSIONS.includes(extension)) {
+      if (!assetExists(link.path)) issue('missing-asset');
+      return;
+    }
+
+    const redirect = findRedirect(link.path);
+    if (redirect) {
+      issue('redirected-link', { suggestion: redirect.location });
+    } else {
+      issue('broken-link');
+    }
+  });
+
+  return issues;
+}
+
+// Page URL of an HTML file in the build output
+function toPageUrl(relativeFile) {
+  const url = `/${relativeFile.split(path.sep).join('/')}`
+    .replace(/\/index\.html$/, '')
+    .replace(/\.html$/, '');
+  return url || '/';
+}
+
+async function listHtmlFiles(directory) {
+  const entries = await fsp.readdir(directory, { withFileTypes: true });
+  const files = await Promise.all(entries.map(entry => {
+    const file = path.join(directory, entry.name);
+    if (entry.isDirectory()) return listHtmlFiles(file);
+    return entry.name.endsWith('.html') ? [file] : [];
+  }));
+  return files.flat();
+}
+
+/**
+ * Links in every HTML page of the build output. With the Node adapter the pages
+ * are in dist/client; a static build has them in dist itself.
+ * @param {string} distDir
+ * @param {Object} options
+ * @param {(href: string) => string|null} options.toSitePath - Path of a link on this site
+ * @returns {Promise<{root: string, pages: number, links: Array<{href: string, path: string|null, attribute: string, source: {kind: string, url: string, file: string}}>}>}
+ */
+export async function collectDistLinks(distDir, { toSitePath }) {
+  const clientDir = path.join(distDir, 'client');
+  const root = fs.existsSync(clientDir) ? clientDir : distDir;
+  const files = await listHtmlFiles(root);
+
+  const links = [];
+  for (const file of files) {
+    const relative = path.relative(root, file);
+    const pageUrl = toPageUrl(relative);
+    const html = await fsp.readFile(file, 'utf8');
+    extractLinks(html).forEach(({ attribute, value }) => {
+      // Relative links ("../x") are resolved against the page
+      const href = /^[a-z][a-z0-9+.-]*:|^[/#?]/i.test(value)
+        ? value
+        : new URL(value, `http://site${pageUrl.replace(/\/$/, '')}/`).pathname;
+      links.push({
+        href,
+        path: toSitePath(href),
+        attribute,
+        source: { kind: 'page', url: pageUrl, file: path.relative(distDir, file) }
+      });
+    });
+  }
+  return { root, pages: files.length, links };
+}
+
+/**
+ * Machine-readable report of the issues found
+ * @param {ReturnType<typeof checkLinks>} issues
+ * @param {Object} details
+ * @param {string} [details.siteUrl]
+ * @param {number} [details.pages] - HTML pages scanned
+ * @param {number} [details.links] - Links checked
+ * @param {Date} [details.now]
+ */
+export function buildLinkReport(issues, { siteUrl = null, pages = 0, links = 0, now = new Date() } = {}) {
+  const byType = Object.fromEntries(Object.keys(ISSUE_SEVERITY).map(type => [type, 0]));
+  issues.forEach(issue => { byType[issue.type] += 1; });
+
+  return {
+    generatedAt: now.toISOString(),
+    siteUrl,
+    scanned: { pages, links },
+    summary: {
+      errors: issues.filter(issue => issue.severity === 'error').length,
+      warnings: issues.filter(issue => issue.severity === 'warning').length,
+      byType
+    },
+    issues
+  };
+}
@@ -0,0 +1,189 @@
+// src/lib/not-found-log.js
+// Log of requests that ended in a 404: path, hits, first and last seen, and the
+// pages that sent visitors there (the Referer header). Recorded by the middleware
+// (src/lib/redirects.js), kept in memory and written to NOT_FOUND_LOG_FILE a few
+// seconds after each change so the counts survive restarts and deploys.
+// One server process owns the file; point each process at its own file otherwise.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+const env = import.meta.env || {};
+
+export const NOT_FOUND_LOG_FILE = env.NOT_FOUND_LOG_FILE || path.resolve(process.cwd(), '.data/not-found-log.json');
+
+// Paths kept; the least-hit are dropped past this
+export const NOT_FOUND_LOG_LIMIT = 1000;
+
+// Referrers kept per path, most frequent first
+export const REFERRER_LIMIT = 10;
+
+const SAVE_DELAY_MS = 5000;
+
+const entries = new Map();
+let loading = null;
+let saveTimer = null;
+let saving = Promise.resolve();
+
+// Combine two records of the same path (one from memory, one from the file)
+function mergeEntries(a, b) {
+  const referrers = new Map(a.referrers.map(referrer => [referrer.url, { ...referrer }]));
+  b.referrers.forEach(referrer => {
+    const existing = referrers.get(referrer.url);
+    referrers.set(referrer.url, existing
+      ? { url: referrer.url, count: existing.count + referrer.count, lastSeen: maxDate(existing.lastSeen, referrer.lastSeen) }
+      : { ...referrer });
+  });
+
+  return {
+    path: a.path,
+    count: a.count + b.count,
+    firstSeen: a.firstSeen < b.firstSeen ? a.firstSeen : b.firstSeen,
+    lastSeen: maxDate(a.lastSeen, b.lastSeen),
+    referrers: sortReferrers(Array.from(referrers.values()))
+  };
+}
+
+const maxDate = (a, b) => (a > b ? a : b);
+const sortReferrers = (referrers) => referrers
+  .sort((a, b) => b.count - a.count || b.lastSeen.localeCompare(a.lastSeen))
+  .slice(0, REFERRER_LIMIT);
+
+// Drop the least-hit paths past the limit
+function trimEntries() {
+  while (entries.size > NOT_FOUND_LOG_LIMIT) {
+    const leastHit = Array.from(entries.values()).reduce((min, entry) => (entry.count < min.count ? entry : min));
+    entries.delete(leastHit.path);
+  }
+}
+
+/**
+ * Read the log file into memory, once. Hits recorded before it finishes are kept.
+ * @param {Object} [options]
+ * @param {boolean} [options.reload] - Forget what's in memory and read the file again
+ */
+export function loadNotFoundLog({ reload = false } = {}) {
+  if (reload) {
+    entries.clear();
+    loading = null;
+  }
+  if (!loading) {
+    loading = fs.readFile(NOT_FOUND_LOG_FILE, 'utf8')
+      .then(text => {
+        const saved = JSON.parse(text);
+        (Array.isArray(saved) ? saved : []).forEach(entry => {
+          if (!entry?.path) return;
+          const record = { referrers: [], ...entry };
+          entries.set(entry.path, entries.has(entry.path) ? mergeEntries(entries.get(entry.path), record) : record);
+        });
+        trimEntries();
+      })
+      .catch(error => {
+        if (error.code !== 'ENOENT') {
+          console.warn(`Could not read the 404 log (${NOT_FOUND_LOG_FILE}):`, error.message);
+        }
+      });
+  }
+  return loading;
+}
+
+/**
+ * Write the log to its file now, instead of waiting for the scheduled save
+ */
+export function flushNotFoundLog() {
+  clearTimeout(saveTimer);
+  saveTimer = null;
+
+  saving = saving
+    .then(() => loadNotFoundLog())
+    .then(async () => {
+      // Write a temporary file first so a crash never leaves half a log
+      const temporary = `${NOT_FOUND_LOG_FILE}.tmp`;
+      await fs.mkdir(path.dirname(NOT_FOUND_LOG_FILE), { recursive: true });
+      await fs.writeFile(temporary, JSON.stringify(listNotFound({ limit: NOT_FOUND_LOG_LIMIT }), null, 2));
+      await fs.rename(temporary, NOT_FOUND_LOG_FILE);
+    })
+    .catch(error => {
+      console.error(`Could not save the 404 log (${NOT_FOUND_LOG_FILE}):`, error.message);
+    });
+  return saving;
+}
+
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(flushNotFoundLog, SAVE_DELAY_MS);
+  // Don't keep the process alive just to save
+  saveTimer.unref?.();
+}
+
+// A referrer as it's stored: without its fragment or the editor reports' ?key=
+// secret, and without any query string when it's a page on this site
+function cleanReferrer(referrer, origin) {
+  let url;
+  try {
+    url = new URL(referrer);
+  } catch (error) {
+    return referrer.slice(0, 500);
+  }
+  url.hash = '';
+  if (url.origin === origin) {
+    url.search = '';
+  } else {
+    url.searchParams.delete('key');
+  }
+  return url.href.slice(0, 500);
+}
+
+/**
+ * Count a request that ended in a 404
+ * @param {string} pathname - Normalized path (see normalizePath in src/lib/redirects.js)
+ * @param {Object} [details]
+ * @param {string|null} [details.referrer] - The request's Referer header
+ * @param {string|null} [details.origin] - This site's origin; query strings are dropped from its referrers
+ * @param {Date} [details.now]
+ */
+export function recordNotFound(pathname, { referrer = null, origin = null, now = new Date() } = {}) {
+  loadNotFoundLog();
+
+  const seen = now.toISOString();
+  const entry = entries.get(pathname) || { path: pathname, count: 0, firstSeen: seen, lastSeen: seen, referrers: [] };
+  entry.count += 1;
+  entry.lastSeen = seen;
+
+  if (referrer) {
+    const url = cleanReferrer(referrer, origin);
+    const existing = entry.referrers.find(item => item.url === url);
+    if (existing) {
+      existing.count += 1;
+      existing.lastSeen = seen;
+    } else {
+      entry.referrers.push({ url, count: 1, lastSeen: seen });
+    }
+    entry.referrers = sortReferrers(entry.referrers);
+  }
+
+  entries.set(pathname, entry);
+  trimEntries();
+  scheduleSave();
+}
+
+/**
+ * Most-hit 404 paths. Call loadNotFoundLog() first to include earlier runs.
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @returns {Array<{path: string, count: number, firstSeen: string, lastSeen: string, referrers: Array<{url: string, count: number, lastSeen: string}>}>}
+ */
+export function listNotFound({ limit = 100 } = {}) {
+  return Array.from(entries.values())
+    .sort((a, b) => b.count - a.count || b.lastSeen.localeCompare(a.lastSeen))
+    .slice(0, limit)
+    .map(entry => ({ ...entry, referrers: entry.referrers.map(referrer => ({ ...referrer })) }));
+}
+
+/**
+ * Forget every recorded 404. The file is emptied on the next save.
+ */
+export function clearNotFoundLog() {
+  entries.clear();
+  loading = Promise.resolve();
+  scheduleSave();
+}
@@ -0,0 +1,206 @@
+// src/lib/not-found.js
+// Suggestions for the 404 page. The attempted path is split into words and
+// compared with the staff, news, labs and pages entries of the search index
+// (the same fetchers as /js/search-index.json). Misspellings and word prefixes
+// still match, so a renamed slug can be sent straight to its new page.
+import { cacheLookup } from './api_client.js';
+import { fetchStaffByDepartment } from './api_staff.js';
+import { fetchAllNews, fetchAllLabs, fetchAllPages } from './api_search_content.js';
+
+// Suggestions listed on the 404 page
+export const SUGGESTION_LIMIT = 6;
+
+// Lowest score a suggestion needs to be listed
+export const MIN_SUGGESTION_SCORE = 0.5;
+
+// Score a suggestion needs to be redirected to, with no other close match
+export const AUTO_REDIRECT_SCORE = 0.9;
+const CLOSE_MATCH_SCORE = 0.75;
+
+// Words that say nothing about which page was meant
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'the', 'of', 'for', 'in', 'on', 'to',
+  'kgs', 'www', 'index', 'default', 'htm', 'html', 'php', 'asp', 'aspx', 'pdf'
+]);
+
+// First path segments that name a search index type
+const SECTION_TYPES = {
+  staff: 'staff',
+  news: 'news',
+  labs: 'lab'
+};
+
+// Suggestions from another section than the one in the path
+const OTHER_SECTION_WEIGHT = 0.8;
+
+/**
+ * Split text or a path into lowercase words, leaving out stop words and
+ * one- and two-letter words
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+/**
+ * Edit distance between two words, giving up once it passes `max`
+ * @returns {number} The distance, or max + 1 when it's larger than max
+ */
+export function editDistance(a, b, max = 2) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Typos allowed for a word of this length
+const allowedEdits = (word) => (word.length >= 8 ? 2 : word.length >= 5 ? 1 : 0);
+
+// How well one path word matches the best of a candidate's words, 0 to 1
+function matchWord(word, candidateWords) {
+  let best = 0;
+  for (const candidate of candidateWords) {
+    if (candidate === word) return 1;
+    if (candidate.startsWith(word) || word.startsWith(candidate)) {
+      best = Math.max(best, 0.75);
+    } else if (allowedEdits(word) && editDistance(word, candidate, allowedEdits(word)) <= allowedEdits(word)) {
+      best = Math.max(best, 0.6);
+    }
+  }
+  return best;
+}
+
+/**
+ * Split an attempted path into its section type (from the first segment) and words
+ * @param {string} pathname
+ * @returns {{section: string|null, words: string[]}}
+ */
+export function parseAttemptedPath(pathname) {
+  const segments = String(pathname || '')
+    .split(/[?#]/)[0]
+    .split('/')
+    .filter(Boolean)
+    .map(segment => {
+      try {
+        return decodeURIComponent(segment).toLowerCase();
+      } catch (error) {
+        return segment.toLowerCase();
+      }
+    });
+
+  const section = SECTION_TYPES[segments[0]] || null;
+  const words = tokenize((section ? segments.slice(1) : segments).join(' '));
+  return { section, words: Array.from(new Set(words)) };
+}
+
+// Words an entry is matched on: its slug and title
+const getEntryWords = (entry) => tokenize(`${entry.url.split('/').pop()} ${entry.title}`);
+
+/**
+ * Rank entries against an attempted path
+ * @param {string} pathname - The path that wasn't found
+ * @param {Array<{title: string, url: string, type: string, category?: string, words?: string[]}>} entries
+ * @returns {{suggestions: Array<{title: string, url: string, type: string, category?: string, score: number}>, redirectTo: string|null}}
+ *   `redirectTo` is set when one entry matches well and no other comes close
+ */
+export function rankSuggestions(pathname, entries) {
+  const { section, words } = parseAttemptedPath(pathname);
+  if (words.length === 0) return { suggestions: [], redirectTo: null };
+
+  const attempted = pathname.split(/[?#]/)[0].replace(/\/+$/, '').toLowerCase();
+  const scored = entries
+    .filter(entry => entry.url.toLowerCase() !== attempted)
+    .map(entry => {
+      const entryWords = entry.words || getEntryWords(entry);
+      const total = words.reduce((sum, word) => sum + matchWord(word, entryWords), 0);
+      const weight = section && entry.type !== section ? OTHER_SECTION_WEIGHT : 1;
+      return {
+        title: entry.title,
+        url: entry.url,
+        type: entry.type,
+        category: entry.category,
+        score: Math.round((total / words.length) * weight * 100) / 100
+      };
+    })
+    .filter(entry => entry.score >= MIN_SUGGESTION_SCORE)
+    .sort((a, b) => b.score - a.score || a.title.localeCompare(b.title));
+
+  const closeMatches = scored.filter(entry => entry.score >= CLOSE_MATCH_SCORE);
+  const redirectTo = closeMatches.length === 1 && closeMatches[0].score >= AUTO_REDIRECT_SCORE
+    ? closeMatches[0].url
+    : null;
+
+  return { suggestions: scored.slice(0, SUGGESTION_LIMIT), redirectTo };
+}
+
+// A source that fails is left out, like a section of the search index
+async function collect(label, fetchEntries) {
+  try {
+    return await fetchEntries();
+  } catch (error) {
+    console.error(`Error loading ${label} for 404 suggestions:`, error);
+    return [];
+  }
+}
+
+const isPublished = (item) => !item.status || item.status === 'published';
+
+/**
+ * Staff profiles, news articles, labs and pages, as search index entries with
+ * their words already split out. Built once per cache TTL rather than on every
+ * 404, sources that failed included, and purged along with those collections.
+ * @returns {Promise<Array<{title: string, url: string, type: string, category: string, words: string[]}>>}
+ */
+export const fetchSuggestionEntries = cacheLookup(['staff', 'articles', 'labs', 'pages'], async () => {
+  const sources = await Promise.all([
+    collect('staff', async () => Object.values(await fetchStaffByDepartment()).flat()
+      .filter(member => member.slug)
+      .map(member => ({
+        title: `${member.first_name} ${member.last_name}`,
+        url: `/staff/${member.slug}`,
+        type: 'staff',
+        category: 'Staff Directory'
+      }))),
+    collect('news', async () => (await fetchAllNews())
+      .filter(article => article.slug)
+      .map(article => ({ title: article.title, url: `/news/${article.slug}`, type: 'news', category: 'News' }))),
+    collect('labs', async () => (await fetchAllLabs())
+      .filter(lab => lab.slug && isPublished(lab))
+      .map(lab => ({ title: lab.name, url: `/labs/${lab.slug}`, type: 'lab', category: 'Research Labs' }))),
+    collect('pages', async () => (await fetchAllPages())
+      .filter(page => page.slug && isPublished(page))
+      .map(page => ({ title: page.title, url: page.url || `/${page.slug}`, type: 'page', category: 'Information' })))
+  ]);
+
+  // Staff can be listed under more than one department
+  const byUrl = new Map(sources.flat().map(entry => [entry.url, entry]));
+  return Array.from(byUrl.values(), entry => ({ ...entry, words: getEntryWords(entry) }));
+});
+
+/**
+ * Suggestions for a path that wasn't found
+ * @param {string} pathname
+ */
+export async function findNotFoundSuggestions(pathname) {
+  if (parseAttemptedPath(pathname).words.length === 0) {
+    return { suggestions: [], redirectTo: null };
+  }
+  return rankSuggestions(pathname, await fetchSuggestionEntries());
+}
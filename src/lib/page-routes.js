@@ -0,0 +1,27 @@
+// src/lib/page-routes.js
+// Routes of the files in src/pages, shared by the sitemap (which sees the files
+// through Vite) and the link checker (which reads them from disk).
+
+// Files in src/pages that are pages, and those that are endpoints (feed.xml.js serves /feed.xml)
+export const PAGE_FILE = /\.(?:astro|md|mdx|html)$/;
+export const ENDPOINT_FILE = /\.(?:js|ts)$/;
+
+/**
+ * Route of a file in src/pages, e.g. labs/[slug]/index.astro -> /labs/[slug] and
+ * news/feed.xml.js -> /news/feed.xml. Catch-all ([...slug]) routes only serve the
+ * 404 page, so they have no route, and neither do files or folders starting with _ or a dot.
+ * @param {string} file - Path relative to src/pages
+ * @param {Object} [options]
+ * @param {boolean} [options.endpoints] - Include endpoints as well as pages
+ * @returns {string|null}
+ */
+export function toPageRoute(file, { endpoints = true } = {}) {
+  const segments = file.split('/').filter(Boolean);
+  const name = segments.pop() || '';
+  if (segments.concat(name).some(segment => /^[._]/.test(segment)) || name.includes('[...')) return null;
+  if (!PAGE_FILE.test(name) && !(endpoints && ENDPOINT_FILE.test(name))) return null;
+
+  const page = name.replace(PAGE_FILE, '').replace(ENDPOINT_FILE, '');
+  if (page !== 'index') segments.push(page);
+  return `/${segments.join('/')}`;
+}
@@ -0,0 +1,221 @@
+// src/lib/redirects.js
+// Legacy URL redirects, applied by src/middleware.js. Rules come from the repo
+// map (src/lib/legacy-redirects.js) and the `redirects` Directus collection
+// (source, target, match_type, status_code, status). Requests that match no rule
+// and end in a 404 go to the 404 log (src/lib/not-found-log.js), so
+// /redirect-report can show the most-hit ones.
+import { apiRequest, ifUnavailable, cacheLookup } from './api_client.js';
+import { LEGACY_REDIRECTS } from './legacy-redirects.js';
+import { recordNotFound, listNotFound, loadNotFoundLog } from './not-found-log.js';
+
+export const MATCH_TYPES = ['exact', 'prefix', 'regex'];
+export const REDIRECT_STATUSES = [301, 302];
+
+/**
+ * Normalize a path for matching: lowercase, no trailing slash, no index page
+ * @param {string} pathname
+ */
+export function normalizePath(pathname) {
+  let path = decodePath(pathname).toLowerCase().replace(/\/{2,}/g, '/');
+  path = path.replace(/\/index\.(?:htm|html|php|asp|aspx)$/, '/');
+  if (path.length > 1) path = path.replace(/\/+$/, '');
+  return path || '/';
+}
+
+function decodePath(pathname) {
+  try {
+    return decodeURIComponent(pathname || '/');
+  } catch (error) {
+    return pathname || '/';
+  }
+}
+
+/**
+ * Index rules for lookup. Exact rules go in a map, prefix rules longest first,
+ * regex rules in order. Rules that can't be used are returned in `invalid`.
+ * Earlier rules win, so pass Directus rules before the repo map.
+ * @param {Array<{match: string, from: string, to: string, status?: number, source?: string}>} rules
+ */
+export function compileRedirectRules(rules) {
+  const exact = new Map();
+  const prefix = [];
+  const regex = [];
+  const invalid = [];
+
+  rules.forEach(rule => {
+    const status = Number(rule.status) || 301;
+    if (!MATCH_TYPES.includes(rule.match) || !rule.from || !rule.to || !REDIRECT_STATUSES.includes(status)) {
+      invalid.push({ rule, reason: 'Needs a match type (exact, prefix or regex), a source, a target and status 301 or 302' });
+      return;
+    }
+
+    const compiled = { ...rule, status };
+    if (rule.match === 'exact') {
+      const key = normalizePath(rule.from);
+      if (!exact.has(key)) exact.set(key, compiled);
+    } else if (rule.match === 'prefix') {
+      prefix.push({ ...compiled, key: normalizePath(rule.from) });
+    } else {
+      try {
+        regex.push({ ...compiled, pattern: new RegExp(rule.from, 'i') });
+      } catch (error) {
+        invalid.push({ rule, reason: `Invalid pattern: ${error.message}` });
+      }
+    }
+  });
+
+  // Longest prefix first; the sort is stable, so earlier rules win ties
+  prefix.sort((a, b) => b.key.length - a.key.length);
+  return { exact, prefix, regex, invalid };
+}
+
+/**
+ * Find the redirect for a path
+ * @param {ReturnType<typeof compileRedirectRules>} compiled
+ * @param {string} pathname - Request path, as received
+ * @returns {{location: string, status: number, rule: Object}|null}
+ */
+export function findRedirect(compiled, pathname) {
+  const path = normalizePath(pathname);
+
+  const exactRule = compiled.exact.get(path);
+  if (exactRule) return toRedirect(exactRule, exactRule.to, path);
+
+  for (const rule of compiled.prefix) {
+    if (path === rule.key || path.startsWith(`${rule.key}/`)) {
+      const rest = path.slice(rule.key.length).replace(/^\//, '');
+      return toRedirect(rule, rule.to.replace('*', rest), path);
+    }
+  }
+
+  const decoded = decodePath(pathname);
+  for (const rule of compiled.regex) {
+    const match = decoded.match(rule.pattern);
+    if (match) return toRedirect(rule, rule.to.replace(/\$(\d+)/g, (_, group) => match[group] ?? ''), path);
+  }
+
+  return null;
+}
+
+// Skip rules that would send a path back to itself
+function toRedirect(rule, location, path) {
+  if (!location.startsWith('http') && normalizePath(location.split(/[?#]/)[0]) === path) {
+    return null;
+  }
+  return { location, status: rule.status, rule };
+}
+
+/**
+ * Published rules from the `redirects` Directus collection, in the shape of the repo map.
+ * Empty when the collection is missing or Directus is down, so the repo map still applies.
+ */
+export async function fetchDirectusRedirects() {
+  const items = await ifUnavailable(apiRequest('/items/redirects', {
+    fields: ['id', 'source', 'target', 'match_type', 'status_code'],
+    filter: JSON.stringify({ status: { _eq: 'published' } }),
+    sort: 'sort,id',
+    limit: -1
+  }), []);
+
+  return items.map(item => ({
+    id: item.id,
+    match: item.match_type || 'exact',
+    from: item.source,
+    to: item.target,
+    status: Number(item.status_code) || 301,
+    source: 'directus'
+  }));
+}
+
+/**
+ * Every rule, Directus first, compiled for findRedirect.
+ * Runs on every SSR request, so the rules are loaded and compiled once per cache TTL,
+ * even when the collection is missing or Directus is down.
+ */
+export const loadRedirectRules = cacheLookup(['redirects'], async () => {
+  const directusRules = await fetchDirectusRedirects();
+  const fileRules = LEGACY_REDIRECTS.map(rule => ({ ...rule, source: 'file' }));
+  return compileRedirectRules([...directusRules, ...fileRules]);
+});
+
+const ruleHits = new Map();
+
+const ruleKey = (rule) => `${rule.source || 'file'}:${rule.match}:${rule.from}`;
+
+/**
+ * Forget rule hits
+ */
+export function clearRedirectStats() {
+  ruleHits.clear();
+}
+
+/**
+ * Data for /redirect-report: every rule with its hits since the server started,
+ * rules that can't be used, and the most-hit paths from the 404 log
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Unmatched paths to list
+ */
+export async function buildRedirectReport({ limit = 100 } = {}) {
+  const [compiled] = await Promise.all([loadRedirectRules(), loadNotFoundLog()]);
+  const rules = [...compiled.exact.values(), ...compiled.prefix, ...compiled.regex]
+    .map(rule => ({
+      source: rule.source || 'file',
+      match: rule.match,
+      from: rule.from,
+      to: rule.to,
+      status: rule.status,
+      hits: ruleHits.get(ruleKey(rule)) || 0
+    }))
+    .sort((a, b) => b.hits - a.hits);
+
+  return {
+    rules,
+    invalid: compiled.invalid,
+    unmatched: listNotFound({ limit })
+  };
+}
+
+// Pages answer a missing item with a 404 status or a redirect to /404
+function isNotFound(response) {
+  if (response.status === 404) return true;
+  const location = response.headers.get('location') || '';
+  return response.status >= 300 && response.status < 400 && /^(?:https?:\/\/[^/]+)?\/404\/?$/.test(location);
+}
+
+/**
+ * Middleware: redirect legacy paths, and count the 404s no rule covers.
+ * Redirects to /404 gain `?from=<path>` for the 404 page's suggestions.
+ * `?old=1` skips the redirect so reference links can still reach the old path.
+ * @param {{request: Request, url: URL, isPrerendered?: boolean}} context
+ * @param {() => Promise<Response>} next
+ */
+export async function handleLegacyRedirects(context, next) {
+  const { request, url } = context;
+  if (context.isPrerendered || !['GET', 'HEAD'].includes(request.method)) {
+    return next();
+  }
+
+  if (url.searchParams.get('old') !== '1') {
+    const redirect = findRedirect(await loadRedirectRules(), url.pathname);
+    if (redirect) {
+      ruleHits.set(ruleKey(redirect.rule), (ruleHits.get(ruleKey(redirect.rule)) || 0) + 1);
+      return new Response(null, {
+        status: redirect.status,
+        headers: { Location: redirect.location }
+      });
+    }
+  }
+
+  const response = await next();
+  if (isNotFound(response) && url.pathname !== '/404') {
+    recordNotFound(normalizePath(url.pathname), { referrer: request.headers.get('referer'), origin: url.origin });
+
+    // Tell /404 which path wasn't found so it can suggest pages
+    if (response.status !== 404) {
+      const headers = new Headers(response.headers);
+      headers.set('Location', `/404?from=${encodeURIComponent(url.pathname)}`);
+      return new Response(null, { status: response.status, headers });
+    }
+  }
+  return response;
+}
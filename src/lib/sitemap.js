@@ -0,0 +1,236 @@
+// src/lib/sitemap.js
+// /sitemap.xml and /robots.txt. The sitemap lists the pages in src/pages: static
+// routes as they are, dynamic ones once per item the fetcher behind them returns,
+// with <lastmod> from date_updated.
+// Past SITEMAP_MAX_URLS it becomes a sitemap index over /sitemap-<n>.xml pages.
+import { isDirectusUnavailable, unavailableResponse } from './api_client.js';
+import { toPageRoute } from './page-routes.js';
+import { fetchAllStaffSlugs } from './api_staff.js';
+import { fetchAllNewsSlugs, fetchNewsYears } from './api_news.js';
+import { fetchAllLabSlugs } from './api_labs.js';
+import { fetchAllProjectSlugs } from './api_projects.js';
+import { fetchAllFundingIds } from './api_funding.js';
+import { fetchAllInternYears } from './api_intern.js';
+import { fetchAllPageSlugs, fetchAllResearchSlugs } from './api_search_content.js';
+import { fetchAllLocationSlugs } from './api_locations.js';
+import { fetchAllPublicationIds } from './api_publications.js';
+import { fetchPublishedAreas, getAreaSlug } from './areas.js';
+import { listPublicationCollections } from './collections/index.js';
+
+const env = import.meta.env || {};
+
+// The sitemap protocol's limit per file
+export const SITEMAP_MAX_URLS = 50000;
+
+// Pages left out: the 404 page, editor reports, digital displays, scroll/kiosk
+// views, unused drafts and pages that only redirect
+export const SITEMAP_EXCLUDED_ROUTES = [
+  '/404',
+  '/broken-link-report',
+  '/intern/faq_unused',
+  '/news/news-digital-display',
+  '/news/news-digital-display-no-fb',
+  '/pubs/coal',
+  '/pubs/taxonomy-report',
+  '/redirect-report',
+  '/staff/digital-directory',
+  '/staff/staff_scroll'
+];
+
+/**
+ * Items behind the dynamic routes, from the fetchers their pages use. A source
+ * covers its routes and the pages below them (/labs/[slug] includes
+ * /labs/[slug]/projects); param gives the value for the route parameter.
+ * Locations have no page of their own; they date /about/locations.
+ * Dynamic routes without a source are left out.
+ */
+const SITEMAP_SOURCES = [
+  { routes: ['/staff/[slug]'], fetch: fetchAllStaffSlugs, param: item => item.slug },
+  { routes: ['/news/[slug]'], fetch: fetchAllNewsSlugs, param: item => item.slug },
+  { routes: ['/news/archive/[year]'], fetch: fetchNewsYears, param: year => year },
+  { routes: ['/labs/[slug]'], fetch: fetchAllLabSlugs, param: item => item.slug },
+  { routes: ['/labs/projects/[slug]'], fetch: fetchAllProjectSlugs, param: item => item.slug },
+  { routes: ['/funding/[id]'], fetch: fetchAllFundingIds, param: item => item.id },
+  { routes: ['/research/[slug]'], fetch: fetchAllResearchSlugs, param: item => item.slug },
+  { routes: ['/intern/[year]'], fetch: fetchAllInternYears, param: item => item.program_year },
+  { routes: ['/[slug]', '/about/[slug]'], fetch: fetchAllPageSlugs, param: item => item.slug },
+  { routes: ['/pubs/[id]'], fetch: fetchAllPublicationIds, param: item => item.id },
+  { routes: ['/pubs/collections/[key]'], fetch: async () => listPublicationCollections(), param: item => item.key },
+  { routes: ['/pubs/area/[slug]'], fetch: fetchPublishedAreas, param: getAreaSlug },
+  { routes: ['/about/locations'], fetch: fetchAllLocationSlugs, param: item => item.slug }
+];
+
+/**
+ * Routes of the pages (not endpoints) in src/pages, as Vite sees them. Outside
+ * Vite (scripts/check-links.js) pass listPageRoutes(..., { endpoints: false }) instead.
+ * @returns {string[]}
+ */
+export function listSitemapPageRoutes() {
+  return Object.keys(import.meta.glob('../pages/**/*.{astro,md,mdx,html}'))
+    .map(file => toPageRoute(file.replace(/^\.\.\/pages\//, ''), { endpoints: false }))
+    .filter(route => route !== null);
+}
+
+// Latest of two ISO timestamps (either may be null)
+const latest = (a, b) => (!a || (b && b > a) ? b : a);
+
+function toLastmod(item) {
+  const value = item?.date_updated || item?.date_created;
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+// The source for a route, if the route is one of its routes or below one
+const findSource = (route) => SITEMAP_SOURCES.find(source => (
+  source.routes.some(sourceRoute => route === sourceRoute || route.startsWith(`${sourceRoute}/`))
+));
+
+/**
+ * Every sitemap entry: static pages in path order, then each source's pages.
+ * Paths listed more than once keep the latest lastmod.
+ * @param {string[]} [routes] - Page routes (defaults to listSitemapPageRoutes())
+ * @returns {Promise<Array<{path: string, lastmod: string|null}>>}
+ * @throws {DirectusUnavailableError} When Directus or the publications database is down and nothing is cached
+ */
+export async function fetchSitemapEntries(routes = listSitemapPageRoutes()) {
+  const included = routes.filter(route => !SITEMAP_EXCLUDED_ROUTES.includes(route));
+  const results = await Promise.all(SITEMAP_SOURCES.map(source => source.fetch()));
+
+  const entries = new Map(included.filter(route => !route.includes('[')).sort().map(route => [route, null]));
+  SITEMAP_SOURCES.forEach((source, index) => {
+    const sourceRoutes = included.filter(route => findSource(route) === source).sort();
+    results[index].forEach(item => {
+      const value = source.param(item);
+      if (value == null || value === '') return;
+      sourceRoutes.forEach(route => {
+        const path = route.replace(/\[[^\]]+\]/, encodeURIComponent(String(value)));
+        entries.set(path, latest(entries.get(path) ?? null, toLastmod(item)));
+      });
+    });
+  });
+
+  return Array.from(entries, ([path, lastmod]) => ({ path, lastmod }));
+}
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Write entries as a <urlset>
+ * @param {Array<{path: string, lastmod: string|null}>} entries
+ * @param {string} siteUrl - Absolute site origin
+ */
+export function toSitemapXml(entries, siteUrl) {
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">'];
+  entries.forEach(entry => {
+    lines.push('  <url>', `    <loc>${escapeXml(`${siteUrl}${entry.path}`)}</loc>`);
+    if (entry.lastmod) lines.push(`    <lastmod>${entry.lastmod}</lastmod>`);
+    lines.push('  </url>');
+  });
+  lines.push('</urlset>', '');
+  return lines.join('\n');
+}
+
+/**
+ * Split entries into sitemap pages
+ * @returns {Array<Array<{path: string, lastmod: string|null}>>}
+ */
+export function paginateSitemap(entries, size = SITEMAP_MAX_URLS) {
+  const pages = [];
+  for (let start = 0; start < entries.length; start += size) {
+    pages.push(entries.slice(start, start + size));
+  }
+  return pages;
+}
+
+/**
+ * Write a <sitemapindex> over /sitemap-<n>.xml pages
+ * @param {Array<Array<{path: string, lastmod: string|null}>>} pages - From paginateSitemap
+ * @param {string} siteUrl - Absolute site origin
+ */
+export function toSitemapIndexXml(pages, siteUrl) {
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">'];
+  pages.forEach((page, index) => {
+    const lastmod = page.reduce((result, entry) => latest(result, entry.lastmod), null);
+    lines.push('  <sitemap>', `    <loc>${escapeXml(`${siteUrl}${getSitemapPageUrl(index + 1)}`)}</loc>`);
+    if (lastmod) lines.push(`    <lastmod>${lastmod}</lastmod>`);
+    lines.push('  </sitemap>');
+  });
+  lines.push('</sitemapindex>', '');
+  return lines.join('\n');
+}
+
+/**
+ * URL of one page of a split sitemap (1-based)
+ */
+export function getSitemapPageUrl(page) {
+  return `/sitemap-${page}.xml`;
+}
+
+function getSiteUrl(url) {
+  return (env.PUBLIC_SITE_URL || url.origin).replace(/\/$/, '');
+}
+
+function xmlResponse(body) {
+  return new Response(body, {
+    status: 200,
+    headers: {
+      'Content-Type': 'application/xml; charset=utf-8',
+      'Cache-Control': 'public, max-age=3600'
+    }
+  });
+}
+
+/**
+ * Response for /sitemap.xml (page null) or /sitemap-<page>.xml
+ * @param {URL} url - Request URL (the site origin when PUBLIC_SITE_URL isn't set)
+ * @param {Object} [options]
+ * @param {number|null} [options.page] - 1-based page of a split sitemap
+ * @param {number} [options.size] - URLs per sitemap file
+ * @returns {Promise<Response>} 404 for pages that don't exist, 503 while Directus is down
+ */
+export async function createSitemapResponse(url, { page = null, size = SITEMAP_MAX_URLS } = {}) {
+  let entries;
+  try {
+    entries = await fetchSitemapEntries();
+  } catch (error) {
+    if (!isDirectusUnavailable(error)) throw error;
+    return unavailableResponse('Sitemap is temporarily unavailable');
+  }
+
+  const siteUrl = getSiteUrl(url);
+  const pages = paginateSitemap(entries, size);
+
+  if (page === null) {
+    return xmlResponse(pages.length > 1 ? toSitemapIndexXml(pages, siteUrl) : toSitemapXml(entries, siteUrl));
+  }
+  // Numbered pages only exist once the sitemap is split
+  if (pages.length < 2 || !Number.isInteger(page) || page < 1 || page > pages.length) {
+    return new Response('Sitemap not found', { status: 404 });
+  }
+  return xmlResponse(toSitemapXml(pages[page - 1], siteUrl));
+}
+
+/**
+ * robots.txt: points crawlers at the sitemap and keeps them off preview
+ * (?preview=true) URLs, the API and editor reports
+ * @param {URL} url - Request URL
+ */
+export function toRobotsTxt(url) {
+  return [
+    'User-agent: *',
+    'Disallow: /*?preview=',
+    'Disallow: /*&preview=',
+    'Disallow: /api/',
+    'Disallow: /pubs/taxonomy-report',
+    'Disallow: /redirect-report',
+    'Disallow: /broken-link-report',
+    '',
+    `Sitemap: ${getSiteUrl(url)}/sitemap.xml`,
+    ''
+  ].join('\n');
+}
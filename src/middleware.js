@@ -0,0 +1,7 @@
+// src/middleware.js
+// Runs on every server-rendered request: legacy URL redirects (src/lib/redirects.js)
+import { handleLegacyRedirects } from './lib/redirects.js';
+
+export function onRequest(context, next) {
+  return handleLegacyRedirects(context, next);
+}
@@ -0,0 +1,79 @@
+// src/pages/api/citations.js
+// Citation export for one or more publications.
+//
+// GET /api/citations?ids=101,102&format=bibtex|ris|csl-json&source=publications|lab
+//   source=publications (default) - the publications database (fact sheets, annual reports, collections)
+//   source=lab                     - lab publications in the main Directus
+//   200 the citations as a download
+//   400 { error } - missing ids, too many ids or an unknown format/source
+//   404 { error } - none of the publications were found
+//   503 - the publications database or Directus is down
+
+import { fetchPublicationsByIds } from '../../lib/api_publications.js';
+import { fetchLabPublicationsByIds } from '../../lib/api_labs.js';
+import { isDirectusUnavailable, unavailableResponse } from '../../lib/api_client.js';
+import { CITATION_FORMATS, toCitationItem, formatCitations } from '../../lib/citations.js';
+
+export const prerender = false;
+
+// Keeps a bulk export to a handful of publications database requests
+const MAX_IDS = 1000;
+
+const FETCHERS = {
+  publications: fetchPublicationsByIds,
+  lab: fetchLabPublicationsByIds
+};
+
+function jsonError(message, status) {
+  return new Response(JSON.stringify({ error: message }), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+export async function GET({ url }) {
+  const format = url.searchParams.get('format') || 'bibtex';
+  const source = url.searchParams.get('source') || 'publications';
+  const ids = Array.from(new Set(
+    (url.searchParams.get('ids') || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(id => /^\d+$/.test(id))
+  ));
+
+  if (!CITATION_FORMATS[format]) {
+    return jsonError(`Unknown format "${format}". Use one of: ${Object.keys(CITATION_FORMATS).join(', ')}`, 400);
+  }
+  if (!FETCHERS[source]) {
+    return jsonError(`Unknown source "${source}". Use one of: ${Object.keys(FETCHERS).join(', ')}`, 400);
+  }
+  if (ids.length === 0) {
+    return jsonError('No publication ids given', 400);
+  }
+  if (ids.length > MAX_IDS) {
+    return jsonError(`At most ${MAX_IDS} publications can be exported at once`, 400);
+  }
+
+  let publications;
+  try {
+    publications = await FETCHERS[source](ids);
+  } catch (error) {
+    if (!isDirectusUnavailable(error)) throw error;
+    return unavailableResponse('Citations are temporarily unavailable');
+  }
+  if (publications.length === 0) {
+    return jsonError('No matching publications found', 404);
+  }
+
+  const { contentType, extension } = CITATION_FORMATS[format];
+  const filename = ids.length === 1 ? `kgs-publication-${ids[0]}.${extension}` : `kgs-citations.${extension}`;
+
+  return new Response(formatCitations(publications.map(toCitationItem), format), {
+    status: 200,
+    headers: {
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'public, max-age=3600'
+    }
+  });
+}
@@ -0,0 +1,23 @@
+// src/pages/api/health.js
+// Health of the site's dependencies for monitoring and the digital displays.
+//
+// GET /api/health
+//   200 { status: 'ok' | 'degraded', ... } - pages render (degraded: publications,
+//       Pagefind or the search index need attention)
+//   503 { status: 'down', ... }            - the main Directus is unreachable
+
+import { getHealthReport } from '../../lib/api_health';
+
+export const prerender = false;
+
+export async function GET() {
+  const report = await getHealthReport();
+
+  return new Response(JSON.stringify(report), {
+    status: report.status === 'down' ? 503 : 200,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
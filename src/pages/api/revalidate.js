@@ -0,0 +1,116 @@
+// src/pages/api/revalidate.js
+// Webhook target for a Directus flow: purges cached Directus responses for the
+// collections that changed so editors see their updates on the next page load.
+//
+// POST /api/revalidate
+//   Authorization: Bearer <REVALIDATE_SECRET>
+//   Body: the flow's trigger data ({ "collection": "articles", "keys": [...] }),
+//         { "collections": ["staff", "team"] } or { "all": true }
+
+import { timingSafeEqual } from 'node:crypto';
+import { invalidateCollections, clearAllCaches } from '../../lib/api_client';
+
+export const prerender = false;
+
+// Collections read through deep fields of other collections
+// (e.g. staff queries include department_id.name), so a change to the key
+// also has to purge the listed collections. Junctions named after a
+// collection (articles_staff, labs_staff, funding_staff) are purged with it
+// by invalidateCollections, so they only need listing here when the
+// collection reaches them through another relation.
+const DEPENDENT_COLLECTIONS = {
+  departments: ['staff'],
+  division: ['team', 'staff'],
+  research: ['team', 'staff'],
+  team: ['staff'],
+  staff: ['articles', 'labs', 'lab_projects'],
+  locations: ['labs'],
+  labs: ['lab_projects'],
+  labs_lab_projects: ['lab_projects'],
+  funding: ['lab_projects'],
+  funding_agencies: ['funding', 'lab_projects'],
+  lab_projects_funding: ['lab_projects'],
+  lab_projects_files: ['lab_projects'],
+  directus_files: ['articles'],
+  publication_categories: ['publication_category_rules']
+};
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+/**
+ * Compare the request's token against REVALIDATE_SECRET in constant time
+ */
+function isAuthorized(request, secret) {
+  const header = request.headers.get('authorization') || '';
+  const token = header.startsWith('Bearer ')
+    ? header.slice('Bearer '.length)
+    : request.headers.get('x-revalidate-secret') || '';
+
+  const expected = Buffer.from(secret);
+  const received = Buffer.from(token);
+  return received.length === expected.length && timingSafeEqual(received, expected);
+}
+
+/**
+ * Expand the changed collections with the collections that embed them
+ */
+function withDependents(collections) {
+  const expanded = new Set(collections);
+  collections.forEach(collection => {
+    (DEPENDENT_COLLECTIONS[collection] || []).forEach(dependent => expanded.add(dependent));
+  });
+  return Array.from(expanded);
+}
+
+export async function POST({ request }) {
+  const secret = import.meta.env.REVALIDATE_SECRET;
+
+  if (!secret) {
+    return jsonResponse({ error: 'Revalidation is not configured' }, 503);
+  }
+
+  if (!isAuthorized(request, secret)) {
+    return jsonResponse({ error: 'Unauthorized' }, 401);
+  }
+
+  let payload = {};
+  try {
+    payload = await request.json();
+  } catch (error) {
+    return jsonResponse({ error: 'Request body must be JSON' }, 400);
+  }
+
+  if (payload.all === true) {
+    clearAllCaches();
+    console.log('Revalidate: cleared all cached Directus responses');
+    return jsonResponse({ revalidated: true, all: true });
+  }
+
+  const changed = [
+    ...(Array.isArray(payload.collections) ? payload.collections : []),
+    ...(payload.collection ? [payload.collection] : [])
+  ].filter(collection => typeof collection === 'string' && collection.length > 0);
+
+  if (changed.length === 0) {
+    return jsonResponse({ error: 'Specify "collection", "collections" or "all"' }, 400);
+  }
+
+  const collections = withDependents(changed);
+  const purged = invalidateCollections(collections);
+
+  console.log(`Revalidate: purged ${purged} cached responses for ${collections.join(', ')}`);
+
+  return jsonResponse({
+    revalidated: true,
+    collections,
+    purged
+  });
+}
@@ -17,6 +17,8 @@ import {
 } from '../../lib/api_search_content';
 import { fetchAllAnnualReports } from '../../lib/api_annual-reports';
 import { fetchAllFactsheets } from '../../lib/api_factsheets';
+import { getPublicationUrl } from '../../lib/api_publications.js';
+import { formatEasternDate } from '../../utils/dates.js';
 
 export async function GET() {
   const searchIndex = [];
@@ -290,11 +292,7 @@ export async function GET() {
         type: 'news',
         category: 'News',
         subtitle: article.publication_date 
-          ? `Published: ${new Date(article.publication_date).toLocaleDateString('en-US', { 
-              year: 'numeric', 
-              month: 'long', 
-              day: 'numeric' 
-            })}`
+          ? `Published: ${formatEasternDate(article.publication_date)}`
           : null,
         image: article.tile_image || article.main_image || null,
         // Add these for better filtering if needed
@@ -312,7 +310,7 @@ export async function GET() {
     annualReports.forEach(report => {
       searchIndex.push({
         title: report.title,
-        url: `/pubs/annual-reports#report-${report.id || report.slug}`, // Add unique anchor
+        url: getPublicationUrl(report.id),
         content: [
           report.title,
           report.author_id?.map(a => `${a.authors_id.first_name} ${a.authors_id.last_name}`).join(' ') || '',
@@ -335,7 +333,7 @@ export async function GET() {
     factsheets.forEach(sheet => {
       searchIndex.push({
         title: sheet.title,
-        url: `/pubs/factsheets#fact-${sheet.id || sheet.slug}`, // Add unique anchor
+        url: getPublicationUrl(sheet.id),
         content: [
           sheet.title,
           sheet.author || '',
@@ -344,7 +342,7 @@ export async function GET() {
         ].join(' '),
         type: 'factsheet',
         category: 'Fact Sheets',
-        subtitle: `Fact Sheet ${sheet.series_number || ''}`,
+        subtitle: `Fact Sheet ${sheet.series_number || ''}${sheet.supersededByReference ? ' (superseded edition)' : ''}`,
         image: sheet.tile_image || null
       });
     });
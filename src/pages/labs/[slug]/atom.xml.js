@@ -0,0 +1,9 @@
+// src/pages/labs/[slug]/atom.xml.js
+// Atom feed of a lab's news (see src/lib/feeds.js)
+import { createLabFeedResponse } from '../../../lib/feeds.js';
+
+export const prerender = false;
+
+export async function GET({ params, url }) {
+  return createLabFeedResponse(params.slug, 'atom', url);
+}
@@ -0,0 +1,10 @@
+// src/pages/news/[category]/feed.xml.js
+// RSS 2.0 feed of one news category: press-releases, research or events (see NEWS_FEEDS in src/lib/feeds.js)
+import { createNewsFeedResponse } from '../../../lib/feeds.js';
+
+export const prerender = false;
+
+export async function GET({ params, url }) {
+  // 'all' is served at /news/feed.xml
+  return createNewsFeedResponse(params.category === 'all' ? null : params.category, 'rss', url);
+}
@@ -0,0 +1,35 @@
+// src/pages/news/[slug].ics.js
+// "Add to calendar" download for one event article (see src/lib/calendar.js)
+import { fetchNewsBySlug } from '../../lib/api_news.js';
+import { isDirectusUnavailable, unavailableResponse } from '../../lib/api_client.js';
+import { toCalendarEvent, toICS } from '../../lib/calendar.js';
+
+export const prerender = false;
+
+export async function GET({ params, url }) {
+  const siteUrl = (import.meta.env.PUBLIC_SITE_URL || url.origin).replace(/\/$/, '');
+
+  let article;
+  try {
+    article = await fetchNewsBySlug(params.slug);
+  } catch (error) {
+    if (!isDirectusUnavailable(error)) throw error;
+    // A 404 would tell calendar apps the event is gone
+    return unavailableResponse('Events are temporarily unavailable');
+  }
+
+  const event = article?.category === 'event' ? toCalendarEvent(article, { siteUrl }) : null;
+
+  if (!event) {
+    return new Response('Event not found', { status: 404 });
+  }
+
+  return new Response(toICS([event], { name: event.title }), {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${params.slug}.ics"`,
+      'Cache-Control': 'public, max-age=900'
+    }
+  });
+}
@@ -0,0 +1,36 @@
+// src/pages/news/events.ics.js
+// Subscribable iCalendar feed of upcoming events (see src/lib/calendar.js)
+import { fetchRecentNews } from '../../lib/api_news.js';
+import { isDirectusUnavailable, unavailableResponse } from '../../lib/api_client.js';
+import { toCalendarEvent, toICS } from '../../lib/calendar.js';
+
+export const prerender = false;
+
+// Upcoming events included in the feed
+const EVENT_LIMIT = 100;
+
+export async function GET({ url }) {
+  const siteUrl = (import.meta.env.PUBLIC_SITE_URL || url.origin).replace(/\/$/, '');
+
+  let articles;
+  try {
+    ({ articles } = await fetchRecentNews(EVENT_LIMIT, 1, 'event'));
+  } catch (error) {
+    if (!isDirectusUnavailable(error)) throw error;
+    // An empty calendar would remove every event from subscribers' calendars
+    return unavailableResponse('Events are temporarily unavailable');
+  }
+
+  const events = articles
+    .map(article => toCalendarEvent(article, { siteUrl }))
+    .filter(Boolean);
+
+  return new Response(toICS(events), {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="kgs-events.ics"',
+      'Cache-Control': 'public, max-age=900'
+    }
+  });
+}
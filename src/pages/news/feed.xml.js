@@ -0,0 +1,9 @@
+// src/pages/news/feed.xml.js
+// RSS 2.0 feed of all news (see src/lib/feeds.js)
+import { createNewsFeedResponse } from '../../lib/feeds.js';
+
+export const prerender = false;
+
+export async function GET({ url }) {
+  return createNewsFeedResponse('all', 'rss', url);
+}
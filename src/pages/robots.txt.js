@@ -0,0 +1,13 @@
+// src/pages/robots.txt.js
+import { toRobotsTxt } from '../lib/sitemap.js';
+
+export const prerender = false;
+
+export function GET({ url }) {
+  return new Response(toRobotsTxt(url), {
+    headers: {
+      'Content-Type': 'text/plain; charset=utf-8',
+      'Cache-Control': 'public, max-age=86400'
+    }
+  });
+}
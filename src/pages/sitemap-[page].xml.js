@@ -0,0 +1,10 @@
+// src/pages/sitemap-[page].xml.js
+// One page of a sitemap split by /sitemap.xml's index
+import { createSitemapResponse } from '../lib/sitemap.js';
+
+export const prerender = false;
+
+export async function GET({ params, url }) {
+  const page = /^\d+$/.test(params.page || '') ? Number(params.page) : NaN;
+  return createSitemapResponse(url, { page });
+}
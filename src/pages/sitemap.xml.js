@@ -0,0 +1,9 @@
+// src/pages/sitemap.xml.js
+// Sitemap, or a sitemap index once it outgrows one file (see src/lib/sitemap.js)
+import { createSitemapResponse } from '../lib/sitemap.js';
+
+export const prerender = false;
+
+export async function GET({ url }) {
+  return createSitemapResponse(url);
+}
@@ -0,0 +1,173 @@
+// src/utils/dates.js
+// Dates in Kentucky time. Directus stores dates ("2025-06-01") and datetimes
+// ("2025-06-01T09:00:00") without an offset, as America/New_York wall-clock
+// values, so comparisons and formatting go through that timezone instead of the
+// server's (UTC in production) or the build machine's.
+
+export const SITE_TIMEZONE = 'America/New_York';
+
+const easternParts = new Intl.DateTimeFormat('en-US', {
+  timeZone: SITE_TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  hourCycle: 'h23'
+});
+
+export const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'];
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Read a Directus date or datetime as an Eastern wall-clock time
+ * @param {string|Date} value - "2025-06-01", "2025-06-01T09:00:00", an ISO timestamp with an offset, or a Date
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, allDay: boolean}|null}
+ */
+export function parseEasternTime(value) {
+  if (!value) return null;
+
+  if (!(value instanceof Date)) {
+    const local = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?$/);
+    if (local) {
+      const [, year, month, day, hour, minute, second] = local;
+      return {
+        year: Number(year),
+        month: Number(month),
+        day: Number(day),
+        hour: Number(hour || 0),
+        minute: Number(minute || 0),
+        second: Number(second || 0),
+        allDay: hour === undefined
+      };
+    }
+  }
+
+  // Instants (Dates and timestamps with an offset) are converted to Eastern time
+  const date = value instanceof Date ? value : new Date(String(value).trim());
+  if (Number.isNaN(date.getTime())) return null;
+  const parts = Object.fromEntries(easternParts.formatToParts(date).map(part => [part.type, Number(part.value)]));
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second, allDay: false };
+}
+
+const wallClockMs = (time) => Date.UTC(time.year, time.month - 1, time.day, time.hour, time.minute, time.second);
+
+/**
+ * The UTC instant of an Eastern wall-clock time, accounting for daylight saving
+ * @returns {Date}
+ */
+export function easternToUtc(time) {
+  const guess = wallClockMs(time);
+  const offsetAt = (ms) => wallClockMs(parseEasternTime(new Date(ms))) - ms;
+  // Re-check the offset at the first estimate so times near a DST change land right
+  const firstOffset = offsetAt(guess);
+  return new Date(guess - offsetAt(guess - firstOffset));
+}
+
+/**
+ * The Eastern calendar date of a value as "YYYY-MM-DD", the form Directus filters compare against
+ * @returns {string|null}
+ */
+export function toEasternDateString(value) {
+  const time = parseEasternTime(value);
+  return time ? `${time.year}-${pad(time.month)}-${pad(time.day)}` : null;
+}
+
+/**
+ * Today's date in Kentucky as "YYYY-MM-DD"
+ */
+export function easternToday(now = new Date()) {
+  return toEasternDateString(now);
+}
+
+/**
+ * The Eastern calendar year of a value (the current year by default)
+ * @returns {number|null}
+ */
+export function getEasternYear(value = new Date()) {
+  return parseEasternTime(value)?.year ?? null;
+}
+
+/**
+ * The Eastern calendar month of a value, 1-12
+ * @returns {number|null}
+ */
+export function getEasternMonth(value) {
+  return parseEasternTime(value)?.month ?? null;
+}
+
+/**
+ * Whether a date fell before today in Kentucky. A date (or a datetime on a day)
+ * that is today still counts as current until midnight Eastern.
+ */
+export function isPastDate(value, now = new Date()) {
+  const date = toEasternDateString(value);
+  return Boolean(date) && date < easternToday(now);
+}
+
+/**
+ * Whether two values fall on the same Eastern calendar day
+ */
+export function isSameEasternDay(a, b) {
+  const first = toEasternDateString(a);
+  return Boolean(first) && first === toEasternDateString(b);
+}
+
+// Instant used for Intl formatting; date-only values become midnight Eastern
+function toInstant(value) {
+  const time = parseEasternTime(value);
+  return time ? easternToUtc(time) : null;
+}
+
+/**
+ * Format a date in Kentucky time, "June 1, 2025" by default
+ * @param {string|Date} value
+ * @param {Intl.DateTimeFormatOptions} [options]
+ */
+export function formatEasternDate(value, options = { year: 'numeric', month: 'long', day: 'numeric' }) {
+  const instant = toInstant(value);
+  return instant ? instant.toLocaleDateString('en-US', { ...options, timeZone: SITE_TIMEZONE }) : '';
+}
+
+/**
+ * Format a datetime's time of day in Kentucky time, "9:00 AM"; empty for date-only values
+ */
+export function formatEasternTime(value) {
+  const time = parseEasternTime(value);
+  if (!time || time.allDay) return '';
+  return easternToUtc(time).toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true,
+    timeZone: SITE_TIMEZONE
+  });
+}
+
+/**
+ * Format a date range compactly: "June 1, 2025", "June 1–3, 2025",
+ * "June 30 – July 2, 2025" or "December 30, 2025 – January 2, 2026"
+ */
+export function formatDateRange(startDate, endDate) {
+  const start = parseEasternTime(startDate);
+  if (!start) return '';
+
+  const startMonth = MONTH_NAMES[start.month - 1];
+  const end = parseEasternTime(endDate);
+
+  // No end date or the same day: just the start date
+  if (!end || isSameEasternDay(startDate, endDate)) {
+    return `${startMonth} ${start.day}, ${start.year}`;
+  }
+
+  const endMonth = MONTH_NAMES[end.month - 1];
+  if (start.year === end.year && start.month === end.month) {
+    return `${startMonth} ${start.day}–${end.day}, ${start.year}`;
+  }
+  if (start.year === end.year) {
+    return `${startMonth} ${start.day} – ${endMonth} ${end.day}, ${start.year}`;
+  }
+  return `${startMonth} ${start.day}, ${start.year} – ${endMonth} ${end.day}, ${end.year}`;
+}
@@ -0,0 +1,28 @@
+// src/utils/editorAccess.js
+// Gate for editor-only report pages. Editors open them with ?key=<EDITOR_REPORT_SECRET>
+// (or send it as a Bearer token); without the secret configured they stay closed.
+import { timingSafeEqual } from 'node:crypto';
+
+/**
+ * Check whether a request carries the editor report secret
+ */
+export function hasEditorAccess(request, secret = import.meta.env.EDITOR_REPORT_SECRET) {
+  if (!secret || !request) {
+    return false;
+  }
+
+  const header = request.headers.get('authorization') || '';
+  let token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '';
+
+  if (!token) {
+    try {
+      token = new URL(request.url).searchParams.get('key') || '';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  const expected = Buffer.from(secret);
+  const received = Buffer.from(token);
+  return received.length === expected.length && timingSafeEqual(received, expected);
+}
@@ -0,0 +1,58 @@
+// tests/helpers/mockDirectus.js
+import { beforeAll, afterAll, vi } from 'vitest';
+import { createMockDirectusServer } from '../../scripts/mock-directus.js';
+import { clearAllCaches } from '../../src/lib/api_client.js';
+
+export const FIXTURES_DIR = new URL('../../fixtures/directus', import.meta.url).pathname;
+
+/**
+ * Run the mock Directus server for the current test file.
+ * Returns controls to take it down mid-test and simulate an outage.
+ */
+export function useMockDirectus() {
+  const { port } = new URL(process.env.PUBLIC_DIRECTUS_URL);
+  let server = null;
+
+  async function start() {
+    if (server) return;
+    server = createMockDirectusServer({ fixturesDir: FIXTURES_DIR });
+    await new Promise(resolve => server.listen(Number(port), '127.0.0.1', resolve));
+  }
+
+  async function stop() {
+    if (!server) return;
+    const closing = server;
+    server = null;
+    closing.closeAllConnections();
+    await new Promise(resolve => closing.close(resolve));
+    // Let the client notice its pooled keep-alive sockets were closed
+    await new Promise(resolve => setTimeout(resolve, 20));
+    clearAllCaches();
+  }
+
+  /**
+   * Run `fn` while the server is down (fetchers log their fallbacks, so the console is muted)
+   */
+  async function withDirectusDown(fn) {
+    const muted = ['error', 'warn'].map(level => vi.spyOn(console, level).mockImplementation(() => {}));
+    await stop();
+    try {
+      return await fn();
+    } finally {
+      muted.forEach(spy => spy.mockRestore());
+      await start();
+    }
+  }
+
+  beforeAll(start);
+  afterAll(stop);
+
+  return { start, stop, withDirectusDown };
+}
+
+/**
+ * Build a request the way Astro passes it to fetchers (for preview mode)
+ */
+export function previewRequest(path = '/') {
+  return new Request(`http://localhost${path}${path.includes('?') ? '&' : '?'}preview=true`);
+}
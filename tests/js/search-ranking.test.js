@@ -0,0 +1,130 @@
+// tests/js/search-ranking.test.js
+// Site search ranking and merging with Pagefind
+import { describe, it, expect } from 'vitest';
+import {
+  tokenize,
+  tokenizeQuery,
+  editDistance,
+  createSearchEngine,
+  mergeRankedResults
+} from '../../src/js/search-ranking.js';
+
+const entries = [
+  {
+    title: 'Maria Garcia',
+    url: '/staff/maria-garcia',
+    content: 'Maria Garcia Hydrogeologist Water Resources <p>Maria studies karst groundwater and springs, and groundwater quality.</p>',
+    category: 'Staff Directory'
+  },
+  {
+    title: 'John Smith',
+    url: '/staff/john-smith',
+    content: 'John Smith Geologist Geologic Mapping Maps landslides in eastern Kentucky. Some groundwater work.',
+    category: 'Staff Directory'
+  },
+  {
+    title: 'Groundwater Monitoring Network',
+    url: '/monitoring#groundwater',
+    content: 'Groundwater Monitoring Network Water levels in wells across the state.',
+    category: 'Monitoring Networks'
+  },
+  {
+    title: 'Earthquake Workshop',
+    url: '/news/earthquake-workshop',
+    content: 'Earthquake Workshop Held in Henderson for emergency managers.',
+    subtitle: 'Published: March 3, 2025',
+    category: 'News'
+  },
+  {
+    title: 'Geology of Kentucky',
+    url: '/geology-of-kentucky',
+    content: 'Geology of Kentucky An overview of the rocks of the state.',
+    category: 'Information'
+  },
+  {
+    title: 'Kentucky Geology Field Day',
+    url: '/news/geology-field-day',
+    content: 'Annual geology field day in Kentucky for students.',
+    category: 'News'
+  }
+];
+
+const engine = createSearchEngine(entries);
+const urls = (query, options) => engine.search(query, options).map(result => result.entry.url);
+
+describe('tokenize', () => {
+  it('lowercases, strips tags and accents, and splits on punctuation', () => {
+    expect(tokenize('<p>Karst-Groundwater in Pérez County</p>')).toEqual(['karst', 'groundwater', 'in', 'perez', 'county']);
+  });
+
+  it('drops stop words from queries unless nothing else is left', () => {
+    expect(tokenizeQuery('the geology of Kentucky')).toEqual(['geology', 'kentucky']);
+    expect(tokenizeQuery('The The')).toEqual(['the']);
+  });
+});
+
+describe('editDistance', () => {
+  it('stops counting past the limit', () => {
+    expect(editDistance('grondwater', 'groundwater', 2)).toBe(1);
+    expect(editDistance('karst', 'coal', 1)).toBe(2);
+  });
+});
+
+describe('search', () => {
+  it('ranks title matches above passing mentions', () => {
+    expect(urls('groundwater')).toEqual(['/monitoring#groundwater', '/staff/maria-garcia', '/staff/john-smith']);
+  });
+
+  it('ranks more mentions above fewer in the same field', () => {
+    const results = engine.search('groundwater');
+    expect(results[1].score).toBeGreaterThan(results[2].score);
+  });
+
+  it('requires every query word', () => {
+    expect(urls('groundwater springs')).toEqual(['/staff/maria-garcia']);
+    expect(urls('groundwater earthquake')).toEqual([]);
+  });
+
+  it('matches word prefixes and typos', () => {
+    expect(urls('earthq')).toEqual(['/news/earthquake-workshop']);
+    expect(urls('grondwater monitoring')).toEqual(['/monitoring#groundwater']);
+    expect(urls('earthquake worshop')).toEqual(['/news/earthquake-workshop']);
+  });
+
+  it('ranks exact words above prefix and typo matches', () => {
+    const engineWithPrefix = createSearchEngine([
+      { title: 'Mapping Projects', url: '/a', content: '' },
+      { title: 'Map Viewer', url: '/b', content: '' }
+    ]);
+    expect(engineWithPrefix.search('map').map(result => result.entry.url)).toEqual(['/b', '/a']);
+  });
+
+  it('boosts titles containing the query as a phrase', () => {
+    expect(urls('geology of kentucky')[0]).toBe('/geology-of-kentucky');
+  });
+
+  it('applies a filter', () => {
+    expect(urls('groundwater', { filter: entry => entry.category === 'Staff Directory' })).toEqual(['/staff/maria-garcia', '/staff/john-smith']);
+  });
+
+  it('returns nothing for empty or unmatched queries', () => {
+    expect(urls('  ')).toEqual([]);
+    expect(urls('xylophone')).toEqual([]);
+  });
+});
+
+describe('mergeRankedResults', () => {
+  it('interleaves lists by rank and lifts results found in both', () => {
+    const custom = [{ url: '/a', title: 'A' }, { url: '/b', title: 'B' }, { url: '/c', title: 'C' }];
+    const pagefind = [{ url: '/c/', title: 'C page', excerpt: 'from <mark>pagefind</mark>' }, { url: '/d', title: 'D' }];
+
+    const merged = mergeRankedResults([custom, pagefind]);
+
+    expect(merged.map(result => result.url)).toEqual(['/c', '/a', '/b', '/d']);
+    expect(merged[0]).toEqual({ url: '/c', title: 'C', excerpt: 'from <mark>pagefind</mark>' });
+  });
+
+  it('keeps a single list in order', () => {
+    expect(mergeRankedResults([[{ url: '/x' }, { url: '/y' }], []]).map(result => result.url)).toEqual(['/x', '/y']);
+  });
+});
@@ -0,0 +1,212 @@
+// tests/lib/api_client.test.js
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import http from 'http';
+import {
+  createDirectusClient,
+  invalidateCollections,
+  cacheLookup,
+  ifUnavailable,
+  isDirectusUnavailable,
+  markUnavailable,
+  unavailableResponse,
+  DirectusUnavailableError
+} from '../../src/lib/api_client.js';
+
+// A scripted stand-in for Directus: each test queues the statuses to respond with
+const PORT = 8057;
+const BASE_URL = `http://127.0.0.1:${PORT}`;
+let server;
+let responses = [];
+let hits = 0;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    hits++;
+    const status = responses.length > 0 ? responses.shift() : 200;
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(status === 200 ? { data: [{ id: hits }] } : { errors: [{ message: 'failed' }] }));
+  });
+  await new Promise(resolve => server.listen(PORT, '127.0.0.1', resolve));
+});
+
+afterAll(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  responses = [];
+  hits = 0;
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+  return () => vi.restoreAllMocks();
+});
+
+const client = (options = {}) => createDirectusClient({
+  baseURL: BASE_URL,
+  retries: 2,
+  retryDelay: 1,
+  cacheTtl: 0,
+  ...options
+});
+
+describe('createDirectusClient', () => {
+  it('retries 5xx responses with backoff', async () => {
+    responses = [503, 502];
+
+    expect(await client().apiRequest('/items/staff')).toEqual([{ id: 3 }]);
+    expect(hits).toBe(3);
+  });
+
+  it('does not retry request errors and resolves them to no results', async () => {
+    responses = [403];
+
+    expect(await client().apiRequest('/items/staff')).toEqual([]);
+    expect(hits).toBe(1);
+  });
+
+  it('throws DirectusUnavailableError once retries are exhausted', async () => {
+    responses = [500, 500, 500];
+
+    const error = await client().apiRequest('/items/staff').catch(e => e);
+    expect(error).toBeInstanceOf(DirectusUnavailableError);
+    expect(error.status).toBe(503);
+  });
+
+  it('throws DirectusUnavailableError when Directus cannot be reached', async () => {
+    const unreachable = createDirectusClient({ baseURL: 'http://127.0.0.1:1', retries: 0, cacheTtl: 0 });
+
+    await expect(unreachable.apiRequest('/items/staff')).rejects.toBeInstanceOf(DirectusUnavailableError);
+  });
+
+  it('serves the last good response when Directus goes down', async () => {
+    const cached = client({ retries: 0, cacheTtl: 1, staleTtl: 0 });
+    await cached.apiRequest('/items/staff');
+    await new Promise(resolve => setTimeout(resolve, 5));
+    responses = [500];
+
+    expect(await cached.apiRequest('/items/staff')).toEqual([{ id: 1 }]);
+    expect(hits).toBe(2);
+  });
+
+  it('shares identical in-flight requests', async () => {
+    const shared = client({ cacheTtl: 60000 });
+
+    await Promise.all([shared.apiRequest('/items/staff'), shared.apiRequest('/items/staff')]);
+    expect(hits).toBe(1);
+  });
+
+  it('hands out copies so callers cannot corrupt the cache', async () => {
+    const cached = client({ cacheTtl: 60000 });
+    const first = await cached.apiRequest('/items/staff');
+    first[0].id = 'changed';
+
+    expect(await cached.apiRequest('/items/staff')).toEqual([{ id: 1 }]);
+  });
+
+  it('serves expired responses while revalidating in the background', async () => {
+    const cached = client({ cacheTtl: 1, staleTtl: 60000 });
+    await cached.apiRequest('/items/staff');
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    expect(await cached.apiRequest('/items/staff')).toEqual([{ id: 1 }]);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(await cached.apiRequest('/items/staff')).toEqual([{ id: 2 }]);
+
+    // That read was stale too; let its refresh finish before the next test counts hits
+    await new Promise(resolve => setTimeout(resolve, 20));
+  });
+});
+
+describe('invalidate', () => {
+  it('purges a collection and the junctions that join it', async () => {
+    const cached = client({ cacheTtl: 60000 });
+    await cached.apiRequest('/items/staff');
+    await cached.apiRequest('/items/articles_staff');
+    await cached.apiRequest('/items/labs');
+
+    expect(cached.invalidate(['staff'])).toBe(2);
+
+    await cached.apiRequest('/items/labs');
+    expect(hits).toBe(3);
+  });
+
+  it('reaches every client through invalidateCollections', async () => {
+    const first = client({ cacheTtl: 60000 });
+    const second = client({ cacheTtl: 60000 });
+    await first.apiRequest('/items/funding');
+    await second.apiRequest('/items/funding');
+
+    invalidateCollections(['funding']);
+    await first.apiRequest('/items/funding');
+    await second.apiRequest('/items/funding');
+
+    expect(hits).toBe(4);
+  });
+});
+
+describe('ifUnavailable', () => {
+  it('substitutes the fallback only for outages', async () => {
+    const outage = Promise.reject(new DirectusUnavailableError('/items/staff'));
+    const bug = Promise.reject(new TypeError('bad'));
+
+    expect(await ifUnavailable(outage, [])).toEqual([]);
+    await expect(ifUnavailable(bug, [])).rejects.toBeInstanceOf(TypeError);
+    expect(isDirectusUnavailable(new Error('x'))).toBe(false);
+  });
+});
+
+describe('markUnavailable', () => {
+  it('answers 503 with Retry-After for outages and rethrows anything else', () => {
+    const astro = { response: { status: 200, headers: new Headers() } };
+
+    expect(markUnavailable(astro, new DirectusUnavailableError('/items/staff'))).toBe(true);
+    expect(astro.response.status).toBe(503);
+    expect(astro.response.headers.get('Retry-After')).toBe('120');
+    expect(() => markUnavailable(astro, new TypeError('bad'))).toThrow(TypeError);
+  });
+
+  it('has an endpoint counterpart', async () => {
+    const response = unavailableResponse('News is temporarily unavailable');
+
+    expect(response.status).toBe(503);
+    expect(response.headers.get('Retry-After')).toBe('120');
+    expect(await response.text()).toBe('News is temporarily unavailable');
+  });
+});
+
+describe('cacheLookup', () => {
+  it('remembers a missing collection instead of asking again on every request', async () => {
+    const lookup = cacheLookup(['redirects'], () => client().apiRequest('/items/redirects'), 60000);
+    responses = [403];
+
+    expect(await lookup()).toEqual([]);
+    expect(await lookup()).toEqual([]);
+    expect(hits).toBe(1);
+  });
+
+  it('remembers outage fallbacks too', async () => {
+    const lookup = cacheLookup(['redirects'], () => ifUnavailable(client({ retries: 0 }).apiRequest('/items/redirects'), []), 60000);
+    responses = [503];
+
+    expect(await lookup()).toEqual([]);
+    expect(await lookup()).toEqual([]);
+    expect(hits).toBe(1);
+  });
+
+  it('loads again once the collection changes or the lookup fails', async () => {
+    let calls = 0;
+    const lookup = cacheLookup(['publication_authors_staff'], async () => {
+      calls++;
+      if (calls === 1) throw new TypeError('bad');
+      return calls;
+    }, 60000);
+
+    await expect(lookup()).rejects.toBeInstanceOf(TypeError);
+    expect(await lookup()).toBe(2);
+    expect(await lookup()).toBe(2);
+
+    invalidateCollections(['staff']);
+    expect(await lookup()).toBe(3);
+  });
+});
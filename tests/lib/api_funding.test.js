@@ -0,0 +1,53 @@
+// tests/lib/api_funding.test.js
+import { describe, it, expect } from 'vitest';
+import { useMockDirectus } from '../helpers/mockDirectus.js';
+import { fetchAllFunding, fetchFundingById, fetchFundingAgencies, fetchGrantStatuses } from '../../src/lib/api_funding.js';
+import { DirectusUnavailableError } from '../../src/lib/api_client.js';
+
+const mock = useMockDirectus();
+
+describe('fetchAllFunding', () => {
+  it('attaches agency, staff, teams, lab projects and their labs', async () => {
+    const [grant] = await fetchAllFunding();
+
+    expect(grant.funding_agency).toMatchObject({ acronymn: 'USGS' });
+    expect(grant.staff.map(member => member.slug)).toEqual(['john-smith']);
+    expect(grant.teams.map(team => team.name)).toEqual(['Geologic Hazards']);
+    expect(grant.lab_projects.map(project => project.slug)).toEqual(['eastern-kentucky-landslides']);
+    expect(grant.labs.map(lab => lab.slug)).toEqual(['hazards']);
+  });
+
+  it('throws DirectusUnavailableError when Directus is down', async () => {
+    await mock.withDirectusDown(async () => {
+      await expect(fetchAllFunding()).rejects.toBeInstanceOf(DirectusUnavailableError);
+    });
+  });
+});
+
+describe('fetchFundingById', () => {
+  it('returns a grant with its related records', async () => {
+    const grant = await fetchFundingById(1);
+
+    expect(grant.grant_number).toBe('G23AC00001');
+    expect(grant.staff.map(member => member.slug)).toEqual(['john-smith']);
+    expect(grant.labs.map(lab => lab.slug)).toEqual(['hazards']);
+  });
+
+  it('returns null for an unknown grant', async () => {
+    expect(await fetchFundingById(999)).toBeNull();
+  });
+});
+
+describe('fetchFundingAgencies', () => {
+  it('returns agencies sorted by name', async () => {
+    const agencies = await fetchFundingAgencies();
+
+    expect(agencies.map(agency => agency.name)).toEqual(['U.S. Geological Survey']);
+  });
+});
+
+describe('fetchGrantStatuses', () => {
+  it('returns the distinct statuses in use', async () => {
+    expect(await fetchGrantStatuses()).toEqual(['active']);
+  });
+});
@@ -0,0 +1,87 @@
+// tests/lib/api_health.test.js
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { useMockDirectus } from '../helpers/mockDirectus.js';
+import { checkDirectus, checkPagefind, checkSearchIndex, getHealthReport } from '../../src/lib/api_health.js';
+
+const mock = useMockDirectus();
+
+const DIRECTUS_URL = process.env.PUBLIC_DIRECTUS_URL;
+const PUBLICATIONS_URL = process.env.PUBLIC_PUBLICATIONS_URL;
+
+let builtDist;
+let emptyDist;
+
+beforeAll(() => {
+  builtDist = fs.mkdtempSync(path.join(os.tmpdir(), 'kgs-dist-'));
+  emptyDist = fs.mkdtempSync(path.join(os.tmpdir(), 'kgs-dist-'));
+  fs.mkdirSync(path.join(builtDist, 'client/pagefind'), { recursive: true });
+  fs.mkdirSync(path.join(builtDist, 'client/js'), { recursive: true });
+  fs.writeFileSync(path.join(builtDist, 'client/pagefind/pagefind.js'), '');
+  fs.writeFileSync(path.join(builtDist, 'client/js/search-index.json'), '[]');
+});
+
+afterAll(() => {
+  fs.rmSync(builtDist, { recursive: true, force: true });
+  fs.rmSync(emptyDist, { recursive: true, force: true });
+});
+
+describe('checkDirectus', () => {
+  it('reports latency for a reachable instance', async () => {
+    const result = await checkDirectus(PUBLICATIONS_URL);
+
+    expect(result).toMatchObject({ status: 'ok', httpStatus: 200 });
+    expect(result.latencyMs).toBeGreaterThanOrEqual(0);
+  });
+
+  it('reports an unreachable instance as down', async () => {
+    await mock.withDirectusDown(async () => {
+      const result = await checkDirectus(DIRECTUS_URL);
+      expect(result.status).toBe('down');
+      expect(result.error).toBe('ECONNREFUSED');
+    });
+  });
+
+  it('reports a missing URL as unconfigured', async () => {
+    expect(await checkDirectus(undefined)).toEqual({ status: 'unconfigured' });
+  });
+});
+
+describe('build checks', () => {
+  it('finds the Pagefind bundle and search index age', async () => {
+    expect(await checkPagefind(builtDist)).toEqual({ status: 'ok', bundle: 'dist/client/pagefind/pagefind.js' });
+
+    const searchIndex = await checkSearchIndex(builtDist);
+    expect(searchIndex.status).toBe('ok');
+    expect(searchIndex.ageSeconds).toBeLessThan(60);
+  });
+
+  it('reports a missing build', async () => {
+    expect(await checkPagefind(emptyDist)).toEqual({ status: 'missing' });
+    expect(await checkSearchIndex(emptyDist)).toEqual({ status: 'missing' });
+  });
+});
+
+describe('getHealthReport', () => {
+  const report = (distDir) => getHealthReport({ directusUrl: DIRECTUS_URL, publicationsUrl: PUBLICATIONS_URL, distDir });
+
+  it('is ok when every dependency is healthy', async () => {
+    const result = await report(builtDist);
+
+    expect(result.status).toBe('ok');
+    expect(result.version).toEqual(expect.any(String));
+    expect(Object.keys(result.checks)).toEqual(['directus', 'publications', 'pagefind', 'searchIndex']);
+  });
+
+  it('is degraded when only the build artifacts are missing', async () => {
+    expect((await report(emptyDist)).status).toBe('degraded');
+  });
+
+  it('is down when the main Directus is unreachable', async () => {
+    await mock.withDirectusDown(async () => {
+      expect((await report(builtDist)).status).toBe('down');
+    });
+  });
+});
@@ -0,0 +1,100 @@
+// tests/lib/api_labs.test.js
+import { describe, it, expect } from 'vitest';
+import { useMockDirectus, previewRequest } from '../helpers/mockDirectus.js';
+import {
+  fetchAllLabs,
+  fetchLabBySlug,
+  fetchLabNews,
+  fetchLabPublications,
+  fetchPublicationById,
+  fetchFeaturedProjects
+} from '../../src/lib/api_labs.js';
+import { DirectusUnavailableError } from '../../src/lib/api_client.js';
+
+const mock = useMockDirectus();
+
+describe('fetchAllLabs', () => {
+  it('returns published labs only', async () => {
+    const labs = await fetchAllLabs();
+
+    expect(labs.map(lab => lab.slug)).toEqual(['hazards']);
+  });
+
+  it('includes draft labs in preview mode', async () => {
+    const labs = await fetchAllLabs(previewRequest('/labs'));
+
+    expect(labs.map(lab => lab.slug)).toEqual(['hazards', 'water']);
+  });
+
+  it('throws DirectusUnavailableError when Directus is down', async () => {
+    await mock.withDirectusDown(async () => {
+      await expect(fetchAllLabs()).rejects.toBeInstanceOf(DirectusUnavailableError);
+    });
+  });
+});
+
+describe('fetchLabBySlug', () => {
+  it('expands location, director and principal investigator', async () => {
+    const lab = await fetchLabBySlug('hazards');
+
+    expect(lab.location).toMatchObject({ city: 'Lexington' });
+    expect(lab.director).toMatchObject({ slug: 'jane-doe' });
+    expect(lab.principal_investigator).toMatchObject({ slug: 'john-smith' });
+  });
+
+  it('hides draft labs outside preview mode', async () => {
+    expect(await fetchLabBySlug('water')).toBeNull();
+    expect(await fetchLabBySlug('water', previewRequest())).toMatchObject({ name: 'Water Research Lab' });
+  });
+});
+
+describe('fetchLabNews', () => {
+  it('returns published articles linked to the lab', async () => {
+    const news = await fetchLabNews(1);
+
+    expect(news.map(article => article.slug)).toEqual(['new-landslide-inventory']);
+    expect(news[0].main_image).toMatchObject({ filename_download: 'landslide.svg' });
+  });
+});
+
+describe('fetchLabPublications', () => {
+  it('groups publications by year, newest first, with undated ones last', async () => {
+    const grouped = await fetchLabPublications(1);
+
+    expect(grouped['2024'].map(pub => pub.title)).toEqual([
+      'Debris Flow Runout Modeling',
+      'Landslide Susceptibility in Eastern Kentucky'
+    ]);
+    expect(grouped['2021']).toHaveLength(1);
+    expect(grouped['Unknown Year'].map(pub => pub.title)).toEqual(['Undated Field Notes']);
+  });
+
+  it('returns a sorted list when grouping is off', async () => {
+    const publications = await fetchLabPublications(1, { yearGroup: false });
+
+    expect(publications.map(pub => pub.year)).toEqual([2024, 2024, 2021, null]);
+  });
+
+  it('returns an empty result for a lab without publications', async () => {
+    expect(await fetchLabPublications(2)).toEqual({});
+    expect(await fetchLabPublications(2, { yearGroup: false })).toEqual([]);
+  });
+});
+
+describe('fetchPublicationById', () => {
+  it('returns the publication with its labs', async () => {
+    const publication = await fetchPublicationById(1);
+
+    expect(publication.title).toBe('Landslide Susceptibility in Eastern Kentucky');
+    expect(publication.labs.map(lab => lab.slug)).toEqual(['hazards']);
+  });
+});
+
+describe('fetchFeaturedProjects', () => {
+  it('returns published featured projects with their labs', async () => {
+    const projects = await fetchFeaturedProjects();
+
+    expect(projects.map(project => project.slug)).toEqual(['eastern-kentucky-landslides']);
+    expect(projects[0].labs.map(lab => lab.slug)).toEqual(['hazards']);
+  });
+});
@@ -0,0 +1,148 @@
+// tests/lib/api_news.test.js
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { useMockDirectus } from '../helpers/mockDirectus.js';
+import {
+  fetchEvents,
+  fetchRecentNews,
+  fetchNewsByMonth,
+  fetchNewsBySlug,
+  fetchAllNewsSlugs,
+  fetchNewsYears
+} from '../../src/lib/api_news.js';
+import { DirectusUnavailableError } from '../../src/lib/api_client.js';
+
+const mock = useMockDirectus();
+
+const slugs = (articles) => articles.map(article => article.slug);
+
+// Pin "today" so event classification doesn't drift with the calendar.
+// The summer-teacher-workshop fixture ends on this day.
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(new Date('2025-06-01T15:00:00Z'));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('fetchEvents', () => {
+  it('classifies events ending today or later as upcoming, soonest first', async () => {
+    const { articles, totalCount } = await fetchEvents(10, 1, true);
+
+    expect(slugs(articles)).toEqual(['summer-teacher-workshop', 'geology-field-day']);
+    expect(totalCount).toBe(2);
+  });
+
+  it('classifies events that ended before today as past, latest first', async () => {
+    const { articles, totalCount } = await fetchEvents(10, 1, false);
+
+    expect(slugs(articles)).toEqual(['earthquake-workshop']);
+    expect(totalCount).toBe(1);
+  });
+
+  it('paginates with the total page count', async () => {
+    const result = await fetchEvents(1, 2, true);
+
+    expect(slugs(result.articles)).toEqual(['geology-field-day']);
+    expect(result.totalPages).toBe(2);
+  });
+
+  it('keeps today\'s events upcoming until midnight in Kentucky', async () => {
+    // 9pm Eastern on June 1, already June 2 in UTC
+    vi.setSystemTime(new Date('2025-06-02T01:00:00Z'));
+    expect(slugs((await fetchEvents(10, 1, true)).articles)).toContain('summer-teacher-workshop');
+
+    vi.setSystemTime(new Date('2025-06-02T04:30:00Z'));
+    expect(slugs((await fetchEvents(10, 1, false)).articles)).toContain('summer-teacher-workshop');
+  });
+
+  it('throws DirectusUnavailableError when Directus is down', async () => {
+    await mock.withDirectusDown(async () => {
+      await expect(fetchEvents(10, 1, true)).rejects.toBeInstanceOf(DirectusUnavailableError);
+    });
+  });
+});
+
+describe('fetchRecentNews', () => {
+  it('returns published articles newest first, without drafts or expired events', async () => {
+    const { articles } = await fetchRecentNews(10, 1);
+
+    expect(slugs(articles)).toEqual([
+      'summer-teacher-workshop',
+      'new-landslide-inventory',
+      'geology-field-day',
+      'groundwater-grant'
+    ]);
+  });
+
+  it('filters by category', async () => {
+    const { articles } = await fetchRecentNews(10, 1, 'press-release');
+
+    expect(slugs(articles)).toEqual(['groundwater-grant']);
+  });
+
+  it('only lists upcoming events for the event category', async () => {
+    const { articles } = await fetchRecentNews(10, 1, 'event');
+
+    expect(slugs(articles)).not.toContain('earthquake-workshop');
+    expect(articles).toHaveLength(2);
+  });
+
+  it('throws DirectusUnavailableError when Directus is down', async () => {
+    await mock.withDirectusDown(async () => {
+      await expect(fetchRecentNews(10, 1)).rejects.toBeInstanceOf(DirectusUnavailableError);
+    });
+  });
+});
+
+describe('fetchNewsByMonth', () => {
+  it('groups a year of articles by month, latest month first', async () => {
+    const { year, articlesByMonth } = await fetchNewsByMonth(2025);
+
+    expect(year).toBe(2025);
+    expect(Object.keys(articlesByMonth)).toEqual(['May', 'March', 'February', 'January']);
+    expect(slugs(articlesByMonth.March)).toEqual(['new-landslide-inventory']);
+  });
+
+  it('excludes drafts', async () => {
+    const { articlesByMonth } = await fetchNewsByMonth(2025);
+
+    expect(articlesByMonth.April).toBeUndefined();
+  });
+
+  it('defaults to the current year', async () => {
+    const { year } = await fetchNewsByMonth();
+
+    expect(year).toBe(2025);
+  });
+});
+
+describe('fetchNewsBySlug', () => {
+  it('returns the article with its author and related staff and labs', async () => {
+    const article = await fetchNewsBySlug('new-landslide-inventory');
+
+    expect(article.author).toMatchObject({ first_name: 'John', last_name: 'Smith' });
+    expect(article.related_staff.map(staff => staff.slug)).toEqual(['john-smith']);
+    expect(article.related_labs.map(lab => lab.slug)).toEqual(['hazards']);
+  });
+
+  it('does not return draft articles', async () => {
+    expect(await fetchNewsBySlug('unpublished-story')).toBeNull();
+  });
+});
+
+describe('fetchAllNewsSlugs', () => {
+  it('returns published slugs only', async () => {
+    const allSlugs = (await fetchAllNewsSlugs()).map(article => article.slug);
+
+    expect(allSlugs).toHaveLength(5);
+    expect(allSlugs).not.toContain('unpublished-story');
+  });
+});
+
+describe('fetchNewsYears', () => {
+  it('spans the earliest to latest publication year, newest first', async () => {
+    expect(await fetchNewsYears()).toEqual([2025, 2024]);
+  });
+});
@@ -0,0 +1,118 @@
+// tests/lib/api_projects.test.js
+import { describe, it, expect } from 'vitest';
+import { useMockDirectus, previewRequest } from '../helpers/mockDirectus.js';
+import {
+  fetchProjectsPage,
+  fetchProjectBySlug,
+  fetchProjectsByStatus,
+  getProjectStatuses,
+  isProjectCompleted
+} from '../../src/lib/api_projects.js';
+import { DirectusUnavailableError } from '../../src/lib/api_client.js';
+
+const mock = useMockDirectus();
+
+const slugs = (projects) => projects.map(project => project.slug);
+
+describe('fetchProjectsPage', () => {
+  it('lists published projects, featured first, with their labs', async () => {
+    const { projects, totalCount, totalPages } = await fetchProjectsPage();
+
+    expect(slugs(projects)).toEqual(['eastern-kentucky-landslides', 'karst-spring-monitoring']);
+    expect(projects[0].labs.map(lab => lab.slug)).toEqual(['hazards']);
+    expect(totalCount).toBe(2);
+    expect(totalPages).toBe(1);
+  });
+
+  it('includes drafts in preview mode', async () => {
+    const { projects } = await fetchProjectsPage({ request: previewRequest('/labs/projects') });
+
+    expect(slugs(projects)).toContain('sinkhole-susceptibility');
+  });
+
+  it('filters by lab and status', async () => {
+    const byLab = await fetchProjectsPage({ labSlug: 'hazards' });
+    const byStatus = await fetchProjectsPage({ status: 'completed' });
+
+    expect(slugs(byLab.projects)).toEqual(['eastern-kentucky-landslides']);
+    expect(slugs(byStatus.projects)).toEqual(['karst-spring-monitoring']);
+  });
+
+  it('matches the search against title and description', async () => {
+    expect(slugs((await fetchProjectsPage({ search: 'karst' })).projects)).toEqual(['karst-spring-monitoring']);
+    expect(slugs((await fetchProjectsPage({ search: 'lidar' })).projects)).toEqual(['eastern-kentucky-landslides']);
+  });
+
+  it('returns an empty page for a lab without projects', async () => {
+    const result = await fetchProjectsPage({ labSlug: 'no-such-lab' });
+
+    expect(result).toMatchObject({ projects: [], totalCount: 0, totalPages: 0 });
+  });
+
+  it('paginates', async () => {
+    const result = await fetchProjectsPage({ page: 2, limit: 1 });
+
+    expect(slugs(result.projects)).toEqual(['karst-spring-monitoring']);
+    expect(result.totalPages).toBe(2);
+  });
+
+  it('throws DirectusUnavailableError when Directus is down', async () => {
+    await mock.withDirectusDown(async () => {
+      await expect(fetchProjectsPage()).rejects.toBeInstanceOf(DirectusUnavailableError);
+    });
+  });
+});
+
+describe('fetchProjectsPage for one lab', () => {
+  const request = previewRequest('/labs/projects?lab=hazards');
+  const labPage = (page, limit) => fetchProjectsPage({ labSlug: 'hazards', page, limit, request });
+
+  it('lists featured projects first and projects without a sort position last', async () => {
+    const { projects, totalCount } = await labPage(1, 12);
+
+    expect(slugs(projects)).toEqual(['eastern-kentucky-landslides', 'sinkhole-susceptibility', 'rockfall-inventory']);
+    expect(totalCount).toBe(3);
+  });
+
+  it('keeps that order across pages', async () => {
+    const pages = await Promise.all([1, 2, 3].map(page => labPage(page, 1)));
+
+    expect(pages.map(result => slugs(result.projects))).toEqual([['eastern-kentucky-landslides'], ['sinkhole-susceptibility'], ['rockfall-inventory']]);
+  });
+});
+
+describe('fetchProjectBySlug', () => {
+  it('hides draft projects outside preview mode', async () => {
+    expect(await fetchProjectBySlug('sinkhole-susceptibility')).toBeNull();
+    expect(await fetchProjectBySlug('sinkhole-susceptibility', previewRequest())).toMatchObject({ id: 3 });
+  });
+});
+
+describe('fetchProjectsByStatus', () => {
+  it('returns projects with the given status and their labs', async () => {
+    const projects = await fetchProjectsByStatus('active');
+
+    expect(slugs(projects)).toEqual(['eastern-kentucky-landslides']);
+    expect(projects[0].labs).toHaveLength(1);
+  });
+});
+
+describe('getProjectStatuses', () => {
+  it('returns the distinct statuses of visible projects', async () => {
+    expect(await getProjectStatuses()).toEqual(['active', 'completed']);
+  });
+});
+
+describe('isProjectCompleted', () => {
+  // 9pm Eastern on June 1, already June 2 in UTC
+  const now = new Date('2025-06-02T01:00:00Z');
+
+  it('completes projects once their end date has passed in Kentucky', () => {
+    expect(isProjectCompleted({ end_date: '2025-05-31' }, now)).toBe(true);
+    expect(isProjectCompleted({ end_date: '2025-06-01' }, now)).toBe(false);
+  });
+
+  it('treats projects without an end date as ongoing', () => {
+    expect(isProjectCompleted({ start_date: '2020-01-01', end_date: null }, now)).toBe(false);
+  });
+});
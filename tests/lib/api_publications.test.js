@@ -0,0 +1,223 @@
+// tests/lib/api_publications.test.js
+// Factsheets, annual reports and collection browsers all read the publications database
+import { describe, it, expect } from 'vitest';
+import { useMockDirectus } from '../helpers/mockDirectus.js';
+import {
+  fetchPublications,
+  fetchAllPublicationPages,
+  parseSupersededBy,
+  linkSupersessions,
+  resolveSupersessions,
+  fetchPublicationById,
+  fetchRelatedPublications,
+  formatAuthors,
+  getPublicationUrl,
+  getCoverImageUrl
+} from '../../src/lib/api_publications.js';
+import { fetchAllFactsheets, getPublicationYears } from '../../src/lib/api_factsheets.js';
+import { fetchAllAnnualReports } from '../../src/lib/api_annual-reports.js';
+import { coalCollectionConfig } from '../../src/lib/collections/coal.js';
+
+const mock = useMockDirectus();
+
+const titles = (publications) => publications.map(publication => publication.title);
+
+describe('fetchAllPublicationPages', () => {
+  it('walks every page of a listing', async () => {
+    const publications = await fetchAllPublicationPages({ status: { _eq: 'published' } }, { pageSize: 2 });
+
+    expect(publications.map(publication => publication.id)).toEqual([101, 102, 103, 104, 105, 106, 107]);
+  });
+
+  it('returns an empty list when nothing matches', async () => {
+    expect(await fetchAllPublicationPages({ id: { _eq: -1 } })).toEqual([]);
+  });
+});
+
+describe('fetchAllFactsheets', () => {
+  it('returns fact sheets newest first, including superseded editions', async () => {
+    const factsheets = await fetchAllFactsheets();
+
+    expect(titles(factsheets)).toEqual([
+      'Karst Groundwater in Kentucky',
+      'Landslides in Kentucky',
+      'Karst Groundwater Basics',
+      'Karst in Kentucky'
+    ]);
+  });
+
+  it('can leave out superseded editions', async () => {
+    const factsheets = await fetchAllFactsheets(undefined, { includeSuperseded: false });
+
+    expect(titles(factsheets)).toEqual(['Karst Groundwater in Kentucky', 'Landslides in Kentucky']);
+  });
+
+  it('expands authors, type and areas', async () => {
+    const [factsheet] = await fetchAllFactsheets();
+
+    expect(factsheet.type).toEqual({ name: 'Fact Sheet' });
+    expect(formatAuthors(factsheet.author_id)).toBe('Maria Garcia');
+    expect(factsheet.area_ids.map(area => area.area_id.name)).toEqual(['Fayette', 'Lexington West']);
+  });
+
+  it('throws instead of listing no fact sheets when the publications database is down', async () => {
+    await mock.withDirectusDown(async () => {
+      await expect(fetchAllFactsheets()).rejects.toThrow('Directus is unavailable');
+      await expect(fetchAllAnnualReports()).rejects.toThrow('Directus is unavailable');
+      await expect(fetchPublications(coalCollectionConfig)).rejects.toThrow('Directus is unavailable');
+    });
+  });
+});
+
+describe('getPublicationYears', () => {
+  it('lists the years present, newest first', async () => {
+    expect(getPublicationYears(await fetchAllFactsheets())).toEqual([2023, 2022, 2010, 1998]);
+  });
+});
+
+describe('supersession links', () => {
+  const byId = (publications, id) => publications.find(publication => publication.id === id);
+
+  it.each([
+    ['Superseded by Fact Sheet 14', { reference: 'Fact Sheet 14', series: 'fact sheet', issue: '14' }],
+    ['Superseded by RI 44.', { reference: 'RI 44', series: 'report of investigations', issue: '44' }],
+    ['Revised 2001; superseded by: KGS Fact Sheet No. 7', { reference: 'KGS Fact Sheet No. 7', series: 'fact sheet', issue: '7' }],
+    ['Superseded by Karst Groundwater in Kentucky', { reference: 'Karst Groundwater in Kentucky', series: null, issue: null }]
+  ])('parses "%s"', (comments, expected) => {
+    expect(parseSupersededBy(comments)).toEqual(expected);
+  });
+
+  it('ignores comments without a replacement', () => {
+    expect(parseSupersededBy('Coal resource assessment')).toBeNull();
+    expect(parseSupersededBy(null)).toBeNull();
+  });
+
+  it('links old and new editions, following chains to the latest', async () => {
+    const factsheets = await fetchAllFactsheets();
+
+    const latest = byId(factsheets, 104);
+    const previous = byId(factsheets, 103);
+    const original = byId(factsheets, 107);
+
+    expect(latest.supersededBy).toBeNull();
+    expect(latest.supersedes.map(edition => edition.id)).toEqual([103]);
+
+    expect(previous.supersededBy).toEqual({
+      id: 104, title: 'Karst Groundwater in Kentucky', publication_year: 2023, series: 'Fact Sheet', issue: '14'
+    });
+    expect(previous.supersededByReference).toBe('Fact Sheet 14');
+    expect(previous.supersedes.map(edition => edition.id)).toEqual([107]);
+    expect(previous.latestEdition).toBeNull();
+
+    expect(original.supersededBy.id).toBe(103);
+    expect(original.latestEdition.id).toBe(104);
+  });
+
+  it('resolves series abbreviations', async () => {
+    const coal = await fetchPublications(coalCollectionConfig);
+
+    expect(byId(coal, 106).supersededBy.id).toBe(101);
+  });
+
+  it('looks up replacements outside the listing', async () => {
+    const [factsheet] = await fetchAllPublicationPages({ id: { _eq: 103 } });
+
+    const [linked] = await resolveSupersessions([factsheet]);
+
+    expect(linked.supersededBy.title).toBe('Karst Groundwater in Kentucky');
+    expect(linked.supersedes).toEqual([]);
+  });
+
+  it('keeps the reference when the replacement cannot be found', async () => {
+    const [linked] = await resolveSupersessions([{ id: 1, title: 'Old', comments: 'Superseded by Fact Sheet 99' }]);
+
+    expect(linked.supersededBy).toBeNull();
+    expect(linked.supersededByReference).toBe('Fact Sheet 99');
+  });
+
+  it('lists every older edition a publication replaces, in listing order', () => {
+    const editions = Array.from({ length: 2000 }, (_, index) => ({
+      id: index + 1,
+      title: `Edition ${index + 1}`,
+      series: 'Fact Sheet',
+      issue: String(index + 1),
+      comments: index + 1 < 2000 ? 'Superseded by Fact Sheet 2000' : null
+    }));
+
+    const linked = linkSupersessions(editions);
+
+    expect(linked[1999].supersedes).toHaveLength(1999);
+    expect(linked[1999].supersedes.slice(0, 2).map(edition => edition.id)).toEqual([1, 2]);
+    expect(linked[0].supersedes).toEqual([]);
+  });
+});
+
+describe('fetchAllAnnualReports', () => {
+  it('returns published publications marked as annual reports', async () => {
+    expect(titles(await fetchAllAnnualReports())).toEqual(['Kentucky Geological Survey 2023 Annual Report']);
+  });
+});
+
+describe('fetchPublications', () => {
+  it('returns the publications in a browsing collection', async () => {
+    const publications = await fetchPublications(coalCollectionConfig);
+
+    expect(titles(publications)).toEqual(['Coal Resources of the Pikeville Quadrangle', 'Coal Geology of Eastern Kentucky']);
+    expect(formatAuthors(publications[0].author_id)).toBe('John A. Smith');
+  });
+
+  it('builds cover URLs against the publications database', () => {
+    expect(getCoverImageUrl(null)).toBeNull();
+    expect(getCoverImageUrl('abc')).toBe(`${process.env.PUBLIC_PUBLICATIONS_URL}/assets/abc?width=400&fit=contain`);
+  });
+});
+
+describe('fetchPublicationById', () => {
+  it('returns a publication with its authors, areas and editions', async () => {
+    const publication = await fetchPublicationById(104);
+
+    expect(publication.title).toBe('Karst Groundwater in Kentucky');
+    expect(formatAuthors(publication.author_id)).toBe('Maria Garcia');
+    expect(publication.area_ids.map(area => area.area_id.name)).toEqual(['Fayette', 'Lexington West']);
+    expect(publication.supersedes.map(edition => edition.id)).toEqual([103]);
+  });
+
+  it('links a superseded edition to its replacement', async () => {
+    const publication = await fetchPublicationById(107);
+
+    expect(publication.supersededBy.id).toBe(103);
+    expect(publication.supersedes).toEqual([]);
+  });
+
+  it('returns null for unknown ids', async () => {
+    expect(await fetchPublicationById(999)).toBeNull();
+  });
+
+  it('throws when the publications database is down', async () => {
+    await mock.withDirectusDown(async () => {
+      await expect(fetchPublicationById(104)).rejects.toThrow('Directus is unavailable');
+    });
+  });
+
+  it('links to the detail page', () => {
+    expect(getPublicationUrl(104)).toBe('/pubs/104');
+  });
+});
+
+describe('fetchRelatedPublications', () => {
+  it('ranks shared authors and areas above a shared series, leaving out superseded editions', async () => {
+    const publication = await fetchPublicationById(101);
+
+    expect((await fetchRelatedPublications(publication)).map(related => related.id)).toEqual([102]);
+  });
+
+  it('falls back to the same series', async () => {
+    const publication = await fetchPublicationById(104);
+
+    expect((await fetchRelatedPublications(publication)).map(related => related.id)).toEqual([102]);
+  });
+
+  it('returns nothing for a publication without authors, areas or series', async () => {
+    expect(await fetchRelatedPublications({ id: 1, title: 'Loose' })).toEqual([]);
+  });
+});
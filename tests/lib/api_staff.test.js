@@ -0,0 +1,96 @@
+// tests/lib/api_staff.test.js
+import { describe, it, expect } from 'vitest';
+import { useMockDirectus } from '../helpers/mockDirectus.js';
+import { fetchStaffByDepartment, fetchStaffBySlug, fetchAllStaffSlugs, fetchAllDepartments } from '../../src/lib/api_staff.js';
+import { DirectusUnavailableError } from '../../src/lib/api_client.js';
+
+const mock = useMockDirectus();
+
+const lastNames = (members) => members.map(member => member.last_name);
+
+describe('fetchStaffByDepartment', () => {
+  it('puts directors in the leadership section ordered by rank', async () => {
+    const staff = await fetchStaffByDepartment();
+
+    // State Geologist, then Associate Director, then Division Director
+    expect(lastNames(staff['State Geologist and Directors'])).toEqual(['Doe', 'Brown', 'Garcia']);
+  });
+
+  it('lists leadership first and drops departments left empty', async () => {
+    const staff = await fetchStaffByDepartment();
+
+    // Administration and Water Resources only contain directors
+    expect(Object.keys(staff)).toEqual(['State Geologist and Directors', 'Geologic Mapping', 'Other']);
+  });
+
+  it('sorts team leads ahead of alphabetical order within a department', async () => {
+    const staff = await fetchStaffByDepartment();
+    const mapping = staff['Geologic Mapping'];
+
+    expect(lastNames(mapping)).toEqual(['Smith', 'Adams']);
+    expect(mapping[0].is_team_lead).toBe(true);
+    expect(mapping[1].is_team_lead).toBe(false);
+  });
+
+  it('buckets staff without a department as Other and skips non-directory departments', async () => {
+    const staff = await fetchStaffByDepartment();
+    const everyone = Object.values(staff).flat();
+
+    expect(lastNames(staff.Other)).toEqual(['Taylor']);
+    expect(lastNames(everyone)).not.toContain('Lee');
+  });
+
+  it('excludes staff who are not active', async () => {
+    const staff = await fetchStaffByDepartment();
+
+    expect(lastNames(Object.values(staff).flat())).not.toContain('Employee');
+  });
+
+  it('attaches teams, team names and locations', async () => {
+    const staff = await fetchStaffByDepartment();
+    const smith = staff['Geologic Mapping'].find(member => member.slug === 'john-smith');
+
+    expect(smith.department).toBe('Geologic Mapping');
+    expect(smith.teamNames).toBe('Geologic Hazards');
+    expect(smith.team[0]).toMatchObject({ id: 1, is_team_lead: true });
+    expect(smith.location.map(location => location.slug)).toEqual(['lexington']);
+  });
+
+  it('throws DirectusUnavailableError when Directus is down', async () => {
+    await mock.withDirectusDown(async () => {
+      await expect(fetchStaffByDepartment()).rejects.toBeInstanceOf(DirectusUnavailableError);
+    });
+  });
+});
+
+describe('fetchStaffBySlug', () => {
+  it('returns the staff member with department details', async () => {
+    const member = await fetchStaffBySlug('john-smith');
+
+    expect(member).toMatchObject({ first_name: 'John', last_name: 'Smith' });
+    expect(member.department_id).toMatchObject({ name: 'Geologic Mapping', slug: 'geologic-mapping' });
+  });
+
+  it('returns null for an unknown slug', async () => {
+    expect(await fetchStaffBySlug('nobody')).toBeNull();
+  });
+});
+
+describe('fetchAllStaffSlugs', () => {
+  it('returns slugs for active staff only', async () => {
+    const slugs = (await fetchAllStaffSlugs()).map(member => member.slug);
+
+    expect(slugs).toContain('jane-doe');
+    expect(slugs).not.toContain('former-employee');
+  });
+});
+
+describe('fetchAllDepartments', () => {
+  it('returns every department sorted by name', async () => {
+    const departments = await fetchAllDepartments();
+
+    expect(departments.map(department => department.name)).toEqual([
+      'Administration', 'Facilities', 'Geologic Mapping', 'Water Resources'
+    ]);
+  });
+});
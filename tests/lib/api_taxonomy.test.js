@@ -0,0 +1,119 @@
+// tests/lib/api_taxonomy.test.js
+// Topic categories for fact sheets and the collection browsers, and the editor report
+import { describe, it, expect } from 'vitest';
+import { useMockDirectus } from '../helpers/mockDirectus.js';
+import {
+  fetchTaxonomy,
+  createClassifier,
+  buildTaxonomyReport,
+  DEFAULT_TAXONOMY
+} from '../../src/lib/api_taxonomy.js';
+import { fetchAllFactsheets } from '../../src/lib/api_factsheets.js';
+
+const mock = useMockDirectus();
+
+describe('createClassifier with the default rules', () => {
+  const classifier = createClassifier();
+  const categoriesOf = (title, comments = null) => classifier.getCategories({ title, comments });
+
+  it.each([
+    ['Landslides in Kentucky', 'Geologic Hazards'],
+    ['Carbon Storage Potential', 'Carbon Storage'],
+    ['Orphaned Oil Wells', 'Energy Resources'],
+    ['Limestone Quarries', 'Minerals'],
+    ['Trilobites of Kentucky', 'Earth Sciences'],
+    ['The Well Sample and Core Repository', 'Research Infrastructure'],
+    ['Kentucky Rocks', 'General']
+  ])('puts "%s" in %s', (title, category) => {
+    expect(categoriesOf(title)).toEqual([category]);
+  });
+
+  it('assigns every category that reaches the threshold, strongest first', () => {
+    expect(categoriesOf('Karst Groundwater in Kentucky')).toEqual(['Water Resources', 'Geologic Hazards']);
+  });
+
+  it('ignores a single incidental keyword', () => {
+    expect(categoriesOf('Gas Storage Fields of Kentucky')).toEqual(['General']);
+    expect(categoriesOf('Soil Survey Storage Practices')).toEqual(['General']);
+  });
+
+  it('matches whole words only', () => {
+    expect(categoriesOf('Early Soils')).toEqual(['General']);
+  });
+
+  it('also reads the comments', () => {
+    expect(categoriesOf('Kentucky Rocks', 'Seismic activity')).toEqual(['Geologic Hazards']);
+  });
+
+  it('explains which rules placed a publication', () => {
+    const { primary, scores } = classifier.classify({ title: 'Natural Gas and Coal', comments: null });
+
+    expect(primary).toBe('Energy Resources');
+    expect(scores[0]).toEqual({
+      category: 'Energy Resources',
+      score: 10,
+      matches: [
+        { id: undefined, term: 'coal', weight: 4, field: 'title' },
+        { id: undefined, term: 'natural gas', weight: 4, field: 'title' },
+        { id: undefined, term: 'gas', weight: 2, field: 'title' }
+      ]
+    });
+  });
+
+  it('supplies card colors and icons', () => {
+    expect(classifier.getCategoryColor('Water Resources')).toBe('blue');
+    expect(classifier.getCategoryIcon('Geologic Hazards')).toBe('fa-house-damage');
+    expect(classifier.getCategoryColor('Unknown')).toBe('gray');
+    expect(classifier.getCategoryIcon('Unknown')).toBe('fa-file-alt');
+  });
+
+  it('lists the categories in use in taxonomy order', async () => {
+    const factsheets = await fetchAllFactsheets();
+
+    expect(classifier.listCategories(factsheets)).toEqual(['Water Resources', 'Geologic Hazards']);
+  });
+});
+
+describe('fetchTaxonomy', () => {
+  it('loads published categories and rules from Directus', async () => {
+    const taxonomy = await fetchTaxonomy();
+
+    expect(taxonomy.source).toBe('directus');
+    expect(taxonomy.categories.map(category => category.name)).toEqual([
+      'Water Resources', 'Geologic Hazards', 'Energy Resources', 'Oil and Gas', 'General'
+    ]);
+    expect(taxonomy.rules).toHaveLength(7);
+    expect(taxonomy.rules[3]).toEqual({ id: 4, category: 'Geologic Hazards', term: 'karst', weight: 2, field: 'title' });
+  });
+
+  it('falls back to the default rules when Directus is down', async () => {
+    await mock.withDirectusDown(async () => {
+      expect(await fetchTaxonomy()).toBe(DEFAULT_TAXONOMY);
+    });
+  });
+});
+
+describe('buildTaxonomyReport', () => {
+  it('reports where each publication was filed and which rules fired', async () => {
+    const classifier = createClassifier(await fetchTaxonomy());
+    const factsheets = await fetchAllFactsheets(undefined, { includeSuperseded: false });
+
+    const report = buildTaxonomyReport(factsheets, classifier);
+
+    expect(report).toMatchObject({ source: 'directus', threshold: 3, total: 2, multiLabel: 0, unclassified: [] });
+    expect(report.categoryCounts).toEqual([
+      { category: 'Water Resources', count: 1 },
+      { category: 'Geologic Hazards', count: 1 }
+    ]);
+
+    const karst = report.publications.find(item => item.id === 104);
+    expect(karst.categories).toEqual(['Water Resources']);
+    expect(karst.belowThreshold).toEqual([
+      { category: 'Geologic Hazards', score: 2, matches: [{ id: 4, term: 'karst', weight: 2, field: 'title' }] }
+    ]);
+
+    expect(report.rules.map(rule => [rule.term, rule.hits])).toEqual([
+      ['groundwater', 1], ['landslide', 1], ['karst', 1], ['water', 0], ['coal', 0], ['natural gas', 0], ['oil', 0]
+    ]);
+  });
+});
@@ -0,0 +1,118 @@
+// tests/lib/areas.test.js
+// County and quadrangle facets and area pages for publications
+import { describe, it, expect } from 'vitest';
+import { useMockDirectus } from '../helpers/mockDirectus.js';
+import {
+  getAreaName,
+  getAreaSlug,
+  getAreaUrl,
+  getPublicationAreas,
+  listAreaFacets,
+  fetchAreaBySlug,
+  fetchAreaPublications,
+  fetchPublishedAreas
+} from '../../src/lib/areas.js';
+import { fetchPublicationsByIds } from '../../src/lib/api_publications.js';
+
+const mock = useMockDirectus();
+
+const pike = { id: 1, name: 'Pike', areatype: 'County' };
+const lexingtonWest = { id: 3, name: 'Lexington West', areatype: '7.5-minute quadrangle' };
+
+describe('area names and slugs', () => {
+  it.each([
+    [pike, 'Pike County', 'pike-county'],
+    [lexingtonWest, 'Lexington West Quadrangle', 'lexington-west-quadrangle'],
+    [{ name: 'McCracken County', areatype: 'County' }, 'McCracken County', 'mccracken-county'],
+    [{ name: 'Bluegrass', areatype: 'Physiographic region' }, 'Bluegrass (Physiographic region)', 'bluegrass-physiographic-region'],
+    [{ name: 'Kentucky' }, 'Kentucky', 'kentucky']
+  ])('names %o', (area, name, slug) => {
+    expect(getAreaName(area)).toBe(name);
+    expect(getAreaSlug(area)).toBe(slug);
+  });
+
+  it('builds area page URLs', () => {
+    expect(getAreaUrl(pike)).toBe('/pubs/area/pike-county');
+  });
+});
+
+describe('listAreaFacets', () => {
+  it('counts publications per area, counties before quadrangles', async () => {
+    const publications = await fetchPublicationsByIds([101, 102, 104, 105]);
+
+    expect(listAreaFacets(publications)).toEqual([
+      {
+        key: 'county',
+        label: 'Counties',
+        areas: [
+          { slug: 'fayette-county', name: 'Fayette County', count: 1 },
+          { slug: 'pike-county', name: 'Pike County', count: 2 }
+        ]
+      },
+      {
+        key: 'quadrangle',
+        label: '7.5-Minute Quadrangles',
+        areas: [
+          { slug: 'lexington-west-quadrangle', name: 'Lexington West Quadrangle', count: 1 },
+          { slug: 'pikeville-quadrangle', name: 'Pikeville Quadrangle', count: 1 }
+        ]
+      }
+    ]);
+  });
+
+  it('counts an area once per publication', () => {
+    const publication = { area_ids: [{ area_id: pike }, { area_id: { ...pike } }, { area_id: null }] };
+
+    expect(getPublicationAreas(publication)).toEqual([pike]);
+    expect(listAreaFacets([publication])[0].areas).toEqual([{ slug: 'pike-county', name: 'Pike County', count: 1 }]);
+  });
+
+  it('returns no facets for publications without areas', () => {
+    expect(listAreaFacets([{ id: 1 }])).toEqual([]);
+  });
+});
+
+describe('fetchAreaBySlug', () => {
+  it('finds counties and quadrangles by slug', async () => {
+    expect(await fetchAreaBySlug('pike-county')).toEqual(pike);
+    expect(await fetchAreaBySlug('lexington-west-quadrangle')).toEqual(lexingtonWest);
+  });
+
+  it('returns null for unknown or malformed slugs', async () => {
+    expect(await fetchAreaBySlug('pike-quadrangle')).toBeNull();
+    expect(await fetchAreaBySlug('Pike County')).toBeNull();
+    expect(await fetchAreaBySlug('')).toBeNull();
+  });
+
+  it('throws when the publications database is down', async () => {
+    await mock.withDirectusDown(async () => {
+      await expect(fetchAreaBySlug('pike-county')).rejects.toThrow('Directus is unavailable');
+    });
+  });
+});
+
+describe('fetchPublishedAreas', () => {
+  it('lists each area with a published publication once, by slug', async () => {
+    const areas = await fetchPublishedAreas();
+
+    expect(areas.map(getAreaSlug)).toEqual([
+      'fayette-county',
+      'lexington-west-quadrangle',
+      'pike-county',
+      'pikeville-quadrangle'
+    ]);
+  });
+});
+
+describe('fetchAreaPublications', () => {
+  it('lists every publication for an area, newest first, keeping superseded editions', async () => {
+    const publications = await fetchAreaPublications(pike);
+
+    expect(publications.map(publication => publication.id)).toEqual([102, 101, 106]);
+    expect(publications.find(publication => publication.id === 106).supersededByReference).toBeTruthy();
+  });
+
+  it('returns nothing for an area without publications', async () => {
+    expect(await fetchAreaPublications({ id: 5, name: 'Harlan', areatype: 'County' })).toEqual([]);
+  });
+});
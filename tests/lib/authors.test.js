@@ -0,0 +1,141 @@
+// tests/lib/authors.test.js
+// Linking publication authors to staff profiles, and staff publication lists
+import { describe, it, expect, vi } from 'vitest';
+import { useMockDirectus } from '../helpers/mockDirectus.js';
+import { DirectusUnavailableError } from '../../src/lib/api_client.js';
+import { fetchPublicationsPage } from '../../src/lib/api_publications.js';
+import {
+  normalizeName,
+  fetchStaffForAuthors,
+  fetchAuthorOverrides,
+  createAuthorMatcher,
+  fetchAuthorMatcher,
+  fetchStaffPublications
+} from '../../src/lib/authors.js';
+
+// Real fetches, except where a test makes the publications database fail
+vi.mock('../../src/lib/api_publications.js', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, fetchPublicationsPage: vi.fn(actual.fetchPublicationsPage) };
+});
+
+const mock = useMockDirectus();
+
+const staffMember = (id, first_name, last_name) => ({ id, first_name, last_name, slug: `${first_name}-${last_name}`.toLowerCase() });
+
+describe('normalizeName', () => {
+  it('ignores case, accents and punctuation', () => {
+    expect(normalizeName("O'Neil")).toBe('oneil');
+    expect(normalizeName('José')).toBe('jose');
+    expect(normalizeName(null)).toBe('');
+  });
+});
+
+describe('createAuthorMatcher', () => {
+  const staff = [staffMember(1, 'John', 'Smith'), staffMember(2, 'Maria', 'Garcia'), staffMember(3, 'Mark', 'Garcia')];
+
+  it('matches authors to staff by first and last name', () => {
+    const match = createAuthorMatcher(staff);
+
+    expect(match({ first_name: 'John', middle_name: 'A.', last_name: 'Smith' })?.id).toBe(1);
+    expect(match({ first_name: 'maria', last_name: 'GARCIA' })?.id).toBe(2);
+    expect(match({ first_name: 'Nobody', last_name: 'Here' })).toBeNull();
+    expect(match(null)).toBeNull();
+  });
+
+  it('matches initials only when one staff member fits', () => {
+    const match = createAuthorMatcher(staff);
+
+    expect(match({ first_name: 'J.', last_name: 'Smith' })?.id).toBe(1);
+    expect(match({ first_name: 'J. A.', last_name: 'Smith' })?.id).toBe(1);
+    expect(match({ first_name: 'M.', last_name: 'Garcia' })).toBeNull();
+    expect(match({ first_name: 'Jo', last_name: 'Smith' })).toBeNull();
+  });
+
+  it('lets overrides link or unlink an author', () => {
+    const match = createAuthorMatcher(staff, [
+      { authors_id: 4, staff_id: { id: 2, slug: 'maria-garcia' } },
+      { authors_id: 5, staff_id: null },
+      { authors_id: 6, staff_id: { id: 9, slug: 'former-employee', status: 'archived' } }
+    ]);
+
+    expect(match({ id: 4, first_name: 'Mia', last_name: 'Garcia-Lopez' })?.slug).toBe('maria-garcia');
+    expect(match({ id: 5, first_name: 'John', last_name: 'Smith' })).toBeNull();
+    expect(match({ id: 6, first_name: 'Former', last_name: 'Employee' })).toBeNull();
+    expect(match({ id: 7, first_name: 'John', last_name: 'Smith' })?.id).toBe(1);
+  });
+
+  it('matches staff without a first name only by full name', () => {
+    const match = createAuthorMatcher([{ id: 4, first_name: null, last_name: 'Lee', slug: 'lee' }]);
+
+    expect(match({ first_name: '', last_name: 'Lee' })?.id).toBe(4);
+    expect(match({ first_name: 'U.', last_name: 'Lee' })).toBeNull();
+  });
+});
+
+describe('fetchAuthorMatcher', () => {
+  it('matches against active staff and the override collection', async () => {
+    const match = await fetchAuthorMatcher();
+
+    expect(match({ id: 1, first_name: 'John', middle_name: 'A.', last_name: 'Smith' })?.slug).toBe('john-smith');
+    expect(match({ id: 4, first_name: 'Bob', last_name: 'Brown' })?.slug).toBe('robert-brown');
+    expect(match({ id: 5, first_name: 'John', middle_name: 'R.', last_name: 'Smith' })).toBeNull();
+    expect(match({ id: 6, first_name: 'M.', last_name: 'Garcia' })?.slug).toBe('maria-garcia');
+    expect(match({ first_name: 'Former', last_name: 'Employee' })).toBeNull();
+  });
+
+  it('links nobody when Directus is down', async () => {
+    await mock.withDirectusDown(async () => {
+      expect(await fetchStaffForAuthors()).toEqual([]);
+      expect(await fetchAuthorOverrides()).toEqual([]);
+    });
+  });
+});
+
+describe('fetchStaffPublications', () => {
+  const titles = (result) => result.publications.map(publication => publication.title);
+
+  it('lists publications by every author record matched to a staff member, newest first', async () => {
+    const result = await fetchStaffPublications({ id: 3, first_name: 'Maria', last_name: 'Garcia' });
+
+    expect(titles(result)).toEqual(['Karst Groundwater in Kentucky', 'Karst Groundwater Basics', 'Karst in Kentucky']);
+    expect(result).toMatchObject({ totalCount: 3, page: 1, totalPages: 1 });
+  });
+
+  it('follows overrides and skips unlinked namesakes', async () => {
+    const brown = await fetchStaffPublications({ id: 5, first_name: 'Robert', last_name: 'Brown' });
+    const smith = await fetchStaffPublications({ id: 2, first_name: 'John', last_name: 'Smith' });
+
+    expect(titles(brown)).toEqual(['Coal Geology of Eastern Kentucky']);
+    expect(titles(smith)).toEqual(['Landslides in Kentucky', 'Coal Resources of the Pikeville Quadrangle']);
+  });
+
+  it('pages through the list', async () => {
+    const result = await fetchStaffPublications({ id: 3, first_name: 'Maria', last_name: 'Garcia' }, { page: 2, limit: 2 });
+
+    expect(titles(result)).toEqual(['Karst in Kentucky']);
+    expect(result).toMatchObject({ totalCount: 3, page: 2, totalPages: 2 });
+  });
+
+  it('returns nothing for staff without publications', async () => {
+    const result = await fetchStaffPublications({ id: 8, first_name: 'Pat', last_name: 'Lee' });
+
+    expect(result).toEqual({ publications: [], totalCount: 0, page: 1, totalPages: 0 });
+  });
+
+  it('returns an empty page when the publications database rejects the request', async () => {
+    const muted = vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.mocked(fetchPublicationsPage).mockRejectedValueOnce(Object.assign(new Error('Request failed with status code 403'), { response: { status: 403 } }));
+
+    const result = await fetchStaffPublications({ id: 3, first_name: 'Maria', last_name: 'Garcia' });
+
+    expect(result).toEqual({ publications: [], totalCount: 0, page: 1, totalPages: 0 });
+    muted.mockRestore();
+  });
+
+  it('passes outages through', async () => {
+    vi.mocked(fetchPublicationsPage).mockRejectedValueOnce(new DirectusUnavailableError('/items/publications'));
+
+    await expect(fetchStaffPublications({ id: 3, first_name: 'Maria', last_name: 'Garcia' })).rejects.toBeInstanceOf(DirectusUnavailableError);
+  });
+});
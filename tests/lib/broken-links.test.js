@@ -0,0 +1,98 @@
+// tests/lib/broken-links.test.js
+// Links in Directus rich text and the broken link report
+import { describe, it, expect, beforeEach } from 'vitest';
+import { useMockDirectus } from '../helpers/mockDirectus.js';
+import { extractLinks, toSitePath, fetchRichTextLinks, fetchContentLinks, buildBrokenLinkReport } from '../../src/lib/broken-links.js';
+import { recordNotFound, clearNotFoundLog } from '../../src/lib/not-found-log.js';
+
+const mock = useMockDirectus();
+
+const SITE_URL = 'https://kygs.uky.edu';
+
+beforeEach(() => {
+  clearNotFoundLog();
+});
+
+describe('extractLinks', () => {
+  it('finds href and src values in either quote style', () => {
+    expect(extractLinks('<a href="/news?a=1&amp;b=2">News</a><img src=\'/img/map.png\' alt="">')).toEqual([
+      { attribute: 'href', value: '/news?a=1&b=2' },
+      { attribute: 'src', value: '/img/map.png' }
+    ]);
+    expect(extractLinks(null)).toEqual([]);
+  });
+});
+
+describe('toSitePath', () => {
+  it.each([
+    ['/pubs/report?id=1#top', '/pubs/report'],
+    ['https://kygs.uky.edu/staff/jdoe', '/staff/jdoe'],
+    ['https://example.com/staff', null],
+    ['//cdn.example.com/lib.js', null],
+    ['mailto:kgs@uky.edu', null],
+    ['#section', null]
+  ])('reads %s as %s', (value, expected) => {
+    expect(toSitePath(value, SITE_URL)).toBe(expected);
+  });
+});
+
+describe('fetchRichTextLinks', () => {
+  it('reads rich text and link fields, including links to other sites', async () => {
+    const links = await fetchRichTextLinks({ siteUrl: SITE_URL });
+
+    expect(links).toContainEqual(expect.objectContaining({
+      path: null,
+      href: 'https://www.uky.edu/KGS/coal/coalfields.htm',
+      source: expect.objectContaining({ collection: 'lab_content_blocks', field: 'url', url: '/labs/hazards/projects' })
+    }));
+    expect(links).toContainEqual(expect.objectContaining({
+      path: '/intern/apply',
+      source: expect.objectContaining({ collection: 'intern_details', title: '2025 Intern Program', url: '/intern/2025' })
+    }));
+    expect(links.some(link => link.href === '/KGS/draft.htm')).toBe(false);
+  });
+});
+
+describe('fetchContentLinks', () => {
+  it('lists internal links with the item and page they appear on', async () => {
+    const links = await fetchContentLinks({ siteUrl: SITE_URL });
+
+    expect(links).toContainEqual(expect.objectContaining({
+      path: '/pubs/karst-report',
+      source: expect.objectContaining({ collection: 'articles', title: 'Survey Receives Groundwater Grant', field: 'content', url: '/news/groundwater-grant' })
+    }));
+    expect(links).toContainEqual(expect.objectContaining({
+      path: '/staff/jdoe',
+      source: expect.objectContaining({ collection: 'labs', title: 'Geologic Hazards Lab', url: '/labs/hazards' })
+    }));
+    expect(links.some(link => link.href.startsWith('mailto:'))).toBe(false);
+  });
+});
+
+describe('buildBrokenLinkReport', () => {
+  it('pairs logged 404s with internal referrers and the content linking to them', async () => {
+    recordNotFound('/pubs/karst-report', { referrer: `${SITE_URL}/news/groundwater-grant` });
+    recordNotFound('/pubs/karst-report', { referrer: 'https://example.com/bookmarks' });
+    recordNotFound('/staff/jdoe');
+
+    const report = await buildBrokenLinkReport({ siteUrl: SITE_URL });
+
+    expect(report.contentAvailable).toBe(true);
+    expect(report.paths.map(entry => [entry.path, entry.count])).toEqual([['/pubs/karst-report', 2], ['/staff/jdoe', 1]]);
+    expect(report.paths[0].internalReferrers.map(item => item.url)).toEqual([`${SITE_URL}/news/groundwater-grant`]);
+    expect(report.paths[0].externalReferrers.map(item => item.url)).toEqual(['https://example.com/bookmarks']);
+    expect(report.paths[0].contentLinks.map(link => link.source.url)).toEqual(['/news/groundwater-grant']);
+    expect(report.paths[1].contentLinks.map(link => link.source.url)).toEqual(['/labs/hazards']);
+  });
+
+  it('still lists the log while Directus is down', async () => {
+    recordNotFound('/pubs/karst-report');
+
+    await mock.withDirectusDown(async () => {
+      const report = await buildBrokenLinkReport({ siteUrl: SITE_URL });
+
+      expect(report.contentAvailable).toBe(false);
+      expect(report.paths[0]).toMatchObject({ path: '/pubs/karst-report', contentLinks: [] });
+    });
+  });
+});
@@ -0,0 +1,160 @@
+// tests/lib/calendar.test.js
+// iCalendar feed, per-event .ics downloads and add-to-calendar links
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { useMockDirectus } from '../helpers/mockDirectus.js';
+import {
+  toCalendarEvent,
+  toICS,
+  getEventIcsUrl,
+  getGoogleCalendarUrl,
+  getOutlookCalendarUrl
+} from '../../src/lib/calendar.js';
+import { GET as eventsFeed } from '../../src/pages/news/events.ics.js';
+import { GET as eventDownload } from '../../src/pages/news/[slug].ics.js';
+
+const mock = useMockDirectus();
+
+const siteUrl = 'https://www.uky.edu/KGS';
+const url = (path) => new URL(`http://localhost${path}`);
+const field = (ics, name) => ics.split('\r\n').filter(line => line.startsWith(`${name}`));
+
+const workshop = {
+  slug: 'karst-workshop',
+  title: 'Karst Workshop',
+  excerpt: 'Hands-on karst mapping; bring boots, water.',
+  event_date: '2025-11-01T09:00:00',
+  event_end: '2025-11-01T16:30:00',
+  event_location: 'Mining and Mineral Resources Building, Lexington, KY'
+};
+
+// Pin "today" so upcoming/past classification doesn't drift
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(new Date('2025-06-01T15:00:00Z'));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('toCalendarEvent', () => {
+  it('keeps timed events in Eastern time', () => {
+    const event = toCalendarEvent(workshop, { siteUrl });
+
+    expect(event).toMatchObject({
+      uid: 'karst-workshop@www.uky.edu',
+      allDay: false,
+      start: { year: 2025, month: 11, day: 1, hour: 9 },
+      end: { hour: 16, minute: 30 },
+      url: 'https://www.uky.edu/KGS/news/karst-workshop'
+    });
+  });
+
+  it('ends all-day events on the day after the last day', () => {
+    const event = toCalendarEvent({ ...workshop, event_date: '2025-12-30', event_end: '2026-01-02' }, { siteUrl });
+
+    expect(event.allDay).toBe(true);
+    expect(event.end).toMatchObject({ year: 2026, month: 1, day: 3 });
+  });
+
+  it('gives events without an end an hour', () => {
+    expect(toCalendarEvent({ ...workshop, event_end: null }, { siteUrl }).end).toMatchObject({ day: 1, hour: 10 });
+  });
+
+  it('skips articles without an event date', () => {
+    expect(toCalendarEvent({ ...workshop, event_date: null }, { siteUrl })).toBeNull();
+  });
+});
+
+describe('toICS', () => {
+  const render = () => toICS([toCalendarEvent(workshop, { siteUrl })]);
+
+  it('writes events with a TZID and the America/New_York timezone', () => {
+    const ics = render();
+
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics).toContain('BEGIN:VTIMEZONE\r\nTZID:America/New_York\r\n');
+    expect(field(ics, 'DTSTART;TZID')).toEqual(['DTSTART;TZID=America/New_York:20251101T090000']);
+    expect(field(ics, 'DTEND')).toEqual(['DTEND;TZID=America/New_York:20251101T163000']);
+    expect(field(ics, 'DTSTAMP')).toEqual(['DTSTAMP:20250601T150000Z']);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+  });
+
+  it('escapes text and folds long lines at 75 octets', () => {
+    const ics = render();
+    const lines = ics.split('\r\n');
+    const unfolded = ics.replace(/\r\n /g, '');
+
+    expect(lines.every(line => new TextEncoder().encode(line).length <= 75)).toBe(true);
+    expect(unfolded).toContain('DESCRIPTION:Hands-on karst mapping\\; bring boots\\, water.\\n\\nhttps://www.uky.edu/KGS/news/karst-workshop');
+    expect(unfolded).toContain('LOCATION:Mining and Mineral Resources Building\\, Lexington\\, KY');
+  });
+
+  it('writes all-day events as dates', () => {
+    const allDay = toICS([toCalendarEvent({ ...workshop, event_date: '2025-11-01', event_end: null }, { siteUrl })]);
+
+    expect(field(allDay, 'DTSTART;VALUE')).toEqual(['DTSTART;VALUE=DATE:20251101']);
+    expect(field(allDay, 'DTEND')).toEqual(['DTEND;VALUE=DATE:20251102']);
+  });
+});
+
+describe('add-to-calendar links', () => {
+  const event = toCalendarEvent(workshop, { siteUrl });
+
+  it('link to the .ics download', () => {
+    expect(getEventIcsUrl('karst-workshop')).toBe('/news/karst-workshop.ics');
+  });
+
+  it('give Google the wall-clock time and timezone', () => {
+    const params = new URL(getGoogleCalendarUrl(event)).searchParams;
+
+    expect(params.get('dates')).toBe('20251101T090000/20251101T163000');
+    expect(params.get('ctz')).toBe('America/New_York');
+    expect(params.get('text')).toBe('Karst Workshop');
+  });
+
+  it('give Outlook UTC times', () => {
+    const params = new URL(getOutlookCalendarUrl(event)).searchParams;
+
+    expect(params.get('startdt')).toBe('2025-11-01T13:00:00.000Z');
+    expect(params.get('enddt')).toBe('2025-11-01T20:30:00.000Z');
+    expect(params.get('allday')).toBe('false');
+  });
+});
+
+describe('calendar routes', () => {
+  it('serve upcoming events as a subscribable calendar', async () => {
+    const response = await eventsFeed({ url: url('/news/events.ics') });
+    const ics = await response.text();
+
+    expect(response.headers.get('Content-Type')).toBe('text/calendar; charset=utf-8');
+    expect(field(ics, 'UID').sort()).toEqual(['UID:geology-field-day@localhost', 'UID:summer-teacher-workshop@localhost']);
+    expect(ics).toContain('DTSTART;TZID=America/New_York:20990501T090000');
+  });
+
+  it('return 503 instead of an empty calendar while Directus is down', async () => {
+    await mock.withDirectusDown(async () => {
+      expect((await eventsFeed({ url: url('/news/events.ics') })).status).toBe(503);
+    });
+  });
+
+  it('return 503 instead of 404 for a download while Directus is down', async () => {
+    await mock.withDirectusDown(async () => {
+      const response = await eventDownload({ params: { slug: 'geology-field-day' }, url: url('/news/geology-field-day.ics') });
+
+      expect(response.status).toBe(503);
+      expect(response.headers.get('Retry-After')).toBe('120');
+    });
+  });
+
+  it('download one event', async () => {
+    const response = await eventDownload({ params: { slug: 'geology-field-day' }, url: url('/news/geology-field-day.ics') });
+
+    expect(response.headers.get('Content-Disposition')).toBe('attachment; filename="geology-field-day.ics"');
+    expect(field(await response.text(), 'LOCATION')).toEqual(['LOCATION:Lexington\\, KY']);
+  });
+
+  it.each(['new-landslide-inventory', 'no-such-event'])('return 404 for %s', async (slug) => {
+    expect((await eventDownload({ params: { slug }, url: url(`/news/${slug}.ics`) })).status).toBe(404);
+  });
+});
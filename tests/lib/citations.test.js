@@ -0,0 +1,238 @@
+// tests/lib/citations.test.js
+// Citation export for publications database items and lab publications
+import { describe, it, expect } from 'vitest';
+import { useMockDirectus } from '../helpers/mockDirectus.js';
+import {
+  parseAuthorList,
+  toCitationItem,
+  formatAPA,
+  formatChicago,
+  toBibTeX,
+  toRIS,
+  toCSLJSON,
+  formatCitations,
+  getCitationExportUrl
+} from '../../src/lib/citations.js';
+import { fetchPublicationsByIds } from '../../src/lib/api_publications.js';
+import { fetchLabPublicationsByIds } from '../../src/lib/api_labs.js';
+import { GET } from '../../src/pages/api/citations.js';
+
+const mock = useMockDirectus();
+
+const exportRequest = (query) => GET({ url: new URL(`http://localhost/api/citations?${query}`) });
+
+describe('parseAuthorList', () => {
+  it.each([
+    ['Adams, A., Smith, J.A.', [{ family: 'Adams', given: 'A.' }, { family: 'Smith', given: 'J.A.' }]],
+    ['Adams, Ann; Smith, John', [{ family: 'Adams', given: 'Ann' }, { family: 'Smith', given: 'John' }]],
+    ['Ann Adams and John Smith', [{ family: 'Adams', given: 'Ann' }, { family: 'Smith', given: 'John' }]],
+    ['Jane Doe', [{ family: 'Doe', given: 'Jane' }]],
+    ['', []]
+  ])('reads "%s"', (authors, names) => {
+    expect(parseAuthorList(authors)).toEqual(names);
+  });
+});
+
+describe('publications database items', () => {
+  it('become CSL-JSON with series, pages and publisher', async () => {
+    const [report] = await fetchPublicationsByIds([101]);
+
+    expect(toCitationItem(report)).toEqual({
+      id: 'kgs-pub-101',
+      type: 'report',
+      title: 'Coal Resources of the Pikeville Quadrangle',
+      author: [{ family: 'Smith', given: 'John A.' }],
+      issued: { 'date-parts': [[2019]] },
+      DOI: '10.13023/kgs.ri44.12',
+      URL: 'https://doi.org/10.13023/kgs.ri44.12',
+      'collection-title': 'Report of Investigations',
+      'collection-number': '44',
+      'number-of-pages': 52,
+      publisher: 'Kentucky Geological Survey',
+      'publisher-place': 'Lexington, KY'
+    });
+  });
+
+  it('format as APA and Chicago references', async () => {
+    const [factsheet] = await fetchPublicationsByIds([104]);
+    const item = toCitationItem(factsheet);
+
+    expect(formatAPA(item)).toBe(
+      'Garcia, M. (2023). Karst Groundwater in Kentucky (Fact Sheet 14). Kentucky Geological Survey. https://example.org/fs14.pdf'
+    );
+    expect(formatChicago(item)).toBe(
+      'Garcia, Maria. 2023. “Karst Groundwater in Kentucky.” Fact Sheet 14. Lexington, KY: Kentucky Geological Survey. https://example.org/fs14.pdf'
+    );
+  });
+
+  it('export as BibTeX and RIS', async () => {
+    const items = (await fetchPublicationsByIds([103, 104])).map(toCitationItem);
+
+    expect(toBibTeX(items)).toBe([
+      '@techreport{garcia2010karst,',
+      '  author = {Garcia, Maria},',
+      '  title = {{Karst Groundwater Basics}},',
+      '  year = {2010},',
+      '  number = {3},',
+      '  series = {Fact Sheet},',
+      '  institution = {Kentucky Geological Survey},',
+      '  address = {Lexington, KY},',
+      '  url = {https://example.org/fs3.pdf}',
+      '}',
+      '',
+      '@techreport{garcia2023karst,',
+      '  author = {Garcia, Maria},',
+      '  title = {{Karst Groundwater in Kentucky}},',
+      '  year = {2023},',
+      '  number = {14},',
+      '  series = {Fact Sheet},',
+      '  institution = {Kentucky Geological Survey},',
+      '  address = {Lexington, KY},',
+      '  url = {https://example.org/fs14.pdf}',
+      '}',
+      ''
+    ].join('\n'));
+
+    expect(toRIS(items.slice(0, 1)).split('\r\n')).toEqual([
+      'TY  - RPRT',
+      'AU  - Garcia, Maria',
+      'TI  - Karst Groundwater Basics',
+      'PY  - 2010',
+      'T3  - Fact Sheet',
+      'IS  - 3',
+      'PB  - Kentucky Geological Survey',
+      'CY  - Lexington, KY',
+      'UR  - https://example.org/fs3.pdf',
+      'ER  -',
+      ''
+    ]);
+  });
+
+  it('keeps the requested order and skips unknown ids', async () => {
+    const publications = await fetchPublicationsByIds([104, 999, 101]);
+
+    expect(publications.map(publication => publication.id)).toEqual([104, 101]);
+  });
+});
+
+describe('lab publications', () => {
+  it('become CSL-JSON from the free-text author list', async () => {
+    const [paper] = await fetchLabPublicationsByIds([2]);
+    const item = toCitationItem(paper);
+
+    expect(item).toEqual({
+      id: 'kgs-lab-2',
+      type: 'paper-conference',
+      title: 'Debris Flow Runout Modeling',
+      author: [{ family: 'Adams', given: 'A.' }, { family: 'Smith', given: 'J.A.' }],
+      issued: { 'date-parts': [[2024]] }
+    });
+    expect(formatAPA(item)).toBe('Adams, A., & Smith, J. A. (2024). Debris Flow Runout Modeling.');
+  });
+
+  it('format journal articles with volume, issue and pages', () => {
+    const item = toCitationItem({
+      id: 9,
+      title: 'Rainfall Thresholds for Landslides',
+      year: 2023,
+      authors: 'Smith, J.A.',
+      journal: 'Landslides',
+      volume: '20',
+      issue: '4',
+      pages: '100-112',
+      doi: '10.1000/slides.2023',
+      publication_type: 'journal'
+    });
+
+    expect(formatAPA(item)).toBe(
+      'Smith, J. A. (2023). Rainfall Thresholds for Landslides. Landslides, 20(4), 100-112. https://doi.org/10.1000/slides.2023'
+    );
+    expect(formatChicago(item)).toBe(
+      'Smith, J.A. 2023. “Rainfall Thresholds for Landslides.” Landslides 20 (4): 100-112. https://doi.org/10.1000/slides.2023'
+    );
+    expect(toBibTeX([item])).toContain('@article{smith2023rainfall,');
+    expect(toBibTeX([item])).toContain('  pages = {100--112},');
+    expect(toRIS([item])).toContain('SP  - 100\r\nEP  - 112');
+  });
+
+  it.each([
+    ['Jean-Paul', 'Martin, J.-P. (2020). Field Guide.'],
+    ['J.-P.', 'Martin, J.-P. (2020). Field Guide.'],
+    ['Mary- Ann', 'Martin, M.-A. (2020). Field Guide.'],
+    ['J.A.', 'Martin, J. A. (2020). Field Guide.'],
+    ['- (Jo)', 'Martin, J. (2020). Field Guide.']
+  ])('abbreviates the given name "%s"', (given, reference) => {
+    const item = { id: 'kgs-lab-7', type: 'document', title: 'Field Guide', author: [{ family: 'Martin', given }], issued: { 'date-parts': [[2020]] } };
+
+    expect(formatAPA(item)).toBe(reference);
+  });
+
+  it('handles publications without authors or a year', async () => {
+    const item = toCitationItem({ id: 5, title: 'Field Guide', authors: null, year: null, publication_type: 'other' });
+
+    expect(item.type).toBe('document');
+    expect(formatAPA(item)).toBe('(n.d.). Field Guide.');
+    expect(toBibTeX([item])).toBe('@misc{kgsfield,\n  title = {{Field Guide}}\n}\n');
+  });
+
+  it('gives every BibTeX entry its own key, however many share a base key', () => {
+    const items = Array.from({ length: 60 }, (_, index) => toCitationItem({ id: index, title: 'Field Guide', year: 2020 }));
+    const keys = toBibTeX(items).match(/^@misc\{[^,]+/gm).map(line => line.slice(6));
+
+    expect(new Set(keys).size).toBe(60);
+    expect(keys.slice(0, 3)).toEqual(['kgs2020field', 'kgs2020fielda', 'kgs2020fieldb']);
+    expect(keys.slice(26, 29)).toEqual(['kgs2020fieldz', 'kgs2020fieldaa', 'kgs2020fieldab']);
+  });
+});
+
+describe('formatCitations', () => {
+  it('writes CSL-JSON as an array', () => {
+    const items = [toCitationItem({ id: 1, title: 'A', year: 2020 })];
+
+    expect(JSON.parse(formatCitations(items, 'csl-json'))).toEqual(JSON.parse(toCSLJSON(items)));
+  });
+
+  it('rejects unknown formats', () => {
+    expect(() => formatCitations([], 'endnote')).toThrow('Unknown citation format: endnote');
+  });
+
+  it('builds export URLs', () => {
+    expect(getCitationExportUrl([101, 104], 'ris')).toBe('/api/citations?ids=101%2C104&format=ris&source=publications');
+  });
+});
+
+describe('GET /api/citations', () => {
+  it('downloads citations for several publications', async () => {
+    const response = await exportRequest('ids=101,104&format=ris');
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toBe('application/x-research-info-systems; charset=utf-8');
+    expect(response.headers.get('Content-Disposition')).toBe('attachment; filename="kgs-citations.ris"');
+    expect((await response.text()).match(/^TY {2}- /gm)).toHaveLength(2);
+  });
+
+  it('names single downloads after the publication', async () => {
+    const response = await exportRequest('ids=3&format=bibtex&source=lab');
+
+    expect(response.headers.get('Content-Disposition')).toBe('attachment; filename="kgs-publication-3.bib"');
+    expect(await response.text()).toContain('@techreport{smith2021lidar,');
+  });
+
+  it.each([
+    ['ids=101&format=endnote', 400],
+    ['ids=101&source=library', 400],
+    ['format=bibtex', 400],
+    ['ids=999&format=bibtex', 404]
+  ])('rejects %s with %i', async (query, status) => {
+    expect((await exportRequest(query)).status).toBe(status);
+  });
+
+  it.each(['publications', 'lab'])('responds 503 for %s while Directus is down', async (source) => {
+    await mock.withDirectusDown(async () => {
+      const response = await exportRequest(`ids=3&format=ris&source=${source}`);
+
+      expect(response.status).toBe(503);
+      expect(response.headers.get('Retry-After')).toBe('120');
+    });
+  });
+});
@@ -0,0 +1,59 @@
+// tests/lib/collections.test.js
+// The collection registry drives /pubs/collections/[key], the Pubs nav menu and the pubs landing page
+import { describe, it, expect } from 'vitest';
+import { useMockDirectus } from '../helpers/mockDirectus.js';
+import {
+  getPublicationCollection,
+  listPublicationCollections,
+  getCollectionUrl,
+  fetchCollectionPublications
+} from '../../src/lib/collections/index.js';
+
+useMockDirectus();
+
+const titles = (publications) => publications.map(publication => publication.title);
+
+describe('collection registry', () => {
+  it('lists every collection with a unique key and the fields the browser needs', () => {
+    const collections = listPublicationCollections();
+    const keys = collections.map(collection => collection.key);
+
+    expect(keys).toEqual(['coal', 'oil-gas', 'water', 'hazards']);
+    collections.forEach(collection => {
+      expect(collection.collectionField || collection.category).toBeTruthy();
+      expect(collection).toMatchObject({
+        title: expect.any(String),
+        description: expect.any(String),
+        summary: expect.any(String),
+        icon: expect.stringMatching(/^fa-/)
+      });
+    });
+  });
+
+  it('looks collections up by key', () => {
+    expect(getPublicationCollection('coal').collectionField).toBe('Coal_Browsing_Collection');
+    expect(getPublicationCollection('nope')).toBeNull();
+    expect(getCollectionUrl(getPublicationCollection('oil-gas'))).toBe('/pubs/collections/oil-gas');
+  });
+});
+
+describe('fetchCollectionPublications', () => {
+  it('fetches a flag-based collection', async () => {
+    const publications = await fetchCollectionPublications(getPublicationCollection('coal'));
+
+    expect(titles(publications)).toEqual(['Coal Resources of the Pikeville Quadrangle', 'Coal Geology of Eastern Kentucky']);
+  });
+
+  it('fetches a category-based collection from the taxonomy', async () => {
+    // The Directus rules weigh "karst" below the threshold, so karst titles alone aren't hazards
+    expect(titles(await fetchCollectionPublications(getPublicationCollection('hazards')))).toEqual(['Landslides in Kentucky']);
+    expect(titles(await fetchCollectionPublications(getPublicationCollection('water')))).toEqual([
+      'Karst Groundwater in Kentucky',
+      'Karst Groundwater Basics'
+    ]);
+  });
+
+  it('is empty while no publication reaches the category threshold', async () => {
+    expect(await fetchCollectionPublications(getPublicationCollection('oil-gas'))).toEqual([]);
+  });
+});
@@ -0,0 +1,151 @@
+// tests/lib/feeds.test.js
+// RSS and Atom feeds for news, news categories and labs
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { useMockDirectus } from '../helpers/mockDirectus.js';
+import {
+  NEWS_FEEDS,
+  getNewsFeed,
+  getLabFeed,
+  getFeedUrl,
+  getFeedLinks,
+  toFeedItem,
+  toRSS,
+  toAtom
+} from '../../src/lib/feeds.js';
+import { GET as allNewsRSS } from '../../src/pages/news/feed.xml.js';
+import { GET as categoryAtom } from '../../src/pages/news/[category]/atom.xml.js';
+import { GET as categoryRSS } from '../../src/pages/news/[category]/feed.xml.js';
+import { GET as labRSS } from '../../src/pages/labs/[slug]/feed.xml.js';
+
+const mock = useMockDirectus();
+
+const siteUrl = 'https://www.uky.edu/KGS';
+const url = (path) => new URL(`http://localhost${path}`);
+const links = (xml) => Array.from(xml.matchAll(/<link>([^<]+)<\/link>/g), match => match[1]).slice(1);
+
+// Pin "today" so expired events stay out of the feeds
+beforeEach(() => {
+  vi.useFakeTimers({ toFake: ['Date'] });
+  vi.setSystemTime(new Date('2025-06-01T15:00:00Z'));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('feed URLs', () => {
+  it('live under the listing they mirror', () => {
+    expect(getFeedUrl(NEWS_FEEDS.all)).toBe('/news/feed.xml');
+    expect(getFeedUrl(getNewsFeed('research'), 'atom')).toBe('/news/research/atom.xml');
+    expect(getFeedUrl(getLabFeed({ name: 'Geologic Hazards Lab', slug: 'hazards' }))).toBe('/labs/hazards/feed.xml');
+  });
+
+  it('are offered in both formats for autodiscovery', () => {
+    expect(getFeedLinks(getNewsFeed('events'))).toEqual([
+      { format: 'rss', label: 'RSS', title: 'Kentucky Geological Survey Events (RSS)', type: 'application/rss+xml', href: '/news/events/feed.xml' },
+      { format: 'atom', label: 'Atom', title: 'Kentucky Geological Survey Events (Atom)', type: 'application/atom+xml', href: '/news/events/atom.xml' }
+    ]);
+  });
+
+  it('only exist for known categories', () => {
+    expect(getNewsFeed('press-releases')?.category).toBe('press');
+    expect(getNewsFeed('archive')).toBeNull();
+    expect(getNewsFeed('constructor')).toBeNull();
+  });
+});
+
+describe('rendering', () => {
+  const article = {
+    slug: 'maps-&-data',
+    title: 'New Maps & Data <Released>',
+    excerpt: 'Full excerpt, "quoted" and untruncated.',
+    publication_date: '2025-03-10',
+    category: 'research',
+    author: { first_name: 'Jane', last_name: 'Doe' },
+    main_image: 'image-1'
+  };
+  const files = new Map([['image-1', { id: 'image-1', type: 'image/png', filesize: 1234 }]]);
+  const item = toFeedItem(article, { siteUrl, files });
+
+  it('escapes RSS items and adds authors, category and an image enclosure', () => {
+    const rss = toRSS(NEWS_FEEDS.research, [item], { siteUrl });
+
+    expect(rss).toContain('<title>New Maps &amp; Data &lt;Released&gt;</title>');
+    expect(rss).toContain('<guid isPermaLink="true">https://www.uky.edu/KGS/news/maps-&amp;-data</guid>');
+    expect(rss).toContain('<pubDate>Mon, 10 Mar 2025 00:00:00 GMT</pubDate>');
+    expect(rss).toContain('<description>Full excerpt, &quot;quoted&quot; and untruncated.</description>');
+    expect(rss).toContain('<dc:creator>Jane Doe</dc:creator>');
+    expect(rss).toContain('<category>Research</category>');
+    expect(rss).toContain('<enclosure url="http://127.0.0.1:8056/assets/image-1" length="1234" type="image/png" />');
+    expect(rss).toContain('<atom:link href="https://www.uky.edu/KGS/news/research/feed.xml" rel="self" type="application/rss+xml" />');
+  });
+
+  it('writes Atom entries with ISO dates and enclosure links', () => {
+    const atom = toAtom(NEWS_FEEDS.research, [item], { siteUrl });
+
+    expect(atom).toContain('<updated>2025-03-10T00:00:00.000Z</updated>');
+    expect(atom).toContain('<summary type="text">Full excerpt, &quot;quoted&quot; and untruncated.</summary>');
+    expect(atom).toContain('<author>\n      <name>Jane Doe</name>\n    </author>');
+    expect(atom).toContain('<link href="http://127.0.0.1:8056/assets/image-1" rel="enclosure" type="image/png" length="1234" />');
+  });
+});
+
+describe('feed routes', () => {
+  it('serve all current news as RSS, leaving out expired events and drafts', async () => {
+    const response = await allNewsRSS({ url: url('/news/feed.xml') });
+    const rss = await response.text();
+
+    expect(response.headers.get('Content-Type')).toBe('application/rss+xml; charset=utf-8');
+    expect(links(rss)).toEqual([
+      'http://localhost/news/summer-teacher-workshop',
+      'http://localhost/news/new-landslide-inventory',
+      'http://localhost/news/geology-field-day',
+      'http://localhost/news/groundwater-grant'
+    ]);
+    expect(rss).toContain('<enclosure url="http://127.0.0.1:8056/assets/00000000-0000-4000-8000-000000000001" length="2048" type="image/svg+xml" />');
+    expect(rss).toContain('<dc:creator>John Smith</dc:creator>');
+  });
+
+  it('serve a category as Atom', async () => {
+    const response = await categoryAtom({ params: { category: 'events' }, url: url('/news/events/atom.xml') });
+    const atom = await response.text();
+
+    expect(response.headers.get('Content-Type')).toBe('application/atom+xml; charset=utf-8');
+    expect(Array.from(atom.matchAll(/<id>([^<]+)<\/id>/g), match => match[1])).toEqual([
+      'http://localhost/news/events',
+      'http://localhost/news/summer-teacher-workshop',
+      'http://localhost/news/geology-field-day'
+    ]);
+  });
+
+  it('serve a lab feed', async () => {
+    const response = await labRSS({ params: { slug: 'hazards' }, url: url('/labs/hazards/feed.xml') });
+    const rss = await response.text();
+
+    expect(rss).toContain('<title>Geologic Hazards Lab News</title>');
+    expect(links(rss)).toEqual(['http://localhost/news/new-landslide-inventory']);
+    expect(rss).toContain('length="2048" type="image/svg+xml"');
+    expect(rss).toContain('<dc:creator>John Smith</dc:creator>');
+  });
+
+  it.each([
+    ['an unknown category', () => categoryRSS({ params: { category: 'archive' }, url: url('/news/archive/feed.xml') })],
+    ['the all-news key as a category', () => categoryRSS({ params: { category: 'all' }, url: url('/news/all/feed.xml') })],
+    ['an unknown lab', () => labRSS({ params: { slug: 'nope' }, url: url('/labs/nope/feed.xml') })],
+    ['an unpublished lab', () => labRSS({ params: { slug: 'water' }, url: url('/labs/water/feed.xml') })]
+  ])('return 404 for %s', async (_, request) => {
+    expect((await request()).status).toBe(404);
+  });
+
+  it.each([
+    ['all news', () => allNewsRSS({ url: url('/news/feed.xml') })],
+    ['a lab', () => labRSS({ params: { slug: 'hazards' }, url: url('/labs/hazards/feed.xml') })]
+  ])('return 503 for %s while Directus is down', async (_, request) => {
+    await mock.withDirectusDown(async () => {
+      const response = await request();
+
+      expect(response.status).toBe(503);
+      expect(response.headers.get('Retry-After')).toBe('120');
+    });
+  });
+});
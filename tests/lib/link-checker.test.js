@@ -0,0 +1,185 @@
+// tests/lib/link-checker.test.js
+// Link checks behind scripts/check-links.js
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { toSitePath } from '../../src/lib/broken-links.js';
+import { compileRedirectRules, findRedirect } from '../../src/lib/redirects.js';
+import {
+  listPageRoutes,
+  createRouteChecker,
+  createAssetChecker,
+  isLegacyLink,
+  checkLinks,
+  collectDistLinks,
+  buildLinkReport
+} from '../../src/lib/link-checker.js';
+
+const SITE_URL = 'https://kygs.uky.edu';
+const DIRECTUS_URL = 'https://kygs.uky.edu/directus';
+const PAGES_DIR = new URL('../../src/pages', import.meta.url).pathname;
+
+let distDir;
+
+beforeAll(async () => {
+  distDir = await fs.mkdtemp(path.join(os.tmpdir(), 'kgs-dist-'));
+  await fs.mkdir(path.join(distDir, 'client/about/board'), { recursive: true });
+  await fs.mkdir(path.join(distDir, 'client/images'), { recursive: true });
+  await fs.writeFile(path.join(distDir, 'client/images/map.png'), '');
+  await fs.writeFile(path.join(distDir, 'client/index.html'), '<a href="/staff">Staff</a><a href="mailto:kgs@uky.edu">Email</a>');
+  await fs.writeFile(path.join(distDir, 'client/about/board/index.html'), '<a href="members">Members</a><img src="/images/map.png">');
+});
+
+afterAll(async () => {
+  await fs.rm(distDir, { recursive: true, force: true });
+});
+
+describe('listPageRoutes', () => {
+  it('reads pages and endpoints from src/pages', async () => {
+    const routes = await listPageRoutes(PAGES_DIR);
+
+    expect(routes).toEqual(expect.arrayContaining([
+      '/', '/about/board', '/news/feed.xml', '/api/health', '/labs/[slug]/projects', '/news/[slug].ics', '/sitemap-[page].xml'
+    ]));
+    expect(routes.filter(route => route.includes('...') || /\/[._]/.test(route))).toEqual([]);
+  });
+
+  it('leaves out endpoints when asked', async () => {
+    const routes = await listPageRoutes(PAGES_DIR, { endpoints: false });
+
+    expect(routes).toEqual(expect.arrayContaining(['/', '/about/board', '/labs/[slug]/projects']));
+    expect(routes.filter(route => ['/news/feed.xml', '/api/health', '/sitemap-[page].xml'].includes(route))).toEqual([]);
+  });
+});
+
+describe('createRouteChecker', () => {
+  let isKnownRoute;
+
+  beforeAll(async () => {
+    isKnownRoute = createRouteChecker(
+      ['/', '/staff', '/news/geology-field-day', '/labs/hazards', '/geologic-mapping'],
+      await listPageRoutes(PAGES_DIR)
+    );
+  });
+
+  it.each([
+    ['/staff/', true],
+    ['/about/board', true],
+    ['/news/feed.xml', true],
+    ['/news/events/feed.xml', true],
+    ['/News/Geology-Field-Day', true],
+    ['/news/geology-field-day.ics', true],
+    ['/labs/hazards/projects', true],
+    ['/about/geologic-mapping', true],
+    ['/pubs/1234', true],
+    ['/news/archive/2024', true],
+    ['/sitemap-2.xml', true],
+    ['/news/retired-story', false],
+    ['/news/all/feed.xml', false],
+    ['/labs/water/projects', false],
+    ['/about/retired-page', false],
+    ['/pubs/old-report', false]
+  ])('%s is a route: %s', (pathname, expected) => {
+    expect(isKnownRoute(pathname)).toBe(expected);
+  });
+});
+
+describe('isLegacyLink', () => {
+  it.each([
+    ['/KGS/news', '/KGS/news', true],
+    ['https://www.uky.edu/KGS/coal/coalfields.htm', null, true],
+    ['https://uky.edu/kgs', null, true],
+    ['https://www.uky.edu/registrar', null, false],
+    ['/kgsmap', '/kgsmap', false]
+  ])('%s', (href, sitePath, expected) => {
+    expect(isLegacyLink(href, sitePath)).toBe(expected);
+  });
+});
+
+describe('checkLinks', () => {
+  const redirects = compileRedirectRules([
+    { match: 'prefix', from: '/KGS/coal', to: '/pubs/collections/coal', status: 302 },
+    { match: 'exact', from: '/research/karst', to: '/research/groundwater', status: 301 }
+  ]);
+  const source = { kind: 'page', url: '/' };
+  const link = (href) => ({ href, path: toSitePath(href, SITE_URL), source });
+
+  const check = (hrefs) => checkLinks(hrefs.map(link), {
+    isKnownRoute: createRouteChecker(['/staff', '/research/landslides']),
+    assetExists: (pathname) => pathname === '/images/map.png',
+    findRedirect: (pathname) => findRedirect(redirects, pathname),
+    directusUrl: DIRECTUS_URL,
+    directusFileIds: new Set(['file-1'])
+  });
+
+  it('passes routes, files, Directus assets and other sites', () => {
+    expect(check([
+      '/staff',
+      `${SITE_URL}/research/landslides#maps`,
+      '/images/map.png',
+      `${DIRECTUS_URL}/assets/file-1?width=400`,
+      'https://example.com/anything',
+      'mailto:kgs@uky.edu'
+    ])).toEqual([]);
+  });
+
+  it('reports broken routes, missing files and unknown Directus assets as errors', () => {
+    expect(check(['/staf', '/docs/report.pdf', `${DIRECTUS_URL}/assets/file-2`]).map(issue => [issue.type, issue.severity, issue.href])).toEqual([
+      ['broken-link', 'error', '/staf'],
+      ['missing-asset', 'error', '/docs/report.pdf'],
+      ['missing-asset', 'error', `${DIRECTUS_URL}/assets/file-2`]
+    ]);
+  });
+
+  it('flags legacy and redirected links with the page to link to instead', () => {
+    expect(check(['https://www.uky.edu/KGS/coal/fields.htm', '/KGS/minerals', '/research/karst']).map(issue => [issue.type, issue.severity, issue.suggestion])).toEqual([
+      ['legacy-link', 'warning', '/pubs/collections/coal'],
+      ['legacy-link', 'warning', null],
+      ['redirected-link', 'warning', '/research/groundwater']
+    ]);
+  });
+});
+
+describe('collectDistLinks', () => {
+  it('reads every page of the build output and resolves relative links', async () => {
+    const result = await collectDistLinks(distDir, { toSitePath: (href) => toSitePath(href, SITE_URL) });
+
+    expect(result.pages).toBe(2);
+    expect(result.links.map(item => [item.source.url, item.attribute, item.href, item.path])).toEqual(expect.arrayContaining([
+      ['/', 'href', '/staff', '/staff'],
+      ['/', 'href', 'mailto:kgs@uky.edu', null],
+      ['/about/board', 'href', '/about/board/members', '/about/board/members'],
+      ['/about/board', 'src', '/images/map.png', '/images/map.png']
+    ]));
+  });
+
+  it('finds files in the client build', () => {
+    const assetExists = createAssetChecker([path.join(distDir, 'client')]);
+
+    expect(assetExists('/images/map.png')).toBe(true);
+    expect(assetExists('/images/missing.png')).toBe(false);
+    expect(assetExists('/../../etc/passwd')).toBe(false);
+  });
+});
+
+describe('buildLinkReport', () => {
+  it('counts issues by type and severity', () => {
+    const report = buildLinkReport([
+      { type: 'broken-link', severity: 'error', href: '/a', path: '/a', source: {} },
+      { type: 'legacy-link', severity: 'warning', href: '/KGS', path: '/KGS', source: {}, suggestion: '/' }
+    ], { siteUrl: SITE_URL, pages: 3, links: 20, now: new Date('2025-06-01T15:00:00Z') });
+
+    expect(report).toMatchObject({
+      generatedAt: '2025-06-01T15:00:00.000Z',
+      siteUrl: SITE_URL,
+      scanned: { pages: 3, links: 20 },
+      summary: {
+        errors: 1,
+        warnings: 1,
+        byType: { 'broken-link': 1, 'missing-asset': 0, 'legacy-link': 1, 'redirected-link': 0 }
+      }
+    });
+    expect(report.issues).toHaveLength(2);
+  });
+});
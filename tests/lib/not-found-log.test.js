@@ -0,0 +1,105 @@
+// tests/lib/not-found-log.test.js
+// The persisted 404 log (the file is NOT_FOUND_LOG_FILE from vitest.config.js)
+import { describe, it, expect, beforeEach } from 'vitest';
+import fs from 'node:fs/promises';
+import {
+  recordNotFound,
+  listNotFound,
+  loadNotFoundLog,
+  flushNotFoundLog,
+  clearNotFoundLog,
+  NOT_FOUND_LOG_FILE,
+  NOT_FOUND_LOG_LIMIT,
+  REFERRER_LIMIT
+} from '../../src/lib/not-found-log.js';
+
+const at = (time) => ({ now: new Date(`2025-06-0${time}T12:00:00Z`) });
+
+beforeEach(async () => {
+  clearNotFoundLog();
+  await flushNotFoundLog();
+});
+
+describe('recordNotFound', () => {
+  it('counts hits with first and last sighting', () => {
+    recordNotFound('/kgs/old', at(1));
+    recordNotFound('/kgs/old', at(3));
+
+    expect(listNotFound()).toEqual([
+      { path: '/kgs/old', count: 2, firstSeen: '2025-06-01T12:00:00.000Z', lastSeen: '2025-06-03T12:00:00.000Z', referrers: [] }
+    ]);
+  });
+
+  it('keeps the most frequent referrers', () => {
+    recordNotFound('/kgs/old', { referrer: 'https://kygs.uky.edu/news', ...at(1) });
+    recordNotFound('/kgs/old', { referrer: 'https://example.com/links', ...at(2) });
+    recordNotFound('/kgs/old', { referrer: 'https://example.com/links', ...at(3) });
+    for (let index = 0; index < REFERRER_LIMIT; index++) {
+      recordNotFound('/kgs/old', { referrer: `https://example.com/${index}`, ...at(4) });
+    }
+
+    const [entry] = listNotFound();
+    expect(entry.referrers).toHaveLength(REFERRER_LIMIT);
+    expect(entry.referrers[0]).toEqual({ url: 'https://example.com/links', count: 2, lastSeen: '2025-06-03T12:00:00.000Z' });
+  });
+
+  it('keeps query strings and editor keys out of stored referrers', () => {
+    const origin = 'https://kygs.uky.edu';
+    recordNotFound('/kgs/old', { referrer: `${origin}/redirect-report?key=editor-secret&limit=50`, origin, ...at(1) });
+    recordNotFound('/kgs/old', { referrer: 'https://example.com/links?key=abc&page=2#top', origin, ...at(2) });
+
+    expect(listNotFound()[0].referrers.map(referrer => referrer.url)).toEqual([
+      'https://example.com/links?page=2',
+      'https://kygs.uky.edu/redirect-report'
+    ]);
+  });
+
+  it('drops the least-hit path once full', () => {
+    recordNotFound('/popular');
+    recordNotFound('/popular');
+    for (let index = 0; index < NOT_FOUND_LOG_LIMIT; index++) {
+      recordNotFound(`/missing-${index}`);
+    }
+
+    const paths = listNotFound({ limit: NOT_FOUND_LOG_LIMIT + 1 }).map(entry => entry.path);
+    expect(paths).toHaveLength(NOT_FOUND_LOG_LIMIT);
+    expect(paths[0]).toBe('/popular');
+  });
+});
+
+describe('persistence', () => {
+  it('writes the log to its file and reads it back', async () => {
+    recordNotFound('/kgs/old', { referrer: 'https://example.com/links', ...at(1) });
+    await flushNotFoundLog();
+
+    const saved = JSON.parse(await fs.readFile(NOT_FOUND_LOG_FILE, 'utf8'));
+    expect(saved.map(entry => entry.path)).toEqual(['/kgs/old']);
+
+    await loadNotFoundLog({ reload: true });
+    expect(listNotFound()[0]).toMatchObject({ path: '/kgs/old', count: 1, referrers: [{ url: 'https://example.com/links', count: 1 }] });
+  });
+
+  it('adds hits recorded while the file loads to the saved counts', async () => {
+    recordNotFound('/kgs/old', { referrer: 'https://example.com/links', ...at(1) });
+    await flushNotFoundLog();
+
+    const loading = loadNotFoundLog({ reload: true });
+    recordNotFound('/kgs/old', { referrer: 'https://example.com/links', ...at(2) });
+    await loading;
+
+    expect(listNotFound()).toEqual([{
+      path: '/kgs/old',
+      count: 2,
+      firstSeen: '2025-06-01T12:00:00.000Z',
+      lastSeen: '2025-06-02T12:00:00.000Z',
+      referrers: [{ url: 'https://example.com/links', count: 2, lastSeen: '2025-06-02T12:00:00.000Z' }]
+    }]);
+  });
+
+  it('starts empty without a file', async () => {
+    await fs.rm(NOT_FOUND_LOG_FILE, { force: true });
+    await loadNotFoundLog({ reload: true });
+
+    expect(listNotFound()).toEqual([]);
+  });
+});
@@ -0,0 +1,124 @@
+// tests/lib/not-found.test.js
+// 404 page suggestions from the search index entries
+import { describe, it, expect } from 'vitest';
+import { useMockDirectus } from '../helpers/mockDirectus.js';
+import {
+  tokenize,
+  editDistance,
+  parseAttemptedPath,
+  rankSuggestions,
+  fetchSuggestionEntries,
+  findNotFoundSuggestions,
+  SUGGESTION_LIMIT
+} from '../../src/lib/not-found.js';
+
+const mock = useMockDirectus();
+
+const entries = [
+  { title: 'Jane Doe', url: '/staff/jane-doe', type: 'staff', category: 'Staff Directory' },
+  { title: 'John Doe', url: '/staff/john-doe', type: 'staff', category: 'Staff Directory' },
+  { title: 'Earthquake Workshop', url: '/news/earthquake-workshop', type: 'news', category: 'News' },
+  { title: 'Summer Teacher Workshop', url: '/news/summer-teacher-workshop', type: 'news', category: 'News' },
+  { title: 'Geologic Hazards Lab', url: '/labs/hazards', type: 'lab', category: 'Research Labs' },
+  { title: 'Geologic Mapping', url: '/geologic-mapping', type: 'page', category: 'Information' }
+];
+
+describe('tokenize', () => {
+  it('drops short words, stop words and file extensions', () => {
+    expect(tokenize('/KGS/Geologic-Maps/index.htm')).toEqual(['geologic', 'maps']);
+    expect(tokenize('Géologie of KY')).toEqual(['geologie']);
+  });
+});
+
+describe('editDistance', () => {
+  it('counts edits up to the limit', () => {
+    expect(editDistance('hazard', 'hazards')).toBe(1);
+    expect(editDistance('eartquake', 'earthquake')).toBe(1);
+    expect(editDistance('landslide', 'groundwater', 2)).toBe(3);
+  });
+});
+
+describe('parseAttemptedPath', () => {
+  it('reads the section from the first segment', () => {
+    expect(parseAttemptedPath('/staff/Doe-Jane/')).toEqual({ section: 'staff', words: ['doe', 'jane'] });
+    expect(parseAttemptedPath('/KGS/mapping.htm?x=1')).toEqual({ section: null, words: ['mapping'] });
+    expect(parseAttemptedPath('/404').words).toEqual(['404']);
+  });
+});
+
+describe('rankSuggestions', () => {
+  it('redirects when one entry matches and no other comes close', () => {
+    const { suggestions, redirectTo } = rankSuggestions('/staff/doe-jane', entries);
+
+    expect(redirectTo).toBe('/staff/jane-doe');
+    expect(suggestions[0]).toMatchObject({ url: '/staff/jane-doe', score: 1 });
+  });
+
+  it('suggests pages for typos and partial words without redirecting to them', () => {
+    const typo = rankSuggestions('/news/eartquake-workshp', entries);
+
+    expect(typo.suggestions[0]).toMatchObject({ url: '/news/earthquake-workshop', score: 0.6 });
+    expect(typo.redirectTo).toBeNull();
+    expect(rankSuggestions('/labs/hazard', entries).suggestions[0].url).toBe('/labs/hazards');
+  });
+
+  it('lists every close match without redirecting when the path is ambiguous', () => {
+    const { suggestions, redirectTo } = rankSuggestions('/news/workshop', entries);
+
+    expect(redirectTo).toBeNull();
+    expect(suggestions.map(entry => entry.url)).toEqual(['/news/earthquake-workshop', '/news/summer-teacher-workshop']);
+  });
+
+  it('weights entries from the section in the path above others', () => {
+    const { suggestions } = rankSuggestions('/labs/geologic', entries);
+
+    expect(suggestions.map(entry => [entry.url, entry.score])).toEqual([
+      ['/labs/hazards', 1],
+      ['/geologic-mapping', 0.8]
+    ]);
+  });
+
+  it('never suggests the path that was not found', () => {
+    expect(rankSuggestions('/staff/jane-doe/', entries).suggestions.map(entry => entry.url)).not.toContain('/staff/jane-doe');
+  });
+
+  it('suggests nothing for paths without useful words', () => {
+    expect(rankSuggestions('/KGS/index.htm', entries)).toEqual({ suggestions: [], redirectTo: null });
+    expect(rankSuggestions('/zzz-qqq', entries).suggestions).toEqual([]);
+  });
+
+  it('caps the list', () => {
+    const many = Array.from({ length: 10 }, (_, index) => ({ title: `Workshop ${index}`, url: `/news/workshop-${index}`, type: 'news' }));
+    expect(rankSuggestions('/news/workshops', many).suggestions).toHaveLength(SUGGESTION_LIMIT);
+  });
+});
+
+describe('fetchSuggestionEntries', () => {
+  it('collects staff, published news, labs and pages', async () => {
+    const urls = (await fetchSuggestionEntries()).map(entry => entry.url);
+
+    expect(urls).toEqual(expect.arrayContaining(['/staff/jane-doe', '/news/geology-field-day', '/labs/hazards', '/geologic-mapping']));
+    expect(urls).not.toContain('/news/unpublished-story');
+    expect(urls).not.toContain('/labs/water');
+    expect(urls).not.toContain('/retired-page');
+    expect(new Set(urls).size).toBe(urls.length);
+  });
+
+  it('splits out the words each entry is matched on', async () => {
+    const entry = (await fetchSuggestionEntries()).find(item => item.url === '/labs/hazards');
+
+    expect(entry.words).toEqual(expect.arrayContaining(['hazards']));
+  });
+});
+
+describe('findNotFoundSuggestions', () => {
+  it('finds a renamed staff slug', async () => {
+    expect((await findNotFoundSuggestions('/staff/garcia-maria')).redirectTo).toBe('/staff/maria-garcia');
+  });
+
+  it('suggests nothing while Directus is down', async () => {
+    await mock.withDirectusDown(async () => {
+      expect(await findNotFoundSuggestions('/staff/garcia-maria')).toEqual({ suggestions: [], redirectTo: null });
+    });
+  });
+});
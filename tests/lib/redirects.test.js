@@ -0,0 +1,145 @@
+// tests/lib/redirects.test.js
+// Legacy URL redirect rules, the middleware and the unmatched-path report
+import { describe, it, expect, beforeEach } from 'vitest';
+import { useMockDirectus } from '../helpers/mockDirectus.js';
+import {
+  normalizePath,
+  compileRedirectRules,
+  findRedirect,
+  loadRedirectRules,
+  clearRedirectStats,
+  buildRedirectReport,
+  handleLegacyRedirects
+} from '../../src/lib/redirects.js';
+import { listNotFound, clearNotFoundLog } from '../../src/lib/not-found-log.js';
+
+const mock = useMockDirectus();
+
+const context = (path, { method = 'GET', headers = {} } = {}) => {
+  const url = new URL(`http://localhost${path}`);
+  return { request: new Request(url, { method, headers }), url };
+};
+const page = (status = 200, headers = {}) => async () => new Response('page', { status, headers });
+
+beforeEach(() => {
+  clearRedirectStats();
+  clearNotFoundLog();
+});
+
+describe('normalizePath', () => {
+  it.each([
+    ['/KGS/', '/kgs'],
+    ['/KGS/Water/index.htm', '/kgs/water'],
+    ['//KGS//news/', '/kgs/news'],
+    ['/', '/'],
+    ['/KGS/geologic%20maps', '/kgs/geologic maps']
+  ])('normalizes %s', (path, expected) => {
+    expect(normalizePath(path)).toBe(expected);
+  });
+});
+
+describe('findRedirect', () => {
+  const compiled = compileRedirectRules([
+    { match: 'exact', from: '/KGS/homepage.htm', to: '/', status: 301 },
+    { match: 'prefix', from: '/KGS/water', to: '/pubs/collections/water', status: 302 },
+    { match: 'prefix', from: '/KGS/water/wells', to: '/research/*', status: 301 },
+    { match: 'regex', from: '^/KGS/earthquake/(\\w+)\\.php$', to: '/news/$1', status: 301 },
+    { match: 'exact', from: '/staff/', to: '/staff', status: 301 }
+  ]);
+
+  it('matches exact paths ignoring case and trailing slashes', () => {
+    expect(findRedirect(compiled, '/kgs/HOMEPAGE.htm/')).toMatchObject({ location: '/', status: 301 });
+  });
+
+  it('matches prefixes, longest first, filling "*" with the rest of the path', () => {
+    expect(findRedirect(compiled, '/KGS/water/groundwater.htm')).toMatchObject({ location: '/pubs/collections/water', status: 302 });
+    expect(findRedirect(compiled, '/KGS/water/wells/monitoring')).toMatchObject({ location: '/research/monitoring', status: 301 });
+    expect(findRedirect(compiled, '/KGS/waterways')).toBeNull();
+  });
+
+  it('fills regex groups into the target', () => {
+    expect(findRedirect(compiled, '/KGS/earthquake/recent.php')?.location).toBe('/news/recent');
+  });
+
+  it('never redirects a path to itself', () => {
+    expect(findRedirect(compiled, '/staff')).toBeNull();
+  });
+
+  it('sets aside rules it cannot use', () => {
+    const { invalid } = compileRedirectRules([
+      { match: 'regex', from: '(', to: '/' },
+      { match: 'glob', from: '/a', to: '/b' },
+      { match: 'exact', from: '/a', to: '/b', status: 307 }
+    ]);
+
+    expect(invalid).toHaveLength(3);
+    expect(invalid[0].reason).toMatch(/^Invalid pattern/);
+  });
+});
+
+describe('loadRedirectRules', () => {
+  it('puts published Directus rules ahead of the repo map', async () => {
+    const compiled = await loadRedirectRules();
+
+    expect(findRedirect(compiled, '/KGS/news')).toMatchObject({ location: '/news/archive', rule: { source: 'directus' } });
+    expect(findRedirect(compiled, '/KGS/news/geology-field-day')?.location).toBe('/news/geology-field-day');
+    expect(findRedirect(compiled, '/KGS/geoky/maps')).toMatchObject({ location: 'https://kgs.uky.edu/kgsmap/geoky', status: 302 });
+    expect(findRedirect(compiled, '/KGS/landslide/')).toMatchObject({ location: '/research/landslides', rule: { source: 'file' } });
+    expect(findRedirect(compiled, '/KGS/radon')).toBeNull();
+  });
+
+  it('keeps using the repo map while Directus is down', async () => {
+    await mock.withDirectusDown(async () => {
+      const compiled = await loadRedirectRules();
+
+      expect(findRedirect(compiled, '/KGS/news')?.location).toBe('/news');
+      expect(findRedirect(compiled, '/KGS/')?.location).toBe('/');
+    });
+  });
+});
+
+describe('handleLegacyRedirects', () => {
+  it('answers matched paths with the rule\'s status and location', async () => {
+    const response = await handleLegacyRedirects(context('/KGS/coal/reports.htm'), page());
+
+    expect(response.status).toBe(302);
+    expect(response.headers.get('Location')).toBe('/pubs/collections/coal');
+  });
+
+  it('passes through existing pages, ?old=1 links and non-GET requests', async () => {
+    expect((await handleLegacyRedirects(context('/news'), page())).status).toBe(200);
+    expect((await handleLegacyRedirects(context('/KGS/coal?old=1'), page())).status).toBe(200);
+    expect((await handleLegacyRedirects(context('/KGS/coal', { method: 'POST' }), page())).status).toBe(200);
+  });
+
+  it('counts 404s and redirects to /404 that no rule covers', async () => {
+    await handleLegacyRedirects(context('/KGS/minerals/', { headers: { referer: 'https://example.com/links' } }), page(404));
+    await handleLegacyRedirects(context('/KGS/minerals'), page(404));
+    await handleLegacyRedirects(context('/staff/nobody'), page(302, { location: '/404' }));
+    await handleLegacyRedirects(context('/news'), page());
+
+    expect(listNotFound().map(({ path, count, referrers }) => ({ path, count, referrers: referrers.map(item => item.url) }))).toEqual([
+      { path: '/kgs/minerals', count: 2, referrers: ['https://example.com/links'] },
+      { path: '/staff/nobody', count: 1, referrers: [] }
+    ]);
+  });
+
+  it('passes the missing path on to the 404 page', async () => {
+    const response = await handleLegacyRedirects(context('/labs/missing'), page(302, { location: '/404' }));
+
+    expect(response.status).toBe(302);
+    expect(response.headers.get('Location')).toBe('/404?from=%2Flabs%2Fmissing');
+  });
+});
+
+describe('buildRedirectReport', () => {
+  it('lists rules by hits, unusable rules and unmatched paths', async () => {
+    await handleLegacyRedirects(context('/KGS/landslide'), page());
+    await handleLegacyRedirects(context('/KGS/minerals'), page(404));
+    const report = await buildRedirectReport();
+
+    expect(report.rules[0]).toEqual({ source: 'file', match: 'prefix', from: '/KGS/landslide', to: '/research/landslides', status: 301, hits: 1 });
+    expect(report.invalid.map(({ rule }) => rule.from)).toEqual(['^/KGS/(broken$']);
+    expect(report.unmatched.map(entry => entry.path)).toEqual(['/kgs/minerals']);
+  });
+});
@@ -0,0 +1,87 @@
+// tests/lib/revalidate.test.js
+// Webhook that purges cached Directus responses after editors change content
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { useMockDirectus } from '../helpers/mockDirectus.js';
+import { createDirectusClient } from '../../src/lib/api_client.js';
+import { POST } from '../../src/pages/api/revalidate.js';
+
+useMockDirectus();
+
+const SECRET = 'test-revalidate-secret';
+
+const revalidate = (body, token = SECRET) => POST({
+  request: new Request('http://localhost/api/revalidate', {
+    method: 'POST',
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  })
+});
+
+beforeEach(() => {
+  vi.stubEnv('REVALIDATE_SECRET', SECRET);
+  vi.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+});
+
+describe('POST /api/revalidate', () => {
+  it('responds 503 when no secret is configured', async () => {
+    vi.stubEnv('REVALIDATE_SECRET', '');
+
+    const response = await revalidate({ collection: 'staff' });
+
+    expect(response.status).toBe(503);
+    expect(await response.json()).toEqual({ error: 'Revalidation is not configured' });
+  });
+
+  it.each([
+    ['a wrong token', 'not-the-secret'],
+    ['no token', null]
+  ])('rejects %s', async (_, token) => {
+    expect((await revalidate({ collection: 'staff' }, token)).status).toBe(401);
+  });
+
+  it('rejects bodies that are not JSON or name no collection', async () => {
+    expect((await revalidate('not json')).status).toBe(400);
+    expect((await revalidate({ collections: [] })).status).toBe(400);
+  });
+
+  it('purges a staff change from every response that embeds staff', async () => {
+    const client = createDirectusClient({ baseURL: process.env.PUBLIC_DIRECTUS_URL, cacheTtl: 60000 });
+    await Promise.all([
+      client.apiRequest('/items/funding_staff', { fields: ['staff_id.first_name'] }),
+      client.apiRequest('/items/articles_staff', { fields: ['staff_id.first_name'] }),
+      client.apiRequest('/items/labs_lab_projects', { fields: ['lab_projects_id.principal_investigator.first_name'] }),
+      client.apiRequest('/items/funding', { fields: ['title'] })
+    ]);
+
+    const response = await revalidate({ collection: 'staff', keys: [1] });
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({
+      revalidated: true,
+      collections: ['staff', 'articles', 'labs', 'lab_projects'],
+      purged: 3
+    });
+  });
+
+  it('purges projects when their funding or gallery links change', async () => {
+    const client = createDirectusClient({ baseURL: process.env.PUBLIC_DIRECTUS_URL, cacheTtl: 60000 });
+    await client.apiRequest('/items/lab_projects', { fields: ['funding.funding_id.title'] });
+
+    expect((await (await revalidate({ collection: 'lab_projects_funding' })).json()).purged).toBe(1);
+
+    await client.apiRequest('/items/lab_projects', { fields: ['gallery.directus_files_id'] });
+
+    expect((await (await revalidate({ collection: 'lab_projects_files' })).json()).purged).toBe(1);
+  });
+
+  it('clears every cache for { all: true }', async () => {
+    const response = await revalidate({ all: true });
+
+    expect(await response.json()).toEqual({ revalidated: true, all: true });
+  });
+});
@@ -0,0 +1,221 @@
+// tests/lib/sitemap.test.js
+// sitemap.xml, split sitemaps and robots.txt
+import { describe, it, expect } from 'vitest';
+import { useMockDirectus } from '../helpers/mockDirectus.js';
+import path from 'node:path';
+import { listPageRoutes } from '../../src/lib/link-checker.js';
+import {
+  SITEMAP_EXCLUDED_ROUTES,
+  listSitemapPageRoutes,
+  fetchSitemapEntries,
+  toSitemapXml,
+  paginateSitemap,
+  toSitemapIndexXml,
+  createSitemapResponse,
+  toRobotsTxt
+} from '../../src/lib/sitemap.js';
+import { GET as sitemap } from '../../src/pages/sitemap.xml.js';
+import { GET as sitemapPage } from '../../src/pages/sitemap-[page].xml.js';
+import { GET as robots } from '../../src/pages/robots.txt.js';
+
+const mock = useMockDirectus();
+
+const siteUrl = 'https://www.uky.edu/KGS';
+const url = (path) => new URL(`http://localhost${path}`);
+const locs = (xml) => Array.from(xml.matchAll(/<loc>([^<]+)<\/loc>/g), match => match[1]);
+
+// Static routes in src/pages that belong in the sitemap
+const STATIC_PATHS = [
+  '/',
+  '/about/board',
+  '/about/dmp',
+  '/about/jobs',
+  '/about/locations',
+  '/about/mission',
+  '/about/orgs',
+  '/contact',
+  '/funding',
+  '/intern',
+  '/intern/projects',
+  '/intern/why',
+  '/labs',
+  '/labs/projects',
+  '/maps',
+  '/maps/desktop-gis-connection',
+  '/monitoring',
+  '/news',
+  '/news/archive',
+  '/news/events',
+  '/news/press-releases',
+  '/news/research',
+  '/pubs',
+  '/pubs/annual-reports',
+  '/pubs/factsheets',
+  '/research',
+  '/research/landslides',
+  '/search',
+  '/staff'
+];
+
+describe('listSitemapPageRoutes', () => {
+  it('sees the same pages as the link checker reads from disk', async () => {
+    const routes = await listPageRoutes(path.resolve('src/pages'), { endpoints: false });
+
+    expect(listSitemapPageRoutes().sort()).toEqual(routes.sort());
+    expect(routes).toEqual(expect.arrayContaining(SITEMAP_EXCLUDED_ROUTES));
+  });
+});
+
+describe('fetchSitemapEntries', () => {
+  it('lists static pages, then a page per item for each dynamic route', async () => {
+    const paths = (await fetchSitemapEntries()).map(entry => entry.path);
+
+    expect(paths.slice(0, STATIC_PATHS.length)).toEqual(STATIC_PATHS);
+    expect(paths.slice(STATIC_PATHS.length)).toEqual([
+      '/staff/alice-adams',
+      '/staff/jane-doe',
+      '/staff/john-smith',
+      '/staff/maria-garcia',
+      '/staff/pat-lee',
+      '/staff/robert-brown',
+      '/staff/sam-taylor',
+      '/news/earthquake-workshop',
+      '/news/geology-field-day',
+      '/news/groundwater-grant',
+      '/news/new-landslide-inventory',
+      '/news/summer-teacher-workshop',
+      '/news/archive/2025',
+      '/news/archive/2024',
+      '/labs/hazards',
+      '/labs/hazards/presentations',
+      '/labs/hazards/projects',
+      '/labs/hazards/publications',
+      '/labs/hazards/research',
+      '/labs/projects/eastern-kentucky-landslides',
+      '/labs/projects/karst-spring-monitoring',
+      '/funding/1',
+      '/research/hazards',
+      '/research/water',
+      '/intern/2024',
+      '/intern/2025',
+      '/geologic-mapping',
+      '/about/geologic-mapping',
+      '/pubs/101',
+      '/pubs/102',
+      '/pubs/103',
+      '/pubs/104',
+      '/pubs/105',
+      '/pubs/106',
+      '/pubs/107',
+      '/pubs/collections/coal',
+      '/pubs/collections/oil-gas',
+      '/pubs/collections/water',
+      '/pubs/collections/hazards',
+      '/pubs/area/fayette-county',
+      '/pubs/area/lexington-west-quadrangle',
+      '/pubs/area/pike-county',
+      '/pubs/area/pikeville-quadrangle'
+    ]);
+  });
+
+  it('takes static routes from the routes it is given', async () => {
+    const paths = (await fetchSitemapEntries(['/', '/404', '/labs/[slug]/projects'])).map(entry => entry.path);
+
+    expect(paths).toEqual(['/', '/labs/hazards/projects']);
+  });
+
+  it('takes lastmod from date_updated, falling back to date_created', async () => {
+    const lastmod = Object.fromEntries((await fetchSitemapEntries()).map(entry => [entry.path, entry.lastmod]));
+
+    expect(lastmod['/staff/jane-doe']).toBe('2025-04-02T13:30:00.000Z');
+    expect(lastmod['/intern/2024']).toBe('2023-12-04T15:00:00.000Z');
+    expect(lastmod['/staff/john-smith']).toBeNull();
+    expect(lastmod['/']).toBeNull();
+  });
+
+  it('dates /about/locations by its most recently updated location', async () => {
+    const entries = await fetchSitemapEntries();
+
+    expect(entries.filter(entry => entry.path === '/about/locations')).toEqual([
+      { path: '/about/locations', lastmod: '2025-01-06T18:00:00.000Z' }
+    ]);
+  });
+});
+
+describe('rendering', () => {
+  const entries = [
+    { path: '/', lastmod: null },
+    { path: '/news/a&b', lastmod: '2025-03-11T14:00:00.000Z' },
+    { path: '/staff/jane-doe', lastmod: '2025-04-02T13:30:00.000Z' }
+  ];
+
+  it('writes a urlset with escaped locations', () => {
+    const xml = toSitemapXml(entries, siteUrl);
+
+    expect(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">')).toBe(true);
+    expect(locs(xml)).toEqual(['https://www.uky.edu/KGS/', 'https://www.uky.edu/KGS/news/a&amp;b', 'https://www.uky.edu/KGS/staff/jane-doe']);
+    expect(xml).toContain('<lastmod>2025-03-11T14:00:00.000Z</lastmod>');
+  });
+
+  it('indexes split sitemaps with each page\'s latest lastmod', () => {
+    const pages = paginateSitemap(entries, 2);
+    const xml = toSitemapIndexXml(pages, siteUrl);
+
+    expect(pages.map(page => page.length)).toEqual([2, 1]);
+    expect(locs(xml)).toEqual(['https://www.uky.edu/KGS/sitemap-1.xml', 'https://www.uky.edu/KGS/sitemap-2.xml']);
+    expect(xml.match(/<lastmod>[^<]+<\/lastmod>/g)).toEqual([
+      '<lastmod>2025-03-11T14:00:00.000Z</lastmod>',
+      '<lastmod>2025-04-02T13:30:00.000Z</lastmod>'
+    ]);
+  });
+});
+
+describe('sitemap routes', () => {
+  it('serve a single sitemap while it fits in one file', async () => {
+    const response = await sitemap({ url: url('/sitemap.xml') });
+    const xml = await response.text();
+
+    expect(response.headers.get('Content-Type')).toBe('application/xml; charset=utf-8');
+    expect(xml).toContain('<urlset');
+    expect(locs(xml)).toContain('http://localhost/labs/projects/eastern-kentucky-landslides');
+    expect((await sitemapPage({ params: { page: '1' }, url: url('/sitemap-1.xml') })).status).toBe(404);
+  });
+
+  it('switch to an index and numbered pages when large', async () => {
+    const total = (await fetchSitemapEntries()).length;
+    const index = await (await createSitemapResponse(url('/sitemap.xml'), { size: 30 })).text();
+    const last = await (await createSitemapResponse(url('/sitemap-3.xml'), { page: 3, size: 30 })).text();
+
+    expect(locs(index)).toEqual(['http://localhost/sitemap-1.xml', 'http://localhost/sitemap-2.xml', 'http://localhost/sitemap-3.xml']);
+    expect(locs(last)).toHaveLength(total - 60);
+    expect((await createSitemapResponse(url('/sitemap-4.xml'), { page: 4, size: 30 })).status).toBe(404);
+  });
+
+  it.each(['0', 'abc', '1.5'])('return 404 for page %s', async (page) => {
+    expect((await sitemapPage({ params: { page }, url: url(`/sitemap-${page}.xml`) })).status).toBe(404);
+  });
+
+  it('return 503 instead of an empty sitemap while Directus is down', async () => {
+    await mock.withDirectusDown(async () => {
+      const response = await sitemap({ url: url('/sitemap.xml') });
+
+      expect(response.status).toBe(503);
+      expect(response.headers.get('Retry-After')).toBe('120');
+    });
+  });
+});
+
+describe('robots.txt', () => {
+  it('points at the sitemap and excludes preview URLs', async () => {
+    const response = robots({ url: url('/robots.txt') });
+    const text = await response.text();
+
+    expect(response.headers.get('Content-Type')).toBe('text/plain; charset=utf-8');
+    expect(text).toBe(toRobotsTxt(url('/robots.txt')));
+    expect(text.split('\n')).toEqual(expect.arrayContaining([
+      'Disallow: /*?preview=',
+      'Disallow: /*&preview=',
+      'Sitemap: http://localhost/sitemap.xml'
+    ]));
+  });
+});
@@ -0,0 +1,99 @@
+// tests/utils/dates.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  parseEasternTime,
+  easternToUtc,
+  easternToday,
+  toEasternDateString,
+  getEasternYear,
+  getEasternMonth,
+  isPastDate,
+  isSameEasternDay,
+  formatEasternDate,
+  formatEasternTime,
+  formatDateRange
+} from '../../src/utils/dates.js';
+
+// 9pm on June 1 in Kentucky, already June 2 in UTC
+const juneFirstEvening = new Date('2025-06-02T01:00:00Z');
+
+describe('parseEasternTime', () => {
+  it('reads Directus datetimes as Eastern wall-clock times', () => {
+    expect(parseEasternTime('2025-06-01T09:00:00')).toEqual({ year: 2025, month: 6, day: 1, hour: 9, minute: 0, second: 0, allDay: false });
+  });
+
+  it('treats dates without a time as all-day', () => {
+    expect(parseEasternTime('2025-06-01')).toMatchObject({ year: 2025, month: 6, day: 1, allDay: true });
+  });
+
+  it('converts timestamps with an offset and Dates to Eastern time, daylight saving included', () => {
+    expect(parseEasternTime('2025-06-02T01:30:00Z')).toMatchObject({ month: 6, day: 1, hour: 21, minute: 30 });
+    expect(parseEasternTime('2025-01-15T15:00:00Z')).toMatchObject({ month: 1, day: 15, hour: 10 });
+    expect(parseEasternTime(juneFirstEvening)).toMatchObject({ month: 6, day: 1, hour: 21 });
+  });
+
+  it('returns null for missing or unreadable values', () => {
+    expect(parseEasternTime(null)).toBeNull();
+    expect(parseEasternTime('soon')).toBeNull();
+  });
+});
+
+describe('easternToUtc', () => {
+  it('applies EDT in summer and EST in winter', () => {
+    expect(easternToUtc(parseEasternTime('2025-07-04T09:00:00')).toISOString()).toBe('2025-07-04T13:00:00.000Z');
+    expect(easternToUtc(parseEasternTime('2025-12-01T09:00:00')).toISOString()).toBe('2025-12-01T14:00:00.000Z');
+    expect(easternToUtc(parseEasternTime('2025-11-02T12:00:00')).toISOString()).toBe('2025-11-02T17:00:00.000Z');
+  });
+});
+
+describe('calendar dates', () => {
+  it('keeps today on the Kentucky date after 8pm Eastern', () => {
+    expect(easternToday(juneFirstEvening)).toBe('2025-06-01');
+    expect(easternToday(new Date('2025-06-02T04:30:00Z'))).toBe('2025-06-02');
+  });
+
+  it('gives the Eastern date, year and month of dates and datetimes', () => {
+    expect(toEasternDateString('2025-06-01T23:30:00')).toBe('2025-06-01');
+    expect(toEasternDateString('2026-01-01T02:00:00Z')).toBe('2025-12-31');
+    expect(getEasternYear('2026-01-01T02:00:00Z')).toBe(2025);
+    expect(getEasternMonth('2025-03-01')).toBe(3);
+  });
+
+  it('counts a date as past only once its Kentucky day is over', () => {
+    expect(isPastDate('2025-06-01', juneFirstEvening)).toBe(false);
+    expect(isPastDate('2025-06-01T16:00:00', juneFirstEvening)).toBe(false);
+    expect(isPastDate('2025-05-31', juneFirstEvening)).toBe(true);
+    expect(isPastDate('2025-06-01', new Date('2025-06-02T04:30:00Z'))).toBe(true);
+    expect(isPastDate(null, juneFirstEvening)).toBe(false);
+  });
+
+  it('compares calendar days in Eastern time', () => {
+    expect(isSameEasternDay('2025-06-01T09:00:00', '2025-06-01')).toBe(true);
+    expect(isSameEasternDay('2025-06-01T09:00:00', '2025-06-02T01:00:00Z')).toBe(true);
+    expect(isSameEasternDay('2025-06-01', '2025-06-02')).toBe(false);
+  });
+});
+
+describe('formatting', () => {
+  it('formats date-only values on their own day', () => {
+    expect(formatEasternDate('2025-06-01')).toBe('June 1, 2025');
+    expect(formatEasternDate('2025-01-01', { year: 'numeric', month: 'long' })).toBe('January 2025');
+    expect(formatEasternDate(null)).toBe('');
+  });
+
+  it('formats times in Kentucky time, leaving date-only values without one', () => {
+    expect(formatEasternTime('2025-06-01T09:00:00')).toBe('9:00 AM');
+    expect(formatEasternTime('2025-06-02T01:00:00Z')).toBe('9:00 PM');
+    expect(formatEasternTime('2025-06-01')).toBe('');
+  });
+
+  it.each([
+    ['2025-06-01T09:00:00', '2025-06-01T16:00:00', 'June 1, 2025'],
+    ['2025-06-01', null, 'June 1, 2025'],
+    ['2025-06-01', '2025-06-03', 'June 1–3, 2025'],
+    ['2025-06-30', '2025-07-02', 'June 30 – July 2, 2025'],
+    ['2025-12-30', '2026-01-02', 'December 30, 2025 – January 2, 2026']
+  ])('formats the range %s to %s', (start, end, expected) => {
+    expect(formatDateRange(start, end)).toBe(expected);
+  });
+});
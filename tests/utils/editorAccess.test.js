@@ -0,0 +1,24 @@
+// tests/utils/editorAccess.test.js
+import { describe, it, expect } from 'vitest';
+import { hasEditorAccess } from '../../src/utils/editorAccess.js';
+
+const SECRET = 'editor-secret';
+
+const request = (url, headers = {}) => new Request(url, { headers });
+
+describe('hasEditorAccess', () => {
+  it('accepts the secret as a ?key= parameter or Bearer token', () => {
+    expect(hasEditorAccess(request(`http://localhost/pubs/taxonomy-report?key=${SECRET}`), SECRET)).toBe(true);
+    expect(hasEditorAccess(request('http://localhost/pubs/taxonomy-report', { authorization: `Bearer ${SECRET}` }), SECRET)).toBe(true);
+  });
+
+  it('rejects a missing or wrong key', () => {
+    expect(hasEditorAccess(request('http://localhost/pubs/taxonomy-report'), SECRET)).toBe(false);
+    expect(hasEditorAccess(request('http://localhost/pubs/taxonomy-report?key=guess'), SECRET)).toBe(false);
+  });
+
+  it('stays closed when no secret is configured', () => {
+    expect(hasEditorAccess(request('http://localhost/pubs/taxonomy-report?key='), '')).toBe(false);
+    expect(hasEditorAccess(request('http://localhost/pubs/taxonomy-report?key=anything'), undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,25 @@
+// vitest.config.js
+// Data-layer tests run against the mock Directus server (scripts/mock-directus.js)
+// serving fixtures/directus, so they need no network access.
+import os from 'node:os';
+import path from 'node:path';
+import { defineConfig } from 'vitest/config';
+
+const MOCK_DIRECTUS_URL = 'http://127.0.0.1:8056';
+
+export default defineConfig({
+  test: {
+    include: ['tests/**/*.test.js'],
+    // Every test file starts the mock server on the same port
+    fileParallelism: false,
+    env: {
+      PUBLIC_DIRECTUS_URL: MOCK_DIRECTUS_URL,
+      PUBLIC_PUBLICATIONS_URL: `${MOCK_DIRECTUS_URL}/dpub`,
+      // Fail fast and read fixtures fresh on every call
+      DIRECTUS_RETRIES: '0',
+      DIRECTUS_CACHE_TTL_MS: '0',
+      // Keep the 404 log out of the working tree
+      NOT_FOUND_LOG_FILE: path.join(os.tmpdir(), 'kgs-not-found-log.test.json')
+    }
+  }
+});